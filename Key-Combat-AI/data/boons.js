@@ -1,34 +1,82 @@
 // Boons data for Key Combat AI
 // Define boons offered by gods (pure benefits) and demons (trade-offs).
+// `effect` is the text shown to the player and `modifiers` is what the game
+// applies for the rest of the run. Each modifier is a multiplier (1 = no
+// change) and stacks multiplicatively with other boons:
+//   heroAttack       damage dealt by heroes
+//   heroMaxHP        heroes' maximum HP
+//   heroDamageTaken  damage heroes take from enemies
+//   ultCharge        ult meter gained per hit
+//   timingWindow     size of the Perfect/Great/Good timing windows
+//   defenseWindow    size of the block and parry windows
+//   tempo            beat chart speed (more notes, more attacks)
+//   enemyHP          enemies' HP
+//   enemyAttack      enemies' attack power
+//   enemySpeed       how quickly enemies wind up and repeat attacks
+// A boon may also list status effects (see js/status.js) as
+// `{ type, stacks, duration }`: `inflicts` are put on every enemy a hero
+// attacks, and `statuses` on every hero at the start of each fight.
 
 window.boonsData = {
   gods: [
     {
       id: 'god_power',
       name: 'Blessing of Power',
-      effect: 'Increase all heroes\' attack by 20%'
+      effect: 'Increase all heroes\' attack by 20%',
+      modifiers: { heroAttack: 1.2 }
     },
     {
       id: 'god_speed',
       name: 'Blessing of Speed',
-      effect: 'Reduce key timing windows, making combos easier'
+      effect: 'Widen key timing windows, making combos easier',
+      modifiers: { timingWindow: 1.3 }
     },
     {
       id: 'god_resilience',
       name: 'Blessing of Resilience',
-      effect: 'Increase heroes\' HP by 20%'
+      effect: 'Increase heroes\' HP by 20%',
+      modifiers: { heroMaxHP: 1.2 }
+    },
+    {
+      id: 'god_warding',
+      name: 'Blessing of Warding',
+      effect: 'Widen block and parry windows by 50%',
+      modifiers: { defenseWindow: 1.5 }
+    },
+    {
+      id: 'god_zephyr',
+      name: 'Blessing of Zephyr',
+      effect: 'Heroes start each fight with 2 Haste for 8 seconds',
+      modifiers: {},
+      statuses: [{ type: 'haste', stacks: 2, duration: 8 }]
     }
   ],
   demons: [
     {
       id: 'demon_tradeoff_attack',
       name: 'Pact of Fury',
-      effect: 'Increase damage by 30%, but reduce max HP by 10%'
+      effect: 'Increase damage by 30%, but reduce max HP by 10%',
+      modifiers: { heroAttack: 1.3, heroMaxHP: 0.9 }
     },
     {
       id: 'demon_tradeoff_speed',
       name: 'Pact of Haste',
-      effect: 'Increase attack speed, but enemies also gain speed'
+      effect: 'Increase attack speed, but enemies also gain speed',
+      modifiers: { tempo: 1.15, enemySpeed: 1.2 }
+    },
+    {
+      id: 'demon_tradeoff_frenzy',
+      name: 'Pact of Frenzy',
+      effect: 'Ultimates charge 50% faster, but heroes take 25% more damage',
+      modifiers: { ultCharge: 1.5, heroDamageTaken: 1.25 }
+    },
+    {
+      id: 'demon_cinders',
+      name: 'Pact of Cinders',
+      effect: 'Attacks set enemies burning, but heroes start each fight Vulnerable',
+      modifiers: {},
+      inflicts: [{ type: 'burn', stacks: 1, duration: 3 }],
+      statuses: [{ type: 'vulnerable', stacks: 1, duration: 6 }]
     }
   ]
-};
\ No newline at end of file
+};
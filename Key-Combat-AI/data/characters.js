@@ -1,78 +1,130 @@
 // Characters data for Key Combat AI
 // Each entry defines a hero card with base stats and abilities.
+// `rarity` is the gacha tier (see gacha.js).
+// `passive` picks a passive type from js/passives.js and sets its tuning
+// values; `name` and `description` are shown to the player. `ult` does the
+// same for the ultimate (see js/ults.js) and `ultEffect` describes it.
+// Damage ults may list `inflicts`, status effects (see js/status.js) put on
+// the enemies they hit as `{ type, stacks, duration }`.
 // This file attaches the array to the global window object for easy access.
 
 window.charactersData = [
   {
     id: 'hero_azal',
     name: 'Azal',
+    rarity: 'SSR',
     type: 'Attack',
     baseHP: 90,
     baseAttack: 22,
-    passive: 'Infernal Surge: Bonus damage when at low HP',
+    passive: {
+      name: 'Infernal Surge',
+      description: 'Bonus damage when at low HP',
+      type: 'lowHpDamage',
+      threshold: 0.35,
+      damageBonus: 0.5
+    },
     key: 'y',
     ultChargeNeeded: 5,
-    ultEffect: 'Unleashes a burst of flame',
+    ultEffect: 'Unleashes a burst of flame that leaves the target burning',
+    ult: { type: 'burst', multiplier: 3, inflicts: [{ type: 'burn', stacks: 3, duration: 4 }] },
     image: 'assets/images/heroes/Azal_character.png'
   },
   {
     id: 'hero_fyra',
     name: 'Fyra',
+    rarity: 'R',
     type: 'Support',
     baseHP: 85,
     baseAttack: 15,
-    passive: 'Flame Ward: Shields allies briefly',
+    passive: {
+      name: 'Flame Ward',
+      description: 'Shields allies briefly',
+      type: 'periodicShield',
+      interval: 10,
+      shieldAmount: 12,
+      duration: 4
+    },
     key: 'u',
     ultChargeNeeded: 4,
     ultEffect: 'Restores ally health over time',
+    ult: { type: 'healOverTime', healPercent: 0.4, duration: 5 },
     image: 'assets/images/heroes/fyra_character.png'
   },
   {
     id: 'hero_lucien',
     name: 'Lucien',
+    rarity: 'SR',
     type: 'Attack',
     baseHP: 95,
     baseAttack: 23,
-    passive: 'Blade Dance: Small chance for extra strike',
+    passive: {
+      name: 'Blade Dance',
+      description: 'Small chance for extra strike',
+      type: 'extraStrike',
+      chance: 0.15
+    },
     key: 'i',
     ultChargeNeeded: 6,
     ultEffect: 'Performs a deadly combo',
+    ult: { type: 'combo', hits: 5, multiplier: 0.7 },
     image: 'assets/images/heroes/lucien_character.png'
   },
   {
     id: 'hero_raeni',
     name: 'Raeni',
+    rarity: 'R',
     type: 'Support',
     baseHP: 75,
     baseAttack: 12,
-    passive: 'Wind Blessing: Increases ally speed',
+    passive: {
+      name: 'Wind Blessing',
+      description: 'Periodically hastes allies',
+      type: 'periodicStatus',
+      interval: 6,
+      statuses: [{ type: 'haste', stacks: 1, duration: 3 }]
+    },
     key: 'o',
     ultChargeNeeded: 5,
     ultEffect: 'Summons a protective gale',
+    ult: { type: 'shield', amount: 30, duration: 6 },
     image: 'assets/images/heroes/raeni_character.png'
   },
   {
     id: 'hero_velra',
     name: 'Velra',
+    rarity: 'SR',
     type: 'Attack',
     baseHP: 100,
     baseAttack: 18,
-    passive: 'Stone Skin: Reduces incoming damage slightly',
+    passive: {
+      name: 'Stone Skin',
+      description: 'Reduces incoming damage slightly',
+      type: 'damageReduction',
+      reduction: 0.15
+    },
     key: 'p',
     ultChargeNeeded: 5,
     ultEffect: 'Slams the ground for area damage',
+    ult: { type: 'area', multiplier: 1.6 },
     image: 'assets/images/heroes/velra_character.png'
   },
   {
     id: 'hero_zhae',
     name: 'Zhae',
+    rarity: 'SSR',
     type: 'Attack',
     baseHP: 85,
     baseAttack: 26,
-    passive: 'Shadowstep: Dodges one attack periodically',
+    passive: {
+      name: 'Shadowstep',
+      description: 'Dodges one attack periodically',
+      type: 'periodicDodge',
+      interval: 12
+    },
     key: 'a',
     ultChargeNeeded: 6,
-    ultEffect: 'Strikes from the shadows',
+    ultEffect: 'Strikes from the shadows, stunning the target',
+    ult: { type: 'burst', multiplier: 3.5, interrupt: true, inflicts: [{ type: 'stun', duration: 1.5 }] },
     image: 'assets/images/heroes/zhae_character.png'
   }
 ];
@@ -0,0 +1,116 @@
+// Beat charts for Key Combat AI
+// Each chart is a looping rhythm pattern. `length` is the loop length in beats
+// and each note sits on a `beat` (fractions allowed) in a `lane`. Lane N is
+// played by the hero in party slot N. Lanes 0-2 are played by every party and
+// wrap around in a party of one or two. Lanes 3 and 4 are extra notes for the
+// fourth and fifth hero that Guild Hall upgrades allow, left out when nobody
+// sits in that slot; give every chart some so larger parties keep all their
+// heroes busy.
+// Enemies and rooms pick a chart with their `chart` field.
+
+window.chartsData = [
+  {
+    id: 'chart_basic',
+    name: 'March of Steel',
+    bpm: 100,
+    length: 8,
+    notes: [
+      { beat: 0, lane: 0 },
+      { beat: 1, lane: 1 },
+      { beat: 1.5, lane: 3 },
+      { beat: 2, lane: 2 },
+      { beat: 3, lane: 1 },
+      { beat: 3.5, lane: 4 },
+      { beat: 4, lane: 0 },
+      { beat: 5, lane: 1 },
+      { beat: 5.5, lane: 3 },
+      { beat: 6, lane: 2 },
+      { beat: 7, lane: 0 },
+      { beat: 7.5, lane: 4 }
+    ]
+  },
+  {
+    id: 'chart_goblin',
+    name: 'Goblin Scramble',
+    bpm: 112,
+    length: 8,
+    notes: [
+      { beat: 0, lane: 0 },
+      { beat: 1, lane: 0 },
+      { beat: 1.5, lane: 4 },
+      { beat: 2, lane: 1 },
+      { beat: 2.5, lane: 2 },
+      { beat: 3, lane: 3 },
+      { beat: 4, lane: 2 },
+      { beat: 4.5, lane: 4 },
+      { beat: 5, lane: 1 },
+      { beat: 6, lane: 0 },
+      { beat: 6.5, lane: 1 },
+      { beat: 7, lane: 3 }
+    ]
+  },
+  {
+    id: 'chart_orc',
+    name: 'War Drums',
+    bpm: 88,
+    length: 8,
+    notes: [
+      { beat: 0, lane: 0 },
+      { beat: 0, lane: 2 },
+      { beat: 1, lane: 3 },
+      { beat: 2, lane: 1 },
+      { beat: 3, lane: 1 },
+      { beat: 3.5, lane: 4 },
+      { beat: 4, lane: 0 },
+      { beat: 4, lane: 2 },
+      { beat: 5, lane: 3 },
+      { beat: 6, lane: 1 },
+      { beat: 6.5, lane: 4 },
+      { beat: 7, lane: 0 }
+    ]
+  },
+  {
+    id: 'chart_skeleton',
+    name: 'Rattling Volley',
+    bpm: 124,
+    length: 8,
+    notes: [
+      { beat: 0.5, lane: 2 },
+      { beat: 1, lane: 3 },
+      { beat: 1.5, lane: 1 },
+      { beat: 2, lane: 4 },
+      { beat: 2.5, lane: 0 },
+      { beat: 3, lane: 1 },
+      { beat: 4.5, lane: 2 },
+      { beat: 5, lane: 3 },
+      { beat: 5.5, lane: 0 },
+      { beat: 6, lane: 4 },
+      { beat: 6.5, lane: 1 },
+      { beat: 7, lane: 2 }
+    ]
+  },
+  {
+    id: 'chart_elite',
+    name: 'Crimson Gauntlet',
+    bpm: 132,
+    length: 8,
+    notes: [
+      { beat: 0, lane: 0 },
+      { beat: 0.5, lane: 1 },
+      { beat: 1, lane: 2 },
+      { beat: 1.5, lane: 3 },
+      { beat: 2, lane: 1 },
+      { beat: 2.5, lane: 4 },
+      { beat: 3, lane: 0 },
+      { beat: 3.5, lane: 2 },
+      { beat: 4, lane: 1 },
+      { beat: 4.5, lane: 3 },
+      { beat: 5, lane: 0 },
+      { beat: 5, lane: 2 },
+      { beat: 6, lane: 1 },
+      { beat: 6.5, lane: 0 },
+      { beat: 7, lane: 2 },
+      { beat: 7.5, lane: 4 }
+    ]
+  }
+];
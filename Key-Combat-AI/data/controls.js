@@ -0,0 +1,66 @@
+// Key binding settings for Key Combat AI
+// Every hero's combat key comes from its `key` in characters.js; `actions`
+// lists the other bindable controls with their default keys. Keys are
+// `KeyboardEvent.key` values in lower case ('enter', 'arrowleft', ' ').
+// Bindings only have to be unique within a `scope`: 'combat' holds the hero
+// keys and targeting, 'menu' the screen shortcuts. `reserved` keys drive the
+// screens themselves and cannot be bound in that scope.
+// A preset's `keys` maps a hero or action id to its key on that layout;
+// anything it leaves out keeps its default.
+
+window.controlsData = {
+  defaultPreset: 'qwerty',
+  actions: [
+    { id: 'targetPrev', name: 'Previous target', scope: 'combat', key: 'arrowleft' },
+    { id: 'targetNext', name: 'Next target', scope: 'combat', key: 'arrowright' },
+    { id: 'startRun', name: 'Start a run', scope: 'menu', key: 'enter' },
+    { id: 'gachaSingle', name: 'Draw a card', scope: 'menu', key: 'g' },
+    { id: 'gachaMulti', name: 'Draw ten cards', scope: 'menu', key: 'm' },
+    { id: 'pullHistory', name: 'Pull history', scope: 'menu', key: 'l' },
+    { id: 'guildHall', name: 'Guild Hall', scope: 'menu', key: 'h' },
+    { id: 'controls', name: 'Controls', scope: 'menu', key: 'k' },
+    { id: 'saves', name: 'Save slots', scope: 'menu', key: 's' },
+    { id: 'contentPacks', name: 'Content packs', scope: 'menu', key: 'c' },
+    { id: 'rerollBoons', name: 'Reroll boon offer', scope: 'menu', key: 'r' },
+    { id: 'playReplay', name: 'Play a replay file', scope: 'menu', key: 'p' },
+    { id: 'saveReplay', name: 'Save last fight replay', scope: 'menu', key: 'x' }
+  ],
+  reserved: {
+    combat: ['escape'],
+    menu: ['escape', 'arrowup', 'arrowdown', 'arrowleft', 'arrowright', ' ', '1', '2', '3']
+  },
+  presets: [
+    { id: 'qwerty', name: 'QWERTY', keys: {} },
+    {
+      id: 'azerty',
+      name: 'AZERTY',
+      keys: { hero_zhae: 'q' }
+    },
+    {
+      id: 'dvorak',
+      name: 'Dvorak',
+      keys: {
+        hero_azal: 'f',
+        hero_fyra: 'g',
+        hero_lucien: 'c',
+        hero_raeni: 'r',
+        hero_velra: 'l',
+        hero_zhae: 'a'
+      }
+    },
+    {
+      id: 'leftHand',
+      name: 'Left hand',
+      keys: {
+        hero_azal: 'a',
+        hero_fyra: 's',
+        hero_lucien: 'd',
+        hero_raeni: 'f',
+        hero_velra: 'w',
+        hero_zhae: 'e',
+        targetPrev: 'q',
+        targetNext: 'r'
+      }
+    }
+  ]
+};
@@ -0,0 +1,55 @@
+// Encounter data for Key Combat AI
+// Each encounter is a group of enemies fought in one room. `waves` lists the
+// enemy ids of each wave; the next wave arrives once the current one is
+// defeated. `type` ('combat' or 'elite') decides which rooms can roll the
+// encounter when a room does not name one with its `encounter` field;
+// 'boss' encounters are never rolled and are fought only where a room or the
+// map generator names them.
+// An optional `chart` picks the beat chart (see charts.js).
+
+window.encountersData = [
+  {
+    id: 'enc_goblin_scouts',
+    name: 'Goblin Scouts',
+    type: 'combat',
+    waves: [['enemy_goblin', 'enemy_goblin']]
+  },
+  {
+    id: 'enc_skeleton_ambush',
+    name: 'Skeleton Ambush',
+    type: 'combat',
+    waves: [['enemy_skeleton'], ['enemy_skeleton', 'enemy_goblin']]
+  },
+  {
+    id: 'enc_lone_orc',
+    name: 'Lone Orc',
+    type: 'combat',
+    waves: [['enemy_orc']]
+  },
+  {
+    id: 'enc_mixed_patrol',
+    name: 'Mixed Patrol',
+    type: 'combat',
+    waves: [['enemy_goblin', 'enemy_skeleton']]
+  },
+  {
+    id: 'enc_orc_warband',
+    name: 'Orc Warband',
+    type: 'elite',
+    chart: 'chart_elite',
+    waves: [['enemy_goblin', 'enemy_goblin'], ['enemy_orc', 'enemy_skeleton']]
+  },
+  {
+    id: 'enc_goblin_court',
+    name: 'Goblin Court',
+    type: 'elite',
+    waves: [['enemy_goblin_king']]
+  },
+  {
+    id: 'enc_bone_colossus',
+    name: 'The Bone Colossus',
+    type: 'boss',
+    chart: 'chart_orc',
+    waves: [['enemy_skeleton', 'enemy_skeleton'], ['enemy_bone_colossus']]
+  }
+];
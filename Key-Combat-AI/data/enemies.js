@@ -1,23 +1,124 @@
 // Enemies data for Key Combat AI
 // Each enemy defines a simple opponent with hit points and attack power.
+// `chart` names the beat chart (see charts.js) played while fighting it.
+// Attack behavior: `attackInterval` is the rest in seconds between attacks,
+// `windUp` how long each attack is telegraphed, and `targetPolicy` picks the
+// hero to hit: 'random', 'lowestHP' or 'front' (first hero in the party).
+// `inflicts` lists status effects (see js/status.js) put on a hero the enemy
+// hits without being blocked or parried, as `{ type, stacks, duration }`.
+//
+// Elites and bosses may also set:
+//   boss      true to keep these stats in elite rooms instead of the usual
+//             elite scaling
+//   guard     Perfect hits needed to break the enemy's guard; until then
+//             the enemy loses no HP, neither to hits nor to burn or poison
+//   pattern   attacks used in turn, each `{ power, windUp, targetPolicy }`;
+//             `power` and `windUp` multiply the enemy's own
+//   phases    stages entered once, in order, when HP falls to `at` (a
+//             fraction of max HP). A phase has a `name` to announce and may
+//             set `chart` and `tempo` (multiplying the fight's tempo) to
+//             change the music, `power` and `speed` to multiply attack power
+//             and speed, a new `targetPolicy`, `inflicts` or `pattern`, a
+//             fresh `guard`, and `summon`, a list of enemy ids that join the
+//             fight without elite scaling. HP stops at each threshold until
+//             its phase starts, so a big hit never skips a phase: damage past
+//             the threshold is lost and the next phase needs fresh hits
 
 window.enemiesData = [
   {
     id: 'enemy_goblin',
     name: 'Goblin Grunt',
     hp: 50,
-    attackPower: 5
+    attackPower: 5,
+    chart: 'chart_goblin',
+    attackInterval: 2.5,
+    windUp: 0.8,
+    targetPolicy: 'random'
   },
   {
     id: 'enemy_orc',
     name: 'Orc Warrior',
     hp: 80,
-    attackPower: 8
+    attackPower: 8,
+    chart: 'chart_orc',
+    attackInterval: 4,
+    windUp: 1.2,
+    targetPolicy: 'front',
+    inflicts: [{ type: 'vulnerable', stacks: 1, duration: 4 }]
   },
   {
     id: 'enemy_skeleton',
     name: 'Skeleton Archer',
     hp: 40,
-    attackPower: 6
+    attackPower: 6,
+    chart: 'chart_skeleton',
+    attackInterval: 3,
+    windUp: 0.9,
+    targetPolicy: 'lowestHP',
+    inflicts: [{ type: 'poison', stacks: 2, duration: 6 }]
+  },
+  {
+    id: 'enemy_goblin_king',
+    name: 'Goblin King',
+    hp: 180,
+    attackPower: 8,
+    chart: 'chart_goblin',
+    attackInterval: 2.4,
+    windUp: 0.9,
+    targetPolicy: 'random',
+    boss: true,
+    pattern: [
+      { power: 1 },
+      { power: 1 },
+      { power: 1.8, windUp: 1.5, targetPolicy: 'lowestHP' }
+    ],
+    phases: [
+      {
+        at: 0.6,
+        name: 'Call to Arms',
+        tempo: 1.1,
+        summon: ['enemy_goblin', 'enemy_goblin']
+      },
+      {
+        at: 0.3,
+        name: 'Frenzy',
+        chart: 'chart_elite',
+        speed: 1.4
+      }
+    ]
+  },
+  {
+    id: 'enemy_bone_colossus',
+    name: 'Bone Colossus',
+    hp: 300,
+    attackPower: 11,
+    chart: 'chart_orc',
+    attackInterval: 3.5,
+    windUp: 1.3,
+    targetPolicy: 'front',
+    boss: true,
+    guard: 3,
+    phases: [
+      {
+        at: 0.7,
+        name: 'Bone Armor',
+        chart: 'chart_skeleton',
+        guard: 4,
+        summon: ['enemy_skeleton']
+      },
+      {
+        at: 0.35,
+        name: 'Death Knell',
+        tempo: 1.15,
+        power: 1.3,
+        targetPolicy: 'lowestHP',
+        inflicts: [{ type: 'vulnerable', stacks: 1, duration: 4 }],
+        pattern: [
+          { power: 0.6, windUp: 0.6 },
+          { power: 0.6, windUp: 0.6 },
+          { power: 1.6, windUp: 1.4 }
+        ]
+      }
+    ]
   }
 ];
\ No newline at end of file
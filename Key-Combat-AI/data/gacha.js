@@ -0,0 +1,22 @@
+// Gacha settings for Key Combat AI
+// Draws cost Demon Souls. Each draw first rolls a rarity tier using `rate`,
+// then picks a hero of that tier (see `rarity` in characters.js). After
+// `pity.threshold` draws in a row without a `pity.rarity` hero, the next draw
+// is guaranteed to be one. Tiers are listed from rarest to most common.
+
+window.gachaConfig = {
+  singleCost: 10,
+  multiCost: 90,
+  multiCount: 10,
+  rarities: [
+    { id: 'SSR', name: 'Legendary', rate: 0.06, color: '#f1c40f' },
+    { id: 'SR', name: 'Epic', rate: 0.24, color: '#9b59b6' },
+    { id: 'R', name: 'Rare', rate: 0.7, color: '#3498db' }
+  ],
+  pity: {
+    rarity: 'SSR',
+    threshold: 30
+  },
+  // Number of draws kept in the pull history
+  historyLimit: 100
+};
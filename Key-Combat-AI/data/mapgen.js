@@ -0,0 +1,34 @@
+// Map generation settings for Key Combat AI
+// Controls the shape of procedurally generated dungeon maps and how often
+// each node type appears. See js/mapgen.js for how the rules are applied.
+
+window.mapGenConfig = {
+  // Number of rows including the entrance and the final room
+  depth: 8,
+  // Minimum and maximum number of rooms in each middle row
+  minWidth: 2,
+  maxWidth: 4,
+  // Chance for a room to get an extra path to a neighbouring room
+  branchChance: 0.35,
+  // Relative weights for the middle rows
+  weights: {
+    combat: 45,
+    elite: 10,
+    reward: 14,
+    shop: 10,
+    rest: 12,
+    gacha: 6
+  },
+  rules: {
+    startType: 'combat',
+    finalType: 'elite',
+    // Encounter fought in the final room
+    finalEncounter: 'enc_bone_colossus',
+    // The row before the final room is made entirely of rest rooms
+    restBeforeFinal: true,
+    // Elites never appear before this row
+    eliteMinDepth: 2,
+    // These types never follow a room of the same type
+    noConsecutive: ['elite', 'shop', 'rest', 'gacha']
+  }
+};
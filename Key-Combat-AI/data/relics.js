@@ -0,0 +1,94 @@
+// Relic definitions for Key Combat AI
+// Relics are carried for the rest of the run once found. Elite rooms and
+// reward rooms drop a relic with the chance in `drops`, and shops sell them.
+// Each relic fires its `effect` when its `trigger` happens (see js/relics.js):
+//   combatStart  a fight begins
+//   perfectHit   a hero lands a Perfect attack
+//   heroKO       a hero is knocked out
+//   ult          a hero fires their ult
+// Optional `chance` (0-1) rolls for each trigger, and `limit` caps how many
+// times the relic fires in one fight. Effects with `target: 'hero'` act on
+// the hero who set the trigger off; 'party' acts on every living hero.
+
+window.relicsData = {
+  drops: {
+    elite: 1,
+    reward: 0.3
+  },
+  relics: [
+    {
+      id: 'relic_war_drum',
+      name: 'War Drum',
+      description: 'Perfect hits deal 25% more damage',
+      icon: '#e67e22',
+      trigger: 'perfectHit',
+      effect: { type: 'damageBonus', amount: 0.25 }
+    },
+    {
+      id: 'relic_twin_fang',
+      name: 'Twin Fang',
+      description: 'Perfect hits have a 20% chance to strike twice',
+      icon: '#c0392b',
+      trigger: 'perfectHit',
+      chance: 0.2,
+      effect: { type: 'extraStrike' }
+    },
+    {
+      id: 'relic_tuning_fork',
+      name: 'Tuning Fork',
+      description: 'Perfect hits fill 10% more of the ult meter',
+      icon: '#9b59b6',
+      trigger: 'perfectHit',
+      effect: { type: 'charge', target: 'hero', amount: 0.1 }
+    },
+    {
+      id: 'relic_aegis_charm',
+      name: 'Aegis Charm',
+      description: 'Every fight begins with a 20 damage shield on each hero',
+      icon: '#3498db',
+      trigger: 'combatStart',
+      effect: { type: 'status', target: 'party', statuses: [{ type: 'shield', stacks: 20, duration: 10 }] }
+    },
+    {
+      id: 'relic_metronome',
+      name: 'Metronome',
+      description: 'Every fight begins with each ult meter 40% full',
+      icon: '#1abc9c',
+      trigger: 'combatStart',
+      effect: { type: 'charge', target: 'party', amount: 0.4 }
+    },
+    {
+      id: 'relic_phoenix_feather',
+      name: 'Phoenix Feather',
+      description: 'Once per fight, a knocked out hero gets back up with 30% HP',
+      icon: '#f1c40f',
+      trigger: 'heroKO',
+      limit: 1,
+      effect: { type: 'heal', target: 'hero', amount: 0.3 }
+    },
+    {
+      id: 'relic_martyrs_bell',
+      name: "Martyr's Bell",
+      description: 'When a hero is knocked out, every enemy takes 40 damage',
+      icon: '#7f8c8d',
+      trigger: 'heroKO',
+      effect: { type: 'damageEnemies', amount: 40 }
+    },
+    {
+      id: 'relic_echo_crystal',
+      name: 'Echo Crystal',
+      description: 'Ults deal 30% more damage',
+      icon: '#e84393',
+      trigger: 'ult',
+      effect: { type: 'damageBonus', amount: 0.3 }
+    },
+    {
+      id: 'relic_lifebloom_seed',
+      name: 'Lifebloom Seed',
+      description: 'Firing an ult heals every hero 8% of max HP',
+      icon: '#2ecc71',
+      trigger: 'ult',
+      effect: { type: 'heal', target: 'party', amount: 0.08 }
+    }
+  ]
+};
@@ -0,0 +1,34 @@
+// Rest room settings for Key Combat AI
+// A rest room offers every option in `options`; the player picks one and
+// moves on. `type` sets what an option does (see js/rest.js):
+//   heal    heals every hero `amount` (fraction) of max HP; with `revive`
+//           knocked out heroes get back up too
+//   train   one hero of the player's choice gains `levels` levels until the
+//           run ends
+//   focus   every living hero's ult meter fills by `amount` (fraction)
+
+window.restConfig = {
+  options: [
+    {
+      id: 'rest_heal',
+      type: 'heal',
+      name: 'Rest',
+      description: 'Heal every hero 30% of max HP',
+      amount: 0.3
+    },
+    {
+      id: 'rest_train',
+      type: 'train',
+      name: 'Train',
+      description: 'One hero gains a level until the run ends',
+      levels: 1
+    },
+    {
+      id: 'rest_focus',
+      type: 'focus',
+      name: 'Meditate',
+      description: 'Every hero starts the next fight with a full ult meter',
+      amount: 1
+    }
+  ]
+};
@@ -1,11 +1,14 @@
 // Rooms data for Key Combat AI
 // Each node defines a location in the dungeon run. The `next` field
-// lists the identifiers of possible next rooms.
+// lists the identifiers of possible next rooms. Combat and elite rooms may
+// name an `encounter` (see encounters.js) and set `chart` to override the
+// encounter's beat chart (see charts.js).
 
 window.roomsData = [
   {
     id: 'room_start',
     type: 'combat',
+    encounter: 'enc_goblin_scouts',
     next: ['room_fork_left', 'room_fork_right']
   },
   {
@@ -16,11 +19,13 @@ window.roomsData = [
   {
     id: 'room_fork_right',
     type: 'combat',
+    encounter: 'enc_skeleton_ambush',
     next: ['room_final']
   },
   {
     id: 'room_final',
     type: 'elite',
+    encounter: 'enc_bone_colossus',
     next: []
   }
 ];
\ No newline at end of file
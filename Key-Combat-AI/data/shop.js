@@ -0,0 +1,77 @@
+// Shop settings for Key Combat AI
+// Gold is the run currency. Combat and elite rooms pay a random amount from
+// their `gold` range ([min, max], inclusive) and every run starts with
+// `startingGold`. Each shop fills its `stock` slots in order; a slot picks one
+// of its item ids at random. Items in `items` set what buying them does with
+// `type` (see js/shop.js) and are priced at random within `price`:
+//   heal        heals every hero `amount` (fraction) of max HP; with `revive`
+//               knocked out heroes get back up too
+//   boon        a boon from `group` ('gods' or 'demons') not yet taken
+//   relic       a relic not yet carried (see data/relics.js)
+//   boonRemove  gives up a boon of the player's choice
+//   boonReroll  swaps a boon of the player's choice for a random one
+
+window.shopConfig = {
+  startingGold: 0,
+  gold: {
+    combat: [8, 14],
+    elite: [22, 32]
+  },
+  stock: [
+    ['shop_heal_small', 'shop_heal_large'],
+    ['shop_boon_god'],
+    ['shop_boon_god', 'shop_boon_demon'],
+    ['shop_relic'],
+    ['shop_boon_remove', 'shop_boon_reroll']
+  ],
+  items: [
+    {
+      id: 'shop_heal_small',
+      type: 'heal',
+      name: 'Healing Draught',
+      description: 'Heal every hero 30% of max HP',
+      amount: 0.3,
+      price: [14, 20]
+    },
+    {
+      id: 'shop_heal_large',
+      type: 'heal',
+      name: 'Phoenix Tonic',
+      description: 'Heal every hero 50% of max HP and revive the fallen',
+      amount: 0.5,
+      revive: true,
+      price: [30, 40]
+    },
+    {
+      id: 'shop_boon_god',
+      type: 'boon',
+      group: 'gods',
+      price: [35, 50]
+    },
+    {
+      id: 'shop_boon_demon',
+      type: 'boon',
+      group: 'demons',
+      price: [25, 35]
+    },
+    {
+      id: 'shop_relic',
+      type: 'relic',
+      price: [45, 60]
+    },
+    {
+      id: 'shop_boon_remove',
+      type: 'boonRemove',
+      name: 'Severance',
+      description: 'Give up a boon of your choice',
+      price: [20, 30]
+    },
+    {
+      id: 'shop_boon_reroll',
+      type: 'boonReroll',
+      name: 'Fickle Fortune',
+      description: 'Swap a boon of your choice for a random one',
+      price: [12, 18]
+    }
+  ]
+};
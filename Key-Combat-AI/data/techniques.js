@@ -0,0 +1,60 @@
+// Team techniques for Key Combat AI
+// A technique fires when every hero in `heroes` acts in combat:
+//   chord     all press their keys together, within `window` seconds of
+//             each other, and at least one of them hits a note
+//   sequence  all hit notes one after another in the listed order, each hit
+//             within `window` seconds of the one before and no other hero
+//             hitting in between; presses that miss every note do not count
+// Every hero listed must be in the party and standing. `minCombo` is the
+// combo the party needs before the technique can fire, and `cooldown` the
+// seconds before it can fire again. `effect.type` names an entry of
+// TECHNIQUE_EFFECTS (see js/combo.js); damage effects hit for `multiplier`
+// times the heroes' combined attack, scaled by the combo, and may list
+// `inflicts` statuses (see js/status.js).
+
+window.techniquesData = [
+  {
+    id: 'tech_fire_wave',
+    name: 'Fire Wave',
+    description: 'Azal and Fyra strike together, sweeping every enemy with flame',
+    heroes: ['hero_azal', 'hero_fyra'],
+    input: 'chord',
+    window: 0.12,
+    minCombo: 4,
+    cooldown: 8,
+    effect: { type: 'wave', multiplier: 0.8, inflicts: [{ type: 'burn', stacks: 1, duration: 3 }] }
+  },
+  {
+    id: 'tech_shadow_blades',
+    name: 'Shadow Blades',
+    description: 'Lucien then Zhae cut the target from both sides, slowing it',
+    heroes: ['hero_lucien', 'hero_zhae'],
+    input: 'sequence',
+    window: 0.6,
+    minCombo: 4,
+    cooldown: 6,
+    effect: { type: 'strike', multiplier: 1.2, inflicts: [{ type: 'slow', stacks: 1, duration: 4 }] }
+  },
+  {
+    id: 'tech_stone_gale',
+    name: 'Stone Gale',
+    description: 'Velra and Raeni together shield the party',
+    heroes: ['hero_velra', 'hero_raeni'],
+    input: 'chord',
+    window: 0.12,
+    minCombo: 8,
+    cooldown: 12,
+    effect: { type: 'rally', statuses: [{ type: 'shield', stacks: 25, duration: 5 }] }
+  },
+  {
+    id: 'tech_trinity_strike',
+    name: 'Trinity Strike',
+    description: 'Azal, Fyra and Lucien strike in turn for one crushing blow',
+    heroes: ['hero_azal', 'hero_fyra', 'hero_lucien'],
+    input: 'sequence',
+    window: 0.8,
+    minCombo: 8,
+    cooldown: 10,
+    effect: { type: 'strike', multiplier: 1 }
+  }
+];
@@ -0,0 +1,59 @@
+// Guild Hall upgrades for Key Combat AI
+// Permanent upgrades bought with Demon Souls. `costs` lists the price of each
+// level, so its length is the maximum level. `type` decides what the upgrade
+// does (see js/upgrades.js):
+//   partySize    +`amount` heroes per level in the run party
+//   startingHP   +`amount` (fraction) max HP per level for every hero
+//   boonRerolls  +`amount` boon offering rerolls per run per level
+//   heroUnlock   adds `hero` to the unlocked heroes
+
+window.upgradesData = [
+  {
+    id: 'upgrade_party_size',
+    name: 'Expanded Roster',
+    description: 'Bring one more hero into each run',
+    type: 'partySize',
+    amount: 1,
+    costs: [40, 90]
+  },
+  {
+    id: 'upgrade_vitality',
+    name: 'Guild Infirmary',
+    description: 'Heroes start runs with 5% more max HP',
+    type: 'startingHP',
+    amount: 0.05,
+    costs: [10, 20, 35, 55, 80]
+  },
+  {
+    id: 'upgrade_rerolls',
+    name: 'Oracle\'s Favor',
+    description: 'Reroll one boon offering per run',
+    type: 'boonRerolls',
+    amount: 1,
+    costs: [15, 35, 60]
+  },
+  {
+    id: 'unlock_hero_raeni',
+    name: 'Recruit Raeni',
+    description: 'Raeni joins the guild',
+    type: 'heroUnlock',
+    hero: 'hero_raeni',
+    costs: [25]
+  },
+  {
+    id: 'unlock_hero_velra',
+    name: 'Recruit Velra',
+    description: 'Velra joins the guild',
+    type: 'heroUnlock',
+    hero: 'hero_velra',
+    costs: [25]
+  },
+  {
+    id: 'unlock_hero_zhae',
+    name: 'Recruit Zhae',
+    description: 'Zhae joins the guild',
+    type: 'heroUnlock',
+    hero: 'hero_zhae',
+    costs: [30]
+  }
+];
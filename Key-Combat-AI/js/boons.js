@@ -0,0 +1,111 @@
+/*
+ * Boon logic for Key Combat AI.
+ *
+ * Combines the modifiers and status effects of the boons taken during a run
+ * (see `data/boons.js`) and rolls the choices shown on the offering screen.
+ */
+
+// Every modifier a boon may set. All are multipliers, so 1 means no change.
+const BOON_MODIFIER_DEFAULTS = {
+    heroAttack: 1,
+    heroMaxHP: 1,
+    heroDamageTaken: 1,
+    ultCharge: 1,
+    timingWindow: 1,
+    defenseWindow: 1,
+    tempo: 1,
+    enemyHP: 1,
+    enemyAttack: 1,
+    enemySpeed: 1
+};
+
+// Number of boons presented at each offering
+const BOON_OFFER_SIZE = 3;
+
+/**
+ * @returns {object} A fresh set of modifiers with no boons applied.
+ */
+function createModifiers() {
+    return Object.assign({}, BOON_MODIFIER_DEFAULTS);
+}
+
+/**
+ * @returns {object[]} Every boon, tagged with its `source` ('god' or 'demon').
+ */
+function getAllBoons() {
+    return boonsData.gods.map((b) => Object.assign({ source: 'god' }, b))
+        .concat(boonsData.demons.map((b) => Object.assign({ source: 'demon' }, b)));
+}
+
+/**
+ * @param {string} id Boon identifier.
+ * @returns {object|undefined} The boon, tagged with its source.
+ */
+function getBoon(id) {
+    return getAllBoons().find((b) => b.id === id);
+}
+
+/**
+ * Multiply together the modifiers of a set of boons.
+ * @param {string[]} boonIds Identifiers of the active boons.
+ * @returns {object} Combined modifiers.
+ */
+function combineBoonModifiers(boonIds) {
+    const mods = createModifiers();
+    for (const id of boonIds) {
+        const boon = getBoon(id);
+        if (!boon) continue;
+        for (const key in boon.modifiers) {
+            if (key in mods) {
+                mods[key] *= boon.modifiers[key];
+            } else {
+                console.warn(`Boon ${id} has unknown modifier ${key}`);
+            }
+        }
+    }
+    return mods;
+}
+
+/**
+ * Gather the statuses a set of boons lists under a field.
+ * @param {string[]} boonIds Identifiers of the active boons.
+ * @param {'inflicts'|'statuses'} field Which list to gather.
+ * @returns {object[]} Statuses as `{ type, stacks, duration }`.
+ */
+function getBoonStatuses(boonIds, field) {
+    let statuses = [];
+    for (const id of boonIds) {
+        const boon = getBoon(id);
+        if (boon && boon[field]) {
+            statuses = statuses.concat(boon[field]);
+        }
+    }
+    return statuses;
+}
+
+/**
+ * Roll the boons for an offering. Boons already taken are left out. When
+ * possible the offer includes at least one god and one demon.
+ * @param {string[]} ownedIds Boons already active this run.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {object[]} Up to BOON_OFFER_SIZE boons.
+ */
+function rollBoonOffer(ownedIds, rng) {
+    const pool = getAllBoons().filter((b) => !ownedIds.includes(b.id));
+    const take = (candidates) => {
+        const boon = rng.pick(candidates);
+        pool.splice(pool.indexOf(boon), 1);
+        return boon;
+    };
+    const offer = [];
+    for (const source of ['god', 'demon']) {
+        const candidates = pool.filter((b) => b.source === source);
+        if (candidates.length > 0 && offer.length < BOON_OFFER_SIZE) {
+            offer.push(take(candidates));
+        }
+    }
+    while (offer.length < BOON_OFFER_SIZE && pool.length > 0) {
+        offer.push(take(pool));
+    }
+    return offer;
+}
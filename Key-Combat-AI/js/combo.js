@@ -0,0 +1,188 @@
+/*
+ * Combo counter and team techniques for Key Combat AI.
+ *
+ * Each fight keeps a combo in `currentEncounter.combo`. Every note a hero hits
+ * adds to it, and a missed note or a hit a hero fails to block or parry
+ * breaks it. Every COMBO.STEP_HITS hits raise the party's damage by
+ * COMBO.STEP_BONUS, up to COMBO.MAX_BONUS.
+ *
+ * Team techniques (see `data/techniques.js`) fire when their heroes press
+ * their keys together or hit notes in turn. The combo remembers recent
+ * presses as `{ heroId, time, judged }` to spot them; a chord needs one of
+ * its presses to hit a note, and a sequence counts only presses that did, so
+ * techniques still follow the rhythm. Each technique's `effect.type` names
+ * an entry of TECHNIQUE_EFFECTS, which implements:
+ *   fire(effect, battle, power)   battle = { target, enemies, party }, the
+ *                                 selected enemy, living enemies and living
+ *                                 heroes; power = the heroes' combined
+ *                                 attack, scaled by the combo
+ */
+
+const COMBO = {
+    STEP_HITS: 5,
+    STEP_BONUS: 0.1,
+    MAX_BONUS: 0.5,
+    // Seconds of presses kept for spotting techniques
+    PRESS_MEMORY: 3
+};
+
+// Callout colours for combo milestones, breaks and techniques
+const COMBO_COLOR = '#f1c40f';
+const COMBO_BREAK_COLOR = '#e74c3c';
+const TECHNIQUE_COLOR = '#e84393';
+
+const TECHNIQUE_EFFECTS = {
+    // One hit on the selected enemy
+    strike: {
+        fire(effect, battle, power) {
+            if (!battle.target) return;
+            battle.target.takeDamage(power * effect.multiplier);
+            applyStatuses(battle.target, effect.inflicts);
+        }
+    },
+
+    // Hit every living enemy
+    wave: {
+        fire(effect, battle, power) {
+            battle.enemies.forEach((enemy) => {
+                enemy.takeDamage(power * effect.multiplier);
+                applyStatuses(enemy, effect.inflicts);
+            });
+        }
+    },
+
+    // Give every living hero the `statuses` listed
+    rally: {
+        fire(effect, battle) {
+            battle.party.forEach((hero) => applyStatuses(hero, effect.statuses));
+        }
+    }
+};
+
+/**
+ * @returns {object} A combo for a new fight.
+ */
+function createCombo() {
+    return {
+        count: 0,
+        best: 0,
+        presses: [],
+        // Track time each technique can fire again, by id
+        cooldowns: {},
+        // Last milestone, break or technique to show: { name, color, time }
+        callout: null
+    };
+}
+
+/**
+ * @param {object} [combo] Combo from createCombo.
+ * @returns {number} The damage multiplier the combo gives, 1 without one.
+ */
+function getComboMultiplier(combo) {
+    if (!combo) return 1;
+    const steps = Math.floor(combo.count / COMBO.STEP_HITS);
+    return 1 + Math.min(COMBO.MAX_BONUS, steps * COMBO.STEP_BONUS);
+}
+
+/**
+ * Count a note hit, calling out each new damage step.
+ * @param {object} combo Combo from createCombo.
+ * @param {number} time Track time of the hit.
+ */
+function addComboHit(combo, time) {
+    const before = getComboMultiplier(combo);
+    combo.count++;
+    combo.best = Math.max(combo.best, combo.count);
+    const after = getComboMultiplier(combo);
+    if (after > before) {
+        combo.callout = { name: `Combo x${after.toFixed(1)}`, color: COMBO_COLOR, time };
+    }
+}
+
+/**
+ * Reset the combo after a miss or a hit taken. Breaking a combo that had
+ * raised damage is called out.
+ * @param {object} combo Combo from createCombo.
+ * @param {number} time Track time of the break.
+ */
+function breakCombo(combo, time) {
+    if (getComboMultiplier(combo) > 1) {
+        combo.callout = { name: 'Combo broken', color: COMBO_BREAK_COLOR, time };
+    }
+    combo.count = 0;
+}
+
+/**
+ * @param {string} id Technique identifier.
+ * @returns {object|undefined} The technique from techniquesData.
+ */
+function getTechnique(id) {
+    return techniquesData.find((technique) => technique.id === id);
+}
+
+/**
+ * @param {Hero[]} party The party.
+ * @returns {object[]} The techniques every one of whose heroes is in the party.
+ */
+function getPartyTechniques(party) {
+    return techniquesData.filter((technique) => technique.heroes.every((id) => party.some((hero) => hero.id === id)));
+}
+
+/**
+ * A chord needs every hero to press within `window` seconds of the last
+ * press, and at least one of those presses to hit a note, since charts
+ * seldom put notes on two lanes at once. A sequence needs its heroes to hit
+ * notes in order, ending with the last press.
+ * @param {object} technique Technique from techniquesData.
+ * @param {{heroId: string, time: number, judged: boolean}[]} presses Recent
+ *     presses, oldest first, ending with the press just made.
+ * @returns {boolean} True if the presses perform the technique.
+ */
+function isTechniqueInput(technique, presses) {
+    const last = presses[presses.length - 1];
+    if (technique.input === 'chord') {
+        const chord = presses.filter((press) => technique.heroes.includes(press.heroId)
+            && last.time - press.time <= technique.window);
+        return technique.heroes.includes(last.heroId)
+            && technique.heroes.every((id) => chord.some((press) => press.heroId === id))
+            && chord.some((press) => press.judged);
+    }
+    if (!last.judged) return false;
+    const recent = presses.filter((press) => press.judged).slice(-technique.heroes.length);
+    return recent.length === technique.heroes.length
+        && recent.every((press, i) => press.heroId === technique.heroes[i]
+            && (i === 0 || press.time - recent[i - 1].time <= technique.window));
+}
+
+/**
+ * Record a hero's key press and fire the first technique it completes.
+ * @param {object} combo Combo from createCombo.
+ * @param {Hero} hero The hero who pressed.
+ * @param {number} time Track time of the press.
+ * @param {{target: Enemy, enemies: Enemy[], party: Hero[]}} battle The
+ *     selected enemy, living enemies and living heroes.
+ * @param {boolean} judged True if the press hit a note.
+ * @returns {object|null} The technique fired, or null.
+ */
+function pressTechniqueKey(combo, hero, time, battle, judged) {
+    combo.presses = combo.presses.filter((press) => time - press.time <= COMBO.PRESS_MEMORY);
+    combo.presses.push({ heroId: hero.id, time, judged: Boolean(judged) });
+    const technique = techniquesData.find((t) => combo.count >= (t.minCombo || 0)
+        && time >= (combo.cooldowns[t.id] || -Infinity)
+        && t.heroes.every((id) => battle.party.some((ally) => ally.id === id))
+        && isTechniqueInput(t, combo.presses));
+    if (!technique) return null;
+    const type = TECHNIQUE_EFFECTS[technique.effect.type];
+    if (!type) {
+        console.warn(`Technique ${technique.id} has unknown effect type ${technique.effect.type}`);
+        return null;
+    }
+    const heroes = battle.party.filter((ally) => technique.heroes.includes(ally.id));
+    const power = heroes.reduce((sum, ally) => sum + ally.baseAttack * ally.level * ally.modifiers.heroAttack, 0)
+        * getComboMultiplier(combo);
+    type.fire(technique.effect, battle, power);
+    combo.presses = [];
+    combo.cooldowns[technique.id] = time + (technique.cooldown || 0);
+    combo.callout = { name: technique.name, color: TECHNIQUE_COLOR, time };
+    return technique;
+}
@@ -0,0 +1,118 @@
+/*
+ * Key binding logic for Key Combat AI.
+ *
+ * A binding slot is a hero's combat key or one of the actions in
+ * `data/controls.js`. The player's bindings are `{ preset, keys }`: the chosen
+ * layout preset plus the keys they rebound by hand, keyed by slot id. A slot's
+ * key is the hand-picked one, else the preset's, else the default.
+ */
+
+/**
+ * @param {string} key A `KeyboardEvent.key` value.
+ * @returns {string} The key as stored in bindings.
+ */
+function normalizeKey(key) {
+    return key.toLowerCase();
+}
+
+/**
+ * @param {string} key A stored key.
+ * @returns {string} A short name to show the player, e.g. 'Y' or 'Left'.
+ */
+function getKeyLabel(key) {
+    if (key === ' ') return 'Space';
+    if (key.length === 1) return key.toUpperCase();
+    const name = key.replace(/^arrow/, '');
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+/**
+ * List every bindable slot: the heroes' combat keys followed by the actions.
+ * @param {object[]} heroes Heroes that can be bound.
+ * @returns {{id: string, name: string, scope: string, key: string}[]}
+ */
+function getBindingSlots(heroes) {
+    const heroSlots = heroes.map((h) => ({
+        id: h.id,
+        name: h.name,
+        scope: 'combat',
+        key: normalizeKey(h.key)
+    }));
+    return heroSlots.concat(controlsData.actions);
+}
+
+/**
+ * @param {string} id Preset identifier.
+ * @returns {object|undefined} The preset from controlsData.
+ */
+function getControlPreset(id) {
+    return controlsData.presets.find((p) => p.id === id);
+}
+
+/**
+ * @param {string} [presetId] Layout preset, the default preset if omitted.
+ * @returns {{preset: string, keys: object}} Bindings with no keys rebound.
+ */
+function createBindings(presetId = controlsData.defaultPreset) {
+    return { preset: presetId, keys: {} };
+}
+
+/**
+ * @param {object} bindings The player's bindings.
+ * @param {object} slot Binding slot from getBindingSlots.
+ * @returns {string} The key bound to the slot.
+ */
+function getBoundKey(bindings, slot) {
+    if (bindings.keys[slot.id]) return bindings.keys[slot.id];
+    const preset = getControlPreset(bindings.preset);
+    if (preset && preset.keys[slot.id]) return preset.keys[slot.id];
+    return slot.key;
+}
+
+/**
+ * Find the slot in the same scope that already uses a key.
+ * @param {object} bindings The player's bindings.
+ * @param {object[]} slots Every binding slot.
+ * @param {object} slot The slot being rebound.
+ * @param {string} key The proposed key.
+ * @returns {object|null} The conflicting slot, if any.
+ */
+function findBindingConflict(bindings, slots, slot, key) {
+    return slots.find((other) => (
+        other.id !== slot.id &&
+        other.scope === slot.scope &&
+        getBoundKey(bindings, other) === key
+    )) || null;
+}
+
+/**
+ * Bind a key to a slot unless it is reserved or taken in the slot's scope.
+ * @param {object} bindings The player's bindings, updated in place.
+ * @param {object[]} slots Every binding slot.
+ * @param {object} slot The slot to rebind.
+ * @param {string} key A `KeyboardEvent.key` value.
+ * @returns {string|null} Why the key was rejected, or null if it was bound.
+ */
+function rebindKey(bindings, slots, slot, key) {
+    const normalized = normalizeKey(key);
+    const reserved = controlsData.reserved[slot.scope] || [];
+    if (reserved.includes(normalized)) {
+        return `${getKeyLabel(normalized)} cannot be rebound here.`;
+    }
+    const conflict = findBindingConflict(bindings, slots, slot, normalized);
+    if (conflict) {
+        return `${getKeyLabel(normalized)} is already used by ${conflict.name}.`;
+    }
+    bindings.keys[slot.id] = normalized;
+    return null;
+}
+
+/**
+ * Switch to a layout preset, clearing keys rebound by hand.
+ * @param {object} bindings The player's bindings, updated in place.
+ * @param {string} presetId Preset identifier.
+ */
+function applyControlPreset(bindings, presetId) {
+    bindings.preset = presetId;
+    bindings.keys = {};
+}
@@ -0,0 +1,1728 @@
+/*
+ * Game simulation core for Key Combat AI.
+ *
+ * Heroes, enemies, combat resolution, map progression, gacha draws and
+ * save/load, with no DOM access. The browser layer in js/game.js draws this
+ * state on the canvas and feeds it input; js/headless.js loads the same
+ * scripts into Node so the rules can be tested without a browser. Saves and
+ * key bindings go through the storage passed to initGameCore.
+ */
+
+// ----- Data from data scripts -----
+// The following global variables are expected to be defined by the files in the
+// `data` folder: `charactersData`, `enemiesData`, `roomsData`, `boonsData`.
+// They are checked before anything is built from them; problems are logged
+// and shown on the menu rather than stopping the game. Content packs are
+// merged into the same globals by initGameCore (see js/packs.js).
+let dataProblems = validateGameData();
+dataProblems.forEach((problem) => console.warn(formatDataProblem(problem)));
+
+// Game states enumeration
+const GAME_STATES = {
+    MENU: 'menu',
+    MAP: 'map',
+    COMBAT: 'combat',
+    OFFERING: 'offering',
+    GUILD_HALL: 'guild_hall',
+    PULL_HISTORY: 'pull_history',
+    PARTY_SELECT: 'party_select',
+    CONTROLS: 'controls',
+    SAVES: 'saves',
+    PACKS: 'packs',
+    RUN_END: 'run_end',
+    REPLAY_END: 'replay_end',
+    CARD_REVEAL: 'card_reveal',
+    SHOP: 'shop',
+    REST: 'rest'
+};
+
+// Current game state
+let currentState = GAME_STATES.MENU;
+
+// Filter heroes that have art assets available
+let availableHeroes = charactersData.filter((h) => h.image);
+
+// Current card reveal information, and the reveals still to show after a
+// multi-pull
+let currentReveal = null;
+let revealQueue = [];
+
+// Level-up configuration. Each entry defines how much a stat increases per level.
+// Stats not listed here (e.g., ultCharge) remain unchanged when leveling up.
+const LEVEL_UP_INCREMENTS = {
+    hp: 10,
+    atk: 2
+};
+
+function getLeveledStats(data, level) {
+    const hpInc = LEVEL_UP_INCREMENTS.hp || 0;
+    const atkInc = LEVEL_UP_INCREMENTS.atk || 0;
+    return {
+        hp: data.baseHP + (level - 1) * hpInc,
+        atk: data.baseAttack + (level - 1) * atkInc,
+        ultCharge: data.ultChargeNeeded
+    };
+}
+
+function applyLeveledStats(hero, data) {
+    const stats = getLeveledStats(data, hero.level);
+    hero.baseHP = stats.hp;
+    hero.baseAttack = stats.atk;
+    hero.ultChargeNeeded = stats.ultCharge;
+    hero.currentHP = hero.baseHP;
+}
+
+/**
+ * Level a hero up for the rest of the run. The saved level is unchanged. Max
+ * HP grows with the Guild Hall starting HP bonus, and a living hero gains the
+ * extra HP.
+ * @param {Hero} hero Hero in the party.
+ * @param {number} levels Levels gained.
+ */
+function trainHero(hero, levels) {
+    const oldMax = hero.maxHP;
+    hero.level += levels;
+    hero.trainedLevels += levels;
+    const stats = getLeveledStats(getHeroData(hero.id), hero.level);
+    hero.baseHP = Math.round(stats.hp * (1 + getUpgradeTotal(saveData, 'startingHP')));
+    hero.baseAttack = stats.atk;
+    hero.ultChargeNeeded = stats.ultCharge;
+    if (hero.currentHP > 0) {
+        hero.heal(hero.maxHP - oldMax);
+    }
+}
+
+// Class representing a hero card
+class Hero {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.type = data.type; // 'Attack' or 'Support'
+        this.baseHP = data.baseHP;
+        this.baseAttack = data.baseAttack;
+        this.passive = data.passive; // Structured passive, see js/passives.js
+        this.key = data.key.toLowerCase();
+        this.ultChargeNeeded = data.ultChargeNeeded;
+        this.ultEffect = data.ultEffect;
+        this.ult = data.ult; // Structured ult, see js/ults.js
+        this.level = 1;
+        // Levels gained by training during the run, on top of the saved level
+        this.trainedLevels = 0;
+        this.modifiers = createModifiers(); // Boon modifiers for the run
+        this.currentHP = this.baseHP;
+        this.ultMeter = 0;
+        // Key hold in progress while the ult is ready: { start, judgment, charging }
+        this.ultHold = null;
+        // Passive timers and cooldowns, and callouts waiting to be shown
+        this.passiveState = {};
+        this.callouts = [];
+        this.lowHP = false;
+        // Status effects by type, see js/status.js
+        this.statuses = {};
+        // Random rolls for passives; replaced by the run's combat RNG
+        this.rng = createRng(randomSeed());
+    }
+
+    get maxHP() {
+        return Math.round(this.baseHP * this.modifiers.heroMaxHP);
+    }
+
+    isUltReady() {
+        return this.ultMeter >= this.ultChargeNeeded;
+    }
+
+    /**
+     * Apply a new set of boon modifiers. A higher max HP also heals the
+     * difference; a lower one caps current HP.
+     * @param {object} modifiers Combined boon modifiers.
+     */
+    setModifiers(modifiers) {
+        const oldMax = this.maxHP;
+        this.modifiers = modifiers;
+        if (this.maxHP > oldMax && this.currentHP > 0) {
+            this.currentHP += this.maxHP - oldMax;
+        }
+        this.currentHP = Math.min(this.currentHP, this.maxHP);
+    }
+
+    /**
+     * Restore HP, up to max HP. Knocked out heroes are revived by any heal.
+     * @param {number} amount HP restored.
+     */
+    heal(amount) {
+        this.currentHP = Math.min(this.maxHP, this.currentHP + amount);
+        if (this.lowHP && this.currentHP > this.maxHP * getLowHPThreshold(this)) {
+            this.lowHP = false;
+        }
+    }
+
+    /**
+     * Attack a target and charge the ult meter. The fight's combo scales the
+     * damage, and Perfect hits fire the run's perfectHit relics, which may
+     * change the hit, and chip a guarded target's guard; other hits on a
+     * guarded target deal nothing. The statuses the run's boons inflict are
+     * applied to the target, and haste or slow scale the ult charge gained.
+     * @param {Enemy} target The enemy to hit.
+     * @param {object} [judgment] Timing judgment from the rhythm track. Scales
+     *     damage and ult charge; a plain attack when omitted.
+     */
+    attack(target, judgment) {
+        // Deal damage equal to baseAttack (scaled by level and timing) and charge the ult meter
+        const hit = {
+            target,
+            damage: this.baseAttack * this.level * this.modifiers.heroAttack * (judgment ? judgment.damage : 1)
+                * getCurrentComboMultiplier(),
+            strikes: 1
+        };
+        runPassiveHook(this, 'onAttack', hit);
+        if (judgment === JUDGMENTS.PERFECT) {
+            triggerRelics('perfectHit', { hero: this, hit });
+            if (target.strikeGuard()) {
+                this.callouts.push(ENEMY_CALLOUTS.GUARD_BREAK);
+            }
+        } else if (target.guard > 0) {
+            this.callouts.push(ENEMY_CALLOUTS.GUARDED);
+        }
+        for (let i = 0; i < hit.strikes; i++) {
+            target.takeDamage(hit.damage);
+        }
+        applyBoonStatuses('inflicts', target);
+        this.gainUltCharge((judgment ? judgment.charge : 1) * this.modifiers.ultCharge * getStatusSpeed(this));
+    }
+
+    /**
+     * Add to the ult meter, up to the amount needed to fire.
+     * @param {number} amount Meter to add.
+     */
+    gainUltCharge(amount) {
+        this.ultMeter = Math.min(this.ultChargeNeeded, this.ultMeter + amount);
+    }
+
+    /**
+     * Advance status effects and the passive's timers.
+     * @param {number} dt Seconds since last update.
+     * @param {Hero[]} party The whole party, for passives that affect allies.
+     */
+    update(dt, party) {
+        if (this.currentHP <= 0) return;
+        updateStatuses(this, dt);
+        if (this.currentHP <= 0) return;
+        if (this.lowHP && this.currentHP > this.maxHP * getLowHPThreshold(this)) {
+            this.lowHP = false;
+        }
+        runPassiveHook(this, 'tick', dt, party);
+    }
+
+    /**
+     * Fire the ultimate if the meter is full. What it does is set by the
+     * hero's `ult` data; see js/ults.js. The fight's combo scales its power,
+     * and the run's ult relics fire first and may change it.
+     * @param {{target: Enemy, enemies: Enemy[], party: Hero[]}} battle The
+     *     selected enemy, living enemies and living heroes.
+     * @param {number} [chargePercent=1.0] Strength from the charge gauge.
+     */
+    tryUlt(battle, chargePercent = 1.0) {
+        // Only perform ultimate if meter full
+        if (this.ultMeter >= this.ultChargeNeeded) {
+            const hit = { damage: this.baseAttack * this.level * this.modifiers.heroAttack * chargePercent * getCurrentComboMultiplier() };
+            triggerRelics('ult', { hero: this, hit });
+            fireUlt(this, battle, hit.damage, chargePercent);
+            this.ultMeter = 0;
+        }
+    }
+
+    /**
+     * Take a hit. The passive may reduce or dodge it, then statuses such as
+     * vulnerable and shield change what reaches HP.
+     * @param {number} amount Damage dealt.
+     * @returns {boolean} False if the hit was dodged.
+     */
+    takeDamage(amount) {
+        const hit = { amount: amount * this.modifiers.heroDamageTaken, dodged: false };
+        runPassiveHook(this, 'onDamageTaken', hit);
+        if (hit.dodged) return false;
+        runStatusHook(this, 'onDamageTaken', hit);
+        this.loseHP(hit.amount);
+        return true;
+    }
+
+    /**
+     * Lose HP directly, as from a hit that got through or a status ticking.
+     * A knocked out hero loses their statuses and fires the heroKO relics.
+     * @param {number} amount HP lost.
+     */
+    loseHP(amount) {
+        const wasUp = this.currentHP > 0;
+        this.currentHP = Math.max(0, this.currentHP - amount);
+        if (wasUp && this.currentHP === 0) {
+            this.statuses = {};
+            triggerRelics('heroKO', { hero: this });
+        }
+        if (!this.lowHP && this.currentHP > 0 && this.currentHP <= this.maxHP * getLowHPThreshold(this)) {
+            this.lowHP = true;
+            runPassiveHook(this, 'onLowHP');
+        }
+    }
+}
+
+// Hold-to-charge ultimate tuning, in seconds. Holding a hero's key while the
+// ult meter is full turns the press into a charge once HOLD_THRESHOLD passes;
+// shorter presses stay normal attacks. Charge builds from MIN_CHARGE to 100%
+// over FULL_CHARGE_TIME. Releasing within OVERCHARGE_WINDOW after that grants
+// OVERCHARGE_PERCENT; holding any longer fumbles the ult at FUMBLE_PERCENT.
+const ULT_CHARGE = {
+    HOLD_THRESHOLD: 0.25,
+    FULL_CHARGE_TIME: 1.5,
+    MIN_CHARGE: 0.3,
+    OVERCHARGE_WINDOW: 0.35,
+    OVERCHARGE_PERCENT: 1.25,
+    FUMBLE_PERCENT: 0.25
+};
+
+// Callouts shown in a hero's lane when an ult fires
+const ULT_RESULTS = {
+    CHARGED: { name: 'Ultimate!', color: '#9b59b6' },
+    OVERCHARGE: { name: 'Overcharge!', color: '#f1c40f' },
+    FUMBLE: { name: 'Fumble', color: '#e74c3c' }
+};
+
+/**
+ * Work out the ult strength for a charge held for the given time.
+ * @param {number} chargeTime Seconds spent charging (after HOLD_THRESHOLD).
+ * @returns {{percent: number, result: object}} Charge percent for
+ *     Hero.tryUlt and the ULT_RESULTS callout to show.
+ */
+function getUltChargePercent(chargeTime) {
+    if (chargeTime < ULT_CHARGE.FULL_CHARGE_TIME) {
+        const progress = chargeTime / ULT_CHARGE.FULL_CHARGE_TIME;
+        return {
+            percent: ULT_CHARGE.MIN_CHARGE + (1 - ULT_CHARGE.MIN_CHARGE) * progress,
+            result: ULT_RESULTS.CHARGED
+        };
+    }
+    if (chargeTime <= ULT_CHARGE.FULL_CHARGE_TIME + ULT_CHARGE.OVERCHARGE_WINDOW) {
+        return { percent: ULT_CHARGE.OVERCHARGE_PERCENT, result: ULT_RESULTS.OVERCHARGE };
+    }
+    return { percent: ULT_CHARGE.FUMBLE_PERCENT, result: ULT_RESULTS.FUMBLE };
+}
+
+// Attack behavior used when an enemy's data leaves a field out. Times are in
+// seconds: attackInterval is the rest between attacks and windUp is how long
+// the attack is telegraphed before it lands.
+const ENEMY_DEFAULTS = {
+    attackInterval: 3,
+    windUp: 1,
+    targetPolicy: 'random'
+};
+
+// Defending against a telegraphed attack. The targeted hero's key pressed
+// within BLOCK_WINDOW seconds of the hit blocks part of the damage; within
+// PARRY_WINDOW it parries the hit entirely and charges the hero's ult.
+const DEFENSE = {
+    BLOCK_WINDOW: 0.4,
+    PARRY_WINDOW: 0.12,
+    BLOCK_DAMAGE: 0.5,
+    PARRY_ULT_CHARGE: 1
+};
+
+// Callouts shown in a hero's lane when an enemy attack lands
+const DEFENSE_RESULTS = {
+    PARRY: { name: 'Parry!', color: '#f1c40f' },
+    BLOCK: { name: 'Block', color: '#3498db' },
+    HIT: { name: 'Hit!', color: '#e74c3c' }
+};
+
+// Callouts shown in a hero's lane when they hit a guarded enemy
+const ENEMY_CALLOUTS = {
+    GUARDED: { name: 'Guarded', color: '#95a5a6' },
+    GUARD_BREAK: { name: 'Guard Break!', color: '#f1c40f' }
+};
+
+// Banner colour for an enemy entering a new phase
+const PHASE_COLOR = '#c0392b';
+
+// Class representing an enemy
+class Enemy {
+    constructor(data) {
+        this.id = data.id;
+        this.name = data.name;
+        this.hp = data.hp;
+        this.maxHP = data.hp;
+        this.attackPower = data.attackPower;
+        this.attackInterval = data.attackInterval || ENEMY_DEFAULTS.attackInterval;
+        this.windUp = data.windUp || ENEMY_DEFAULTS.windUp;
+        this.targetPolicy = data.targetPolicy || ENEMY_DEFAULTS.targetPolicy;
+        // Statuses each landed attack inflicts, see js/status.js
+        this.inflicts = data.inflicts || [];
+        this.statuses = {};
+        // Bosses keep their own stats in elite rooms
+        this.boss = !!data.boss;
+        // Perfect hits still needed to break the guard; while guarded, hits
+        // deal no damage
+        this.guard = data.guard || 0;
+        // Attacks cycled in order, each scaling power and wind-up, and the
+        // next one to use
+        this.pattern = data.pattern || null;
+        this.patternIndex = 0;
+        // Phases entered as HP falls, and how many have started
+        this.phases = data.phases || [];
+        this.phaseCount = 0;
+        this.phaseName = null;
+        // Seconds until the next wind-up starts
+        this.attackTimer = this.attackInterval;
+        // Attack being wound up: { target, remaining, windUp, power, defense }
+        this.telegraph = null;
+        // Random target choices; replaced by the run's combat RNG
+        this.rng = createRng(randomSeed());
+    }
+
+    /**
+     * Take a hit, changed by statuses such as vulnerable and shield. A
+     * guarded enemy takes no damage from hits and keeps its shield.
+     * @param {number} amount Damage dealt.
+     */
+    takeDamage(amount) {
+        if (this.guard > 0) return;
+        const hit = { amount };
+        runStatusHook(this, 'onDamageTaken', hit);
+        this.loseHP(hit.amount);
+    }
+
+    /**
+     * A guarded enemy loses no HP, so statuses like burn and poison do not
+     * tick through the guard either. HP stops at the threshold of the next
+     * phase until that phase starts, so no phase is skipped.
+     * @param {number} amount HP lost, as from a hit or a status ticking.
+     */
+    loseHP(amount) {
+        if (this.guard > 0) return;
+        const phase = this.phases[this.phaseCount];
+        const floor = phase ? Math.min(this.hp, this.maxHP * phase.at) : 0;
+        this.hp = Math.max(floor, this.hp - amount);
+        if (this.hp === 0) this.statuses = {};
+    }
+
+    /**
+     * @param {number} amount HP restored, up to max HP.
+     */
+    heal(amount) {
+        this.hp = Math.min(this.maxHP, this.hp + amount);
+    }
+
+    isAlive() {
+        return this.hp > 0;
+    }
+
+    /**
+     * Chip the guard with a Perfect hit.
+     * @returns {boolean} True if the hit broke the guard.
+     */
+    strikeGuard() {
+        if (this.guard <= 0) return false;
+        this.guard--;
+        return this.guard === 0;
+    }
+
+    /**
+     * Start the next phase if HP has fallen to its threshold.
+     * @returns {object|null} The phase started, or null.
+     */
+    takeNextPhase() {
+        const phase = this.phases[this.phaseCount];
+        if (!phase || !this.isAlive() || this.hp > this.maxHP * phase.at) return null;
+        this.phaseCount++;
+        this.phaseName = phase.name;
+        if (phase.power) this.attackPower *= phase.power;
+        if (phase.speed) {
+            this.attackInterval /= phase.speed;
+            this.windUp /= phase.speed;
+        }
+        if (phase.targetPolicy) this.targetPolicy = phase.targetPolicy;
+        if (phase.inflicts) this.inflicts = phase.inflicts;
+        if (phase.pattern) {
+            this.pattern = phase.pattern;
+            this.patternIndex = 0;
+        }
+        if (phase.guard) this.guard = phase.guard;
+        return phase;
+    }
+
+    // Cancel the attack being wound up and restart the attack timer
+    interrupt() {
+        if (this.telegraph) {
+            this.telegraph = null;
+            this.attackTimer = this.attackInterval;
+        }
+    }
+
+    /**
+     * Scale this enemy's stats by the run's boon modifiers.
+     * @param {object} modifiers Combined boon modifiers.
+     */
+    applyModifiers(modifiers) {
+        this.hp = Math.round(this.hp * modifiers.enemyHP);
+        this.maxHP = this.hp;
+        this.attackPower *= modifiers.enemyAttack;
+        this.attackInterval /= modifiers.enemySpeed;
+        this.windUp /= modifiers.enemySpeed;
+        this.attackTimer = this.attackInterval;
+    }
+
+    /**
+     * Choose which living hero to attack according to the target policy:
+     * 'random', 'lowestHP' or 'front' (the first hero in the party).
+     * @param {Hero[]} heroes The party.
+     * @param {string} [policy] Policy to use instead of the enemy's own.
+     * @returns {Hero|null}
+     */
+    chooseTarget(heroes, policy = this.targetPolicy) {
+        const alive = heroes.filter((hero) => hero.currentHP > 0);
+        if (alive.length === 0) return null;
+        switch (policy) {
+            case 'lowestHP':
+                return alive.reduce((low, hero) => (hero.currentHP < low.currentHP ? hero : low));
+            case 'front':
+                return alive[0];
+            default:
+                return this.rng.pick(alive);
+        }
+    }
+
+    /**
+     * Advance the attack timer and wind-up, faster or slower with haste or
+     * slow. A stunned enemy's timers stand still. An enemy with an attack
+     * pattern winds up each attack as the next step of the pattern.
+     * @param {number} dt Seconds since last update.
+     * @param {Hero[]} heroes The party.
+     * @returns {object|null} The telegraph of an attack that lands this
+     *     update, or null.
+     */
+    updateAttack(dt, heroes) {
+        if (this.statuses.stun) return null;
+        dt *= getStatusSpeed(this);
+        if (this.telegraph) {
+            this.telegraph.remaining -= dt;
+            if (this.telegraph.remaining <= 0) {
+                const landed = this.telegraph;
+                this.telegraph = null;
+                this.attackTimer = this.attackInterval;
+                return landed.target.currentHP > 0 ? landed : null;
+            }
+            return null;
+        }
+        this.attackTimer -= dt;
+        if (this.attackTimer <= 0) {
+            const move = this.pattern ? this.pattern[this.patternIndex % this.pattern.length] : {};
+            const target = this.chooseTarget(heroes, move.targetPolicy);
+            if (target) {
+                const windUp = this.windUp * (move.windUp || 1);
+                this.telegraph = { target, remaining: windUp, windUp, power: this.attackPower * (move.power || 1), defense: null };
+                if (this.pattern) this.patternIndex++;
+            }
+        }
+        return null;
+    }
+}
+
+// Player party and current enemies
+let playerHeroes = [];
+let currentEnemies = [];
+
+// Encounter being fought: { data, waveIndex, isElite, rng, relicUses, combo,
+// tempoScale, banner }, and the index in currentEnemies of the enemy the
+// heroes are attacking. `banner` is the last enemy phase change to show:
+// { name, color, time }.
+let currentEncounter = null;
+let currentTargetIndex = 0;
+
+/**
+ * State of the run in progress, or null when no run is active.
+ * Holds the dungeon map, the last cleared node, the map cursor, the boons
+ * taken so far and their combined modifiers.
+ */
+let currentRun = null;
+
+// Run tuning: party size, elite stat scaling and the Demon Souls earned per
+// room.
+const RUN_CONFIG = {
+    BASE_PARTY_SIZE: 3,
+    ELITE_HP_MULTIPLIER: 2,
+    ELITE_ATTACK_MULTIPLIER: 1.5,
+    ELITE_TEMPO_MULTIPLIER: 1.1,
+    ENEMY_ATTACK_STAGGER: 0.75,
+    REWARD_SOULS: 5,
+    COMBAT_SOULS: 2,
+    ELITE_SOULS: 6,
+    VICTORY_SOULS: 15
+};
+
+// Where a run's map comes from: 'generated' builds one from the run seed and
+// data/mapgen.js, 'authored' uses the hand-written rooms in data/rooms.js
+// (with any rooms content packs add).
+const MAP_MODES = ['generated', 'authored'];
+
+// Rhythm track for the current encounter and the last judgment shown per lane
+let currentTrack = null;
+let laneFeedback = [];
+
+// Input state for rhythm combat. Presses and releases made during combat are
+// queued so updateCombat sees every one of them in order, even several within
+// a single frame.
+const keyState = {};
+const combatInputQueue = [];
+
+/**
+ * Record a key press or release for combat. Held keys repeating their press
+ * are ignored.
+ * @param {'down'|'up'} type Press or release.
+ * @param {string} key A `KeyboardEvent.key` value.
+ */
+function handleCombatKey(type, key) {
+    key = normalizeKey(key);
+    // A replay supplies its own inputs
+    if (currentReplay) return;
+    if (currentState === GAME_STATES.COMBAT && (type === 'up' || !keyState[key])) {
+        combatInputQueue.push({ type, key });
+    }
+    keyState[key] = type === 'down';
+}
+
+// Combat advances in fixed steps of COMBAT_TIMESTEP seconds, whatever the
+// frame rate, so the same inputs on the same steps always give the same
+// fight. A slow frame runs at most MAX_COMBAT_STEPS steps to catch up.
+const COMBAT_TIMESTEP = 1 / 120;
+const MAX_COMBAT_STEPS = 30;
+let combatAccumulator = 0;
+let combatStep = 0;
+
+// Replay being recorded for the current fight, the last finished recording,
+// and the replay being played back (see js/replay.js)
+let currentRecording = null;
+let lastReplay = null;
+let currentReplay = null;
+
+/** Storage for saves and key bindings, set by initGameCore. */
+let gameStorage = null;
+
+/**
+ * Persistent save data loaded from gameStorage.
+ * Contains the player's unlocked heroes, hero levels, Demon Souls currency,
+ * purchased Guild Hall upgrades, the gacha pity counter, pull history and the
+ * last party taken into a run. See js/save.js for the format.
+ */
+let saveData;
+
+/** Save slot that saveData is read from and written to. */
+let saveSlot = 1;
+
+/** Problem found while loading the save, shown in the menu. */
+let saveProblem = '';
+
+/** Last gacha draw result. Used to display feedback in the menu. */
+let lastGachaResult = null;
+
+/** Message from the last failed gacha attempt, e.g. not enough souls. */
+let gachaMessage = '';
+
+/**
+ * Load the active save slot from gameStorage. Unreadable data is
+ * quarantined and replaced with defaults.
+ * @returns {object} The save data object.
+ */
+function loadSaveData() {
+    try {
+        migrateLegacySave(gameStorage);
+        saveSlot = getActiveSaveSlot(gameStorage);
+        const result = loadSaveSlot(gameStorage, saveSlot);
+        if (result.problem) {
+            console.warn(result.problem);
+        }
+        saveProblem = result.problem || '';
+        return removeMissingHeroes(result.save);
+    } catch (e) {
+        console.warn('Failed to load save data', e);
+    }
+    return createDefaultSave();
+}
+
+/**
+ * Remove heroes that no longer exist from a save. Heroes from installed
+ * content packs are kept while their pack is disabled.
+ * @param {object} save Save data, updated in place.
+ * @returns {object} The save.
+ */
+function removeMissingHeroes(save) {
+    const validHeroIds = new Set(availableHeroes.map((h) => h.id));
+    contentPacks.forEach((entry) => {
+        (entry.pack.characters || []).forEach((hero) => validHeroIds.add(hero && hero.id));
+    });
+    save.unlockedHeroes = save.unlockedHeroes.filter((id) => validHeroIds.has(id));
+    for (const id in save.heroLevels) {
+        if (!validHeroIds.has(id)) {
+            delete save.heroLevels[id];
+        }
+    }
+    return save;
+}
+
+/**
+ * Save the current saveData object into its slot in gameStorage.
+ */
+function saveGameData() {
+    try {
+        writeSaveSlot(gameStorage, saveSlot, saveData);
+    } catch (e) {
+        console.warn('Failed to save game data', e);
+    }
+}
+
+/**
+ * Make another slot the active save and load it.
+ * @param {number} slot Slot number, from 1.
+ */
+function switchSaveSlot(slot) {
+    setActiveSaveSlot(gameStorage, slot);
+    saveData = loadSaveData();
+    lastGachaResult = null;
+}
+
+/**
+ * Import save JSON into a slot and make it the active save. Text that is not
+ * a valid save is rejected and the slot is left untouched.
+ * @param {number} slot Slot number, from 1.
+ * @param {string} text Save JSON.
+ * @returns {string|null} Why the import failed, or null on success.
+ */
+function importSaveText(slot, text) {
+    const result = parseSave(text);
+    const invalid = Object.keys(result.invalid);
+    if (result.error) return result.error;
+    if (invalid.length > 0) return `Invalid ${invalid.join(', ')}.`;
+    writeSaveSlot(gameStorage, slot, result.save);
+    switchSaveSlot(slot);
+    return null;
+}
+
+/**
+ * Load the player's key bindings from gameStorage, falling back to the
+ * default layout.
+ * @returns {{preset: string, keys: object}} The bindings.
+ */
+function loadControls() {
+    try {
+        const saved = JSON.parse(gameStorage.getItem('kca_controls'));
+        if (saved && typeof saved === 'object' && getControlPreset(saved.preset)) {
+            saved.keys = saved.keys || {};
+            return saved;
+        }
+    } catch (e) {
+        console.warn('Failed to load key bindings', e);
+    }
+    return createBindings();
+}
+
+/**
+ * Save the current key bindings into gameStorage.
+ */
+function saveControls() {
+    try {
+        gameStorage.setItem('kca_controls', JSON.stringify(controls));
+    } catch (e) {
+        console.warn('Failed to save key bindings', e);
+    }
+}
+
+/** Every bindable slot: hero combat keys, then the actions. */
+let bindingSlots = getBindingSlots(availableHeroes);
+
+/** The player's key bindings. */
+let controls = createBindings();
+
+/**
+ * Every installed content pack, in load order: the manifest's packs, then
+ * the ones the player imported. Each is `{ pack, source, enabled, problems,
+ * conflicts }`, where `source` is 'manifest' or 'file' and `problems` is
+ * non-empty if validation left the pack out.
+ */
+let contentPacks = [];
+
+/**
+ * Load the content packs, save and key bindings. Call once before anything
+ * else.
+ * @param {object} storage Storage with the localStorage interface, e.g.
+ *     localStorage in the browser or createMemoryStorage() in tests.
+ * @param {object[]} [manifestPacks] Packs listed in packs/manifest.json.
+ */
+function initGameCore(storage, manifestPacks = []) {
+    gameStorage = storage;
+    const manifestIds = manifestPacks.map((pack) => pack.id);
+    const disabled = getDisabledPacks(storage);
+    contentPacks = manifestPacks.map((pack) => ({ pack, source: 'manifest' }))
+        .concat(loadStoredPacks(storage)
+            .filter((pack) => !manifestIds.includes(pack.id))
+            .map((pack) => ({ pack, source: 'file' })));
+    contentPacks.forEach((entry) => {
+        entry.enabled = !disabled.includes(entry.pack.id);
+    });
+    applyEnabledPacks();
+    saveData = loadSaveData();
+    controls = loadControls();
+}
+
+/**
+ * Merge the enabled content packs into the data and rebuild what the core
+ * derives from it. Packs that fail validation are left out and keep their
+ * problems for the packs screen.
+ */
+function applyEnabledPacks() {
+    const result = applyContentPacks(contentPacks.filter((e) => e.enabled).map((e) => e.pack));
+    contentPacks.forEach((entry) => {
+        const rejected = result.rejected.find((r) => r.pack === entry.pack);
+        entry.problems = rejected ? rejected.problems : [];
+        entry.conflicts = result.conflicts.filter((c) => c.file === getPackFile(entry.pack));
+        entry.problems.concat(entry.conflicts).forEach((problem) => console.warn(formatDataProblem(problem)));
+    });
+    dataProblems = result.problems;
+    availableHeroes = charactersData.filter((h) => h.image);
+    bindingSlots = getBindingSlots(availableHeroes);
+}
+
+/**
+ * @returns {object[]} The content packs merged into the data right now.
+ */
+function getActivePacks() {
+    return contentPacks.filter((e) => e.enabled && e.problems.length === 0).map((e) => e.pack);
+}
+
+/**
+ * Enable or disable a content pack. The choice is kept in storage.
+ * @param {string} id Pack identifier.
+ * @param {boolean} enabled Whether the pack should be merged.
+ */
+function setPackEnabled(id, enabled) {
+    const entry = contentPacks.find((e) => e.pack.id === id);
+    if (!entry) return;
+    entry.enabled = enabled;
+    setDisabledPacks(gameStorage, contentPacks.filter((e) => !e.enabled).map((e) => e.pack.id));
+    applyEnabledPacks();
+}
+
+/**
+ * Install a content pack from its JSON, replacing an imported pack with the
+ * same id. Packs from the manifest cannot be replaced this way.
+ * @param {string} text Pack JSON.
+ * @returns {string|null} Why the pack was rejected, or null if it was
+ *     installed. An installed pack can still be left out if it fails
+ *     validation; see its `problems`.
+ */
+function importPackText(text) {
+    const result = parsePack(text);
+    if (result.error) return result.error;
+    const pack = result.pack;
+    const existing = contentPacks.find((e) => e.pack.id === pack.id);
+    if (existing && existing.source === 'manifest') {
+        return `A pack with id ${pack.id} is already installed from the manifest.`;
+    }
+    storePack(gameStorage, pack, text);
+    if (existing) {
+        existing.pack = pack;
+    } else {
+        contentPacks.push({ pack, source: 'file', enabled: true, problems: [], conflicts: [] });
+    }
+    applyEnabledPacks();
+    return null;
+}
+
+/**
+ * Uninstall an imported content pack. Progress with its heroes is dropped
+ * from the save the next time it loads.
+ * @param {string} id Pack identifier.
+ * @returns {boolean} False if there is no imported pack with the id.
+ */
+function removePack(id) {
+    const entry = contentPacks.find((e) => e.pack.id === id && e.source === 'file');
+    if (!entry) return false;
+    removeStoredPack(gameStorage, id);
+    contentPacks.splice(contentPacks.indexOf(entry), 1);
+    applyEnabledPacks();
+    return true;
+}
+
+/**
+ * @param {string} id Hero or action identifier.
+ * @returns {string} The key bound to it.
+ */
+function getControlKey(id) {
+    const slot = bindingSlots.find((s) => s.id === id);
+    return slot ? getBoundKey(controls, slot) : '';
+}
+
+/**
+ * @param {string} id Action identifier.
+ * @returns {string} Label of the key bound to the action, for help text.
+ */
+function getControlLabel(id) {
+    return getKeyLabel(getControlKey(id));
+}
+
+/**
+ * Perform gacha draws. Each draw rolls a rarity tier (with pity) and a hero of
+ * that tier, then levels up or unlocks the hero. A single draw costs
+ * `gachaConfig.singleCost` Demon Souls and a full multi-pull costs
+ * `gachaConfig.multiCost`. Queues a card reveal for each draw and shows the
+ * first one.
+ * @param {number} [count=1] Number of heroes to draw.
+ * @param {boolean} [free=false] Skip the cost and draw from the run's RNG
+ *     (gacha rooms in a run).
+ * @returns {boolean} False if the player could not afford the draws.
+ */
+function gachaDraw(count = 1, free = false) {
+    let cost = 0;
+    if (!free) {
+        cost = count === gachaConfig.multiCount ? gachaConfig.multiCost : gachaConfig.singleCost * count;
+    }
+    if (saveData.demonSouls < cost) {
+        gachaMessage = `Not enough Demon Souls (${cost} needed).`;
+        return false;
+    }
+    saveData.demonSouls -= cost;
+    gachaMessage = '';
+    revealQueue = [];
+    // Run draws follow the run seed; menu draws follow the save's gacha seed,
+    // so reloading a save does not change what the next draw gives
+    let rng;
+    if (free && currentRun) {
+        rng = currentRun.rng.gacha;
+    } else {
+        rng = createRng(`${saveData.gachaSeed}:${saveData.gachaDraws}`);
+        saveData.gachaDraws += count;
+    }
+
+    for (let i = 0; i < count; i++) {
+        const result = rollGachaHero(saveData, availableHeroes, rng);
+        recordPull(saveData, result);
+        const heroData = result.hero;
+        const heroId = heroData.id;
+        const wasUnlocked = saveData.unlockedHeroes.includes(heroId);
+        const oldLevel = saveData.heroLevels[heroId] || 0;
+
+        const oldStats = getLeveledStats(heroData, Math.max(1, oldLevel));
+
+        const newLevel = wasUnlocked ? oldLevel + 1 : 1;
+        saveData.heroLevels[heroId] = newLevel;
+        if (!wasUnlocked) {
+            saveData.unlockedHeroes.push(heroId);
+        }
+
+        const newStats = getLeveledStats(heroData, newLevel);
+
+        revealQueue.push({
+            hero: heroData,
+            rarity: result.rarity,
+            pity: result.pity,
+            isNew: !wasUnlocked,
+            oldStats: wasUnlocked ? oldStats : null,
+            newStats: newStats,
+            level: newLevel,
+            index: i + 1,
+            total: count
+        });
+    }
+
+    saveGameData();
+    showNextReveal();
+    return true;
+}
+
+/**
+ * Show the next queued card reveal.
+ */
+function showNextReveal() {
+    currentReveal = revealQueue.shift();
+    currentState = GAME_STATES.CARD_REVEAL;
+}
+
+/**
+ * Close the card on show. Moves on to the next queued card, or once none
+ * are left returns to the map (in a run) or the menu.
+ * @param {boolean} [skipRest=false] Jump past the remaining queued cards.
+ */
+function finishReveal(skipRest = false) {
+    if (skipRest && revealQueue.length > 0) {
+        currentReveal = revealQueue[revealQueue.length - 1];
+        revealQueue = [];
+    }
+    lastGachaResult = {
+        hero: currentReveal.hero,
+        level: currentReveal.level,
+        isNew: currentReveal.isNew
+    };
+    currentReveal = null;
+    if (revealQueue.length > 0) {
+        showNextReveal();
+    } else if (currentRun && currentRun.activeNode) {
+        completeCurrentRoom();
+    } else {
+        currentState = GAME_STATES.MENU;
+    }
+}
+
+/**
+ * @returns {number} Number of heroes taken on a run, including Guild Hall
+ *     upgrades.
+ */
+function getPartySize() {
+    return RUN_CONFIG.BASE_PARTY_SIZE + getUpgradeTotal(saveData, 'partySize');
+}
+
+/**
+ * @param {string} id Hero identifier.
+ * @returns {object|undefined} The hero's data from charactersData.
+ */
+function getHeroData(id) {
+    return charactersData.find((h) => h.id === id);
+}
+
+/**
+ * @param {string} id Hero identifier.
+ * @returns {object} A copy of the hero's data with the player's key binding.
+ */
+function getBoundHeroData(id) {
+    return Object.assign({}, getHeroData(id), { key: getControlKey(id) });
+}
+
+/**
+ * Start a new run with the chosen party and build the dungeon map. Guild Hall
+ * upgrades set the starting HP and boon rerolls. The save notes which content
+ * packs the run uses. Every random decision in the
+ * run draws from RNG streams derived from the seed, so the same seed and
+ * party replay the same run.
+ * @param {string[]} heroIds Hero ids in party order.
+ * @param {string} [seed] Run seed, random if omitted.
+ * @param {string} [mapMode='generated'] One of MAP_MODES.
+ */
+function startNewRun(heroIds, seed = randomSeed(), mapMode = 'generated') {
+    const packs = getActivePacks().map(getPackRef);
+    saveData.lastParty = heroIds;
+    saveData.lastRunPacks = packs;
+    saveGameData();
+    const rooms = mapMode === 'authored' ? roomsData : generateMap(seed);
+    currentRun = createRunState(seed, buildMap(rooms));
+    currentRun.mapMode = mapMode;
+    currentRun.packs = packs;
+    currentRun.boonRerolls = getUpgradeTotal(saveData, 'boonRerolls');
+    playerHeroes = [];
+    // Instantiate heroes with level scaling
+    const hpBonus = getUpgradeTotal(saveData, 'startingHP');
+    heroIds.forEach((id) => {
+        const data = getHeroData(id);
+        const hero = new Hero(data);
+        hero.key = getControlKey(id);
+        hero.level = saveData.heroLevels[id] || 1;
+        // Scale stats based on level while keeping ult hits unchanged
+        applyLeveledStats(hero, data);
+        hero.baseHP = Math.round(hero.baseHP * (1 + hpBonus));
+        hero.currentHP = hero.baseHP;
+        playerHeroes.push(hero);
+    });
+    currentEnemies = [];
+    currentState = GAME_STATES.MAP;
+}
+
+/**
+ * Create the state for a run on a map, with the RNG streams for its seed.
+ * Encounters and boon offers draw from separate streams; each fight gets its
+ * own combat stream in startEncounter.
+ * @param {string} seed Run seed.
+ * @param {object} map Map from buildMap.
+ * @returns {object} Run state for currentRun.
+ */
+function createRunState(seed, map) {
+    return {
+        seed: seed,
+        rng: {
+            encounters: createRunRng(seed, 'encounters'),
+            boons: createRunRng(seed, 'boons'),
+            gacha: createRunRng(seed, 'gacha')
+        },
+        map: map,
+        // Source of the map, one of MAP_MODES
+        mapMode: 'generated',
+        // Content packs in use, as getPackRef gives them
+        packs: [],
+        currentNodeId: null,
+        activeNode: null,
+        selectedIndex: 0,
+        roomsCleared: 0,
+        soulsEarned: 0,
+        gold: shopConfig.startingGold,
+        relics: [],
+        // Relic found in the last room cleared, to announce on the map
+        foundRelic: null,
+        // Shop room being visited, from createShop
+        shop: null,
+        // Rest option under the cursor
+        restIndex: 0,
+        boons: [],
+        modifiers: createModifiers(),
+        offer: [],
+        offerIndex: 0,
+        boonRerolls: 0,
+        victory: false
+    };
+}
+
+/**
+ * Enter a dungeon node and switch to the screen for its room type.
+ * @param {Node} node The node being entered.
+ */
+function enterNode(node) {
+    currentRun.activeNode = node;
+    currentRun.foundRelic = null;
+    switch (node.type) {
+        case 'combat':
+        case 'elite':
+            startEncounter(node);
+            break;
+        case 'reward':
+            awardSouls(RUN_CONFIG.REWARD_SOULS);
+            currentRun.offer = rollBoonOffer(currentRun.boons, currentRun.rng.boons);
+            currentRun.offerIndex = 0;
+            currentState = GAME_STATES.OFFERING;
+            break;
+        case 'gacha':
+            // A free draw; the reveal screen returns to the map
+            gachaDraw(1, true);
+            break;
+        case 'shop':
+            currentRun.shop = createShop(node);
+            currentState = GAME_STATES.SHOP;
+            break;
+        case 'rest':
+            currentRun.restIndex = 0;
+            currentState = GAME_STATES.REST;
+            break;
+        default:
+            console.warn(`Room type ${node.type} is not implemented yet`);
+            completeCurrentRoom();
+            break;
+    }
+}
+
+/**
+ * Add Demon Souls to the save and to the run's tally.
+ * @param {number} amount Souls earned.
+ */
+function awardSouls(amount) {
+    saveData.demonSouls += amount;
+    currentRun.soulsEarned += amount;
+    saveGameData();
+}
+
+/**
+ * Spend one of the run's rerolls on a new boon offer.
+ * @returns {boolean} False if no rerolls are left.
+ */
+function rerollBoons() {
+    if (currentRun.boonRerolls <= 0) return false;
+    currentRun.boonRerolls--;
+    currentRun.offer = rollBoonOffer(currentRun.boons, currentRun.rng.boons);
+    currentRun.offerIndex = 0;
+    return true;
+}
+
+/**
+ * Add a boon to the run and apply the new modifiers to the party. Enemies
+ * pick up the modifiers when they spawn.
+ * @param {string} boonId Identifier of the boon taken.
+ */
+function takeBoon(boonId) {
+    currentRun.boons.push(boonId);
+    currentRun.modifiers = combineBoonModifiers(currentRun.boons);
+    playerHeroes.forEach((hero) => hero.setModifiers(currentRun.modifiers));
+}
+
+/**
+ * Add a relic to the run. It fires from the next trigger on.
+ * @param {string} relicId Identifier of the relic.
+ */
+function gainRelic(relicId) {
+    currentRun.relics.push(relicId);
+}
+
+/**
+ * Fire the run's relics for a combat trigger; see js/relics.js. Does nothing
+ * outside a fight.
+ * @param {string} trigger One of RELIC_TRIGGERS.
+ * @param {{hero: Hero, hit: object}} event Who set the trigger off and the
+ *     hit or ult being dealt, where there is one.
+ */
+function triggerRelics(trigger, event) {
+    if (!currentRun || !currentEncounter) return;
+    runRelics(currentRun.relics, currentEncounter.relicUses, trigger, Object.assign({
+        party: playerHeroes.filter((hero) => hero.currentHP > 0),
+        enemies: currentEnemies.filter((enemy) => enemy.isAlive()),
+        rng: currentEncounter.rng
+    }, event));
+}
+
+/**
+ * Apply the statuses the run's boons list under a field to a unit; see
+ * data/boons.js. Does nothing outside a run.
+ * @param {'inflicts'|'statuses'} field 'inflicts' for a target a hero hits,
+ *     'statuses' for a hero starting a fight.
+ * @param {Hero|Enemy} unit The unit to apply them to.
+ */
+function applyBoonStatuses(field, unit) {
+    if (!currentRun) return;
+    applyStatuses(unit, getBoonStatuses(currentRun.boons, field));
+}
+
+/**
+ * @returns {number} Damage multiplier from the current fight's combo, 1
+ *     outside a fight.
+ */
+function getCurrentComboMultiplier() {
+    return currentEncounter ? getComboMultiplier(currentEncounter.combo) : 1;
+}
+
+/**
+ * Take a boon out of the run and apply the new modifiers to the party.
+ * @param {string} boonId Identifier of the boon given up.
+ */
+function removeBoon(boonId) {
+    const index = currentRun.boons.indexOf(boonId);
+    if (index < 0) return;
+    currentRun.boons.splice(index, 1);
+    currentRun.modifiers = combineBoonModifiers(currentRun.boons);
+    playerHeroes.forEach((hero) => hero.setModifiers(currentRun.modifiers));
+}
+
+/**
+ * Open the shop of a shop node. Its stock, prices and anything bought at
+ * random draw from a shop RNG seeded by the run seed and the room.
+ * @param {Node} node The shop node.
+ * @returns {{items: object[], rng: object, selectedIndex: number}} The shop.
+ */
+function createShop(node) {
+    const rng = createRunRng(currentRun.seed, `shop:${node.id}`);
+    return { items: rollShopStock(currentRun, rng), rng, selectedIndex: 0 };
+}
+
+/**
+ * Buy an item in the current shop.
+ * @param {number} index Index of the item in the shop's stock.
+ * @param {string} [boonId] The run's boon the item acts on, for items that
+ *     ask for one.
+ * @returns {string|null} Why the item could not be bought, or null on success.
+ */
+function buyShopItem(index, boonId) {
+    const shop = currentRun.shop;
+    const item = shop.items[index];
+    const problem = getShopItemProblem(item, currentRun, playerHeroes);
+    if (problem) return problem;
+    if (shopItemChoosesBoon(item) && !currentRun.boons.includes(boonId)) {
+        return 'Choose one of your boons.';
+    }
+    currentRun.gold -= item.price;
+    item.sold = true;
+    SHOP_ITEM_TYPES[item.type].buy(item, currentRun, playerHeroes, shop.rng, boonId);
+    return null;
+}
+
+/**
+ * Take an option in the current rest room and return to the map.
+ * @param {number} index Index of the option in restConfig.options.
+ * @param {string} [heroId] The hero the option acts on, for options that ask
+ *     for one.
+ * @returns {string|null} Why the option could not be taken, or null on
+ *     success.
+ */
+function takeRestOption(index, heroId) {
+    const option = restConfig.options[index];
+    const hero = playerHeroes.find((h) => h.id === heroId);
+    if (restOptionChoosesHero(option) && !hero) {
+        return 'Choose a hero.';
+    }
+    const problem = getRestOptionProblem(option, currentRun, playerHeroes, hero);
+    if (problem) return problem;
+    REST_OPTION_TYPES[option.type].apply(option, currentRun, playerHeroes, hero);
+    completeCurrentRoom();
+    return null;
+}
+
+/**
+ * Leave the current shop and return to the map.
+ */
+function leaveShop() {
+    currentRun.shop = null;
+    completeCurrentRoom();
+}
+
+/**
+ * Pick the encounter for a combat or elite node: the one the room names, or a
+ * random encounter of the room's type.
+ * @param {Node} node The node being fought in.
+ * @returns {object|null} Encounter definition from encountersData.
+ */
+function pickEncounter(node) {
+    if (node.encounter) {
+        const named = encountersData.find((enc) => enc.id === node.encounter);
+        if (named) return named;
+        console.warn(`Room ${node.id} names unknown encounter ${node.encounter}`);
+    }
+    const type = node.type === 'elite' ? 'elite' : 'combat';
+    const pool = encountersData.filter((enc) => enc.type === type);
+    return pool.length > 0 ? currentRun.rng.encounters.pick(pool) : null;
+}
+
+/**
+ * Add an enemy to the fight. Attack timers are staggered so a group does not
+ * strike all at once.
+ * @param {string} id Enemy identifier.
+ * @param {boolean} elite True to use a tougher version of the enemy, unless
+ *     it is a boss.
+ */
+function spawnEnemy(id, elite) {
+    const data = enemiesData.find((e) => e.id === id);
+    if (!data) {
+        console.warn(`Encounter ${currentEncounter.data.id} names unknown enemy ${id}`);
+        return;
+    }
+    const enemy = new Enemy(data);
+    enemy.rng = currentEncounter.rng;
+    if (elite && !enemy.boss) {
+        enemy.name = `Elite ${enemy.name}`;
+        enemy.hp = Math.round(enemy.hp * RUN_CONFIG.ELITE_HP_MULTIPLIER);
+        enemy.maxHP = enemy.hp;
+        enemy.attackPower = Math.round(enemy.attackPower * RUN_CONFIG.ELITE_ATTACK_MULTIPLIER);
+    }
+    enemy.applyModifiers(currentRun.modifiers);
+    enemy.attackTimer += currentEnemies.length * RUN_CONFIG.ENEMY_ATTACK_STAGGER;
+    currentEnemies.push(enemy);
+}
+
+/**
+ * Spawn the enemies of the current encounter wave, tougher in elite rooms.
+ */
+function spawnWave() {
+    currentEnemies = [];
+    currentEncounter.data.waves[currentEncounter.waveIndex].forEach((id) => spawnEnemy(id, currentEncounter.isElite));
+    currentTargetIndex = 0;
+}
+
+/**
+ * Start the phase of each enemy whose HP has fallen to its next phase
+ * threshold. HP cannot fall past a threshold before its phase starts (see
+ * Enemy.loseHP), so every phase starts in turn, one per update. A phase may
+ * summon adds, which join the wave at their normal strength, and change the
+ * beat chart or the tempo; see data/enemies.js.
+ */
+function updateEnemyPhases() {
+    // Adds summoned during this update are checked from the next one
+    currentEnemies.slice().forEach((enemy) => {
+        const phase = enemy.takeNextPhase();
+        if (!phase) return;
+        (phase.summon || []).forEach((id) => spawnEnemy(id, false));
+        if (phase.chart || phase.tempo) {
+            const chart = phase.chart ? getChart(phase.chart) : currentTrack.chart;
+            currentTrack.changeChart(chart, currentEncounter.tempoScale * (phase.tempo || 1));
+        }
+        currentEncounter.banner = { name: `${enemy.name}: ${phase.name}`, color: PHASE_COLOR, time: currentTrack.time };
+    });
+}
+
+/**
+ * Start the encounter for a combat or elite node, start its beat chart and
+ * switch to combat. Elite rooms play at a faster tempo. The room's chart takes
+ * priority over the encounter's, which takes priority over the first enemy's.
+ * The fight's random rolls come from a combat RNG seeded by the run seed and
+ * the room, and a replay of it is recorded unless one is playing back.
+ * Heroes keep their HP, ult meter and status effects from earlier rooms;
+ * only passive timers start over. The run's boons then add the statuses
+ * heroes start each fight with.
+ * @param {Node} node The node being fought in.
+ * @param {object} [data] Encounter to fight instead of picking one.
+ */
+function startEncounter(node, data) {
+    // Rooms without a matching encounter fight a single random enemy
+    data = data || pickEncounter(node) || {
+        id: 'enc_random',
+        name: 'Wandering Foe',
+        waves: [[currentRun.rng.encounters.pick(enemiesData).id]]
+    };
+    const rng = createRunRng(currentRun.seed, `combat:${node.id}`);
+    const tempoScale = (node.type === 'elite' ? RUN_CONFIG.ELITE_TEMPO_MULTIPLIER : 1) * currentRun.modifiers.tempo;
+    currentEncounter = {
+        data,
+        waveIndex: 0,
+        isElite: node.type === 'elite',
+        rng,
+        relicUses: {},
+        combo: createCombo(),
+        tempoScale,
+        banner: null
+    };
+    spawnWave();
+    const enemyData = enemiesData.find((e) => e.id === data.waves[0][0]);
+    const chart = getChart(node.chart || data.chart || (enemyData && enemyData.chart));
+    currentTrack = new RhythmTrack(chart, playerHeroes.length, {
+        tempoScale,
+        windowScale: currentRun.modifiers.timingWindow
+    });
+    laneFeedback = [];
+    combatInputQueue.length = 0;
+    combatAccumulator = 0;
+    combatStep = 0;
+    playerHeroes.forEach((hero) => {
+        hero.rng = rng;
+        hero.ultHold = null;
+        hero.passiveState = {};
+    });
+    // Recorded before boon statuses and combatStart relics apply, which
+    // replaying applies again
+    currentRecording = currentReplay ? null : startReplayRecording(node, data);
+    playerHeroes.forEach((hero) => {
+        if (hero.currentHP > 0) applyBoonStatuses('statuses', hero);
+    });
+    triggerRelics('combatStart', {});
+    currentState = GAME_STATES.COMBAT;
+}
+
+/**
+ * @returns {Enemy|undefined} The enemy heroes are attacking. Moves to the
+ *     next living enemy when the selected one has fallen.
+ */
+function getCurrentTarget() {
+    if (currentEnemies.length === 0) return undefined;
+    for (let i = 0; i < currentEnemies.length; i++) {
+        const idx = (currentTargetIndex + i) % currentEnemies.length;
+        if (currentEnemies[idx].isAlive()) {
+            currentTargetIndex = idx;
+            return currentEnemies[idx];
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Select the next or previous living enemy as the target.
+ * @param {number} step 1 for the next enemy, -1 for the previous one.
+ */
+function cycleTarget(step) {
+    const count = currentEnemies.length;
+    for (let i = 1; i <= count; i++) {
+        const idx = (currentTargetIndex + step * i + count * i) % count;
+        if (currentEnemies[idx].isAlive()) {
+            currentTargetIndex = idx;
+            return;
+        }
+    }
+}
+
+/**
+ * Mark the active node as cleared. Combat and elite rooms pay gold, and
+ * rooms may drop a relic, each rolled from a stream seeded by the run seed
+ * and the room. Ends the run in victory after the final node, otherwise
+ * returns to the map.
+ */
+function completeCurrentRoom() {
+    const node = currentRun.activeNode;
+    currentRun.currentNodeId = node.id;
+    currentRun.activeNode = null;
+    currentRun.selectedIndex = 0;
+    currentRun.roomsCleared++;
+    if (node.type === 'combat') {
+        awardSouls(RUN_CONFIG.COMBAT_SOULS);
+    } else if (node.type === 'elite') {
+        awardSouls(RUN_CONFIG.ELITE_SOULS);
+    }
+    currentRun.gold += rollRoomGold(node.type, createRunRng(currentRun.seed, `gold:${node.id}`));
+    const relic = rollRelicDrop(node.type, currentRun.relics, createRunRng(currentRun.seed, `relic:${node.id}`));
+    if (relic) {
+        gainRelic(relic);
+        currentRun.foundRelic = relic;
+    }
+    currentEnemies = [];
+    currentEncounter = null;
+    currentTrack = null;
+    if (node.isFinal()) {
+        awardSouls(RUN_CONFIG.VICTORY_SOULS);
+        endRun(true);
+    } else {
+        currentState = GAME_STATES.MAP;
+    }
+}
+
+/**
+ * Finish the current run and show the results screen.
+ * @param {boolean} victory Whether the party cleared the final node.
+ */
+function endRun(victory) {
+    currentRun.victory = victory;
+    currentState = GAME_STATES.RUN_END;
+}
+
+/**
+ * Heal every hero a fraction of max HP.
+ * @param {Hero[]} party The party.
+ * @param {number} fraction Fraction of each hero's max HP restored.
+ * @param {boolean} [revive=false] Also heal knocked out heroes.
+ */
+function healParty(party, fraction, revive = false) {
+    party.forEach((hero) => {
+        if (hero.currentHP > 0 || revive) {
+            hero.heal(hero.maxHP * fraction);
+        }
+    });
+}
+
+/**
+ * @param {Hero[]} party The party.
+ * @param {boolean} [revive=false] Count knocked out heroes too.
+ * @returns {boolean} True if healing would restore any HP.
+ */
+function partyNeedsHealing(party, revive = false) {
+    return party.some((hero) => (hero.currentHP > 0 || revive) && hero.currentHP < hero.maxHP);
+}
+
+/**
+ * @returns {boolean} True when every hero in the party has been knocked out.
+ */
+function isPartyDefeated() {
+    return playerHeroes.every((hero) => hero.currentHP <= 0);
+}
+
+/**
+ * Update loop called every frame.
+ * @param {number} dt Seconds since last frame
+ */
+function update(dt) {
+    switch (currentState) {
+        case GAME_STATES.MENU:
+            // No update needed for static menu
+            break;
+        case GAME_STATES.MAP:
+            // Map only changes in response to key presses
+            break;
+        case GAME_STATES.COMBAT:
+            advanceCombat(dt);
+            break;
+        case GAME_STATES.OFFERING:
+        case GAME_STATES.GUILD_HALL:
+        case GAME_STATES.PULL_HISTORY:
+        case GAME_STATES.PARTY_SELECT:
+        case GAME_STATES.CONTROLS:
+        case GAME_STATES.SAVES:
+        case GAME_STATES.PACKS:
+        case GAME_STATES.SHOP:
+        case GAME_STATES.REST:
+        case GAME_STATES.RUN_END:
+        case GAME_STATES.REPLAY_END:
+            // Static result screens
+            break;
+        case GAME_STATES.CARD_REVEAL:
+            // No update needed for static reveal
+            break;
+    }
+}
+
+// ----- Combat logic -----
+/**
+ * Handle combat updates including rhythm inputs and checking for win/loss.
+ * @param {number} dt Seconds since last frame
+ */
+function updateCombat(dt) {
+    currentTrack.update(dt);
+    // Judge each hero key press against that hero's lane and attack the
+    // target on a hit, which adds to the combo. Presses with no note nearby
+    // do not attack. While a hero's ult is ready the attack waits for the
+    // release, since holding the key turns the press into an ult charge
+    // instead. Every press may complete a team technique: a chord of key
+    // presses needs one of them to hit a note, and a sequence counts hits
+    // only. The target keys change target.
+    const targetPrev = getControlKey('targetPrev');
+    const targetNext = getControlKey('targetNext');
+    while (combatInputQueue.length > 0) {
+        const input = combatInputQueue.shift();
+        if (input.type === 'down' && (input.key === targetPrev || input.key === targetNext)) {
+            cycleTarget(input.key === targetPrev ? -1 : 1);
+            continue;
+        }
+        const target = getCurrentTarget();
+        const lane = playerHeroes.findIndex((hero) => hero.key === input.key);
+        const hero = playerHeroes[lane];
+        if (!hero || hero.currentHP <= 0) continue;
+        if (input.type === 'down') {
+            // A stunned hero can neither attack nor defend
+            if (hero.statuses.stun) continue;
+            registerDefense(hero);
+            const judgment = currentTrack.hit(lane);
+            if (judgment) {
+                laneFeedback[lane] = { judgment, time: currentTrack.time };
+                addComboHit(currentEncounter.combo, currentTrack.time);
+            }
+            if (hero.isUltReady()) {
+                hero.ultHold = { start: currentTrack.time, judgment, charging: false };
+            } else if (judgment && target) {
+                hero.attack(target, judgment);
+            }
+            // After the attack, which may have felled the target
+            pressTechniqueKey(currentEncounter.combo, hero, currentTrack.time, {
+                target: getCurrentTarget(),
+                enemies: currentEnemies.filter((e) => e.isAlive()),
+                party: playerHeroes.filter((h) => h.currentHP > 0)
+            }, Boolean(judgment));
+        } else if (hero.ultHold) {
+            releaseUltHold(hero, lane, target);
+        }
+    }
+    for (const hero of playerHeroes) {
+        if (hero.ultHold && !hero.ultHold.charging
+            && currentTrack.time - hero.ultHold.start >= ULT_CHARGE.HOLD_THRESHOLD) {
+            hero.ultHold.charging = true;
+        }
+    }
+    for (const note of currentTrack.takeMissedNotes()) {
+        const hero = playerHeroes[note.lane];
+        if (hero && hero.currentHP > 0) {
+            laneFeedback[note.lane] = { judgment: JUDGMENTS.MISS, time: currentTrack.time };
+            breakCombo(currentEncounter.combo, currentTrack.time);
+        }
+    }
+    updateEnemyAttacks(dt);
+    // Passives run after attacks so their callouts win over hit callouts
+    playerHeroes.forEach((hero, lane) => {
+        hero.update(dt, playerHeroes);
+        while (hero.callouts.length > 0) {
+            laneFeedback[lane] = { judgment: hero.callouts.shift(), time: currentTrack.time };
+        }
+    });
+    updateEnemyPhases();
+    if (isPartyDefeated()) {
+        finishEncounter(false);
+    } else if (!currentEnemies.some((enemy) => enemy.isAlive())) {
+        // The encounter ends once every wave has been defeated
+        if (currentEncounter.waveIndex + 1 < currentEncounter.data.waves.length) {
+            currentEncounter.waveIndex++;
+            spawnWave();
+        } else {
+            finishEncounter(true);
+        }
+    }
+}
+
+/**
+ * Run combat for the time since the last update in fixed steps. Each step
+ * first records the queued inputs (or feeds in a replay's inputs for that
+ * step), then updates combat by COMBAT_TIMESTEP.
+ * @param {number} dt Seconds since last frame
+ */
+function advanceCombat(dt) {
+    combatAccumulator = Math.min(combatAccumulator + dt, COMBAT_TIMESTEP * MAX_COMBAT_STEPS);
+    while (combatAccumulator >= COMBAT_TIMESTEP && currentState === GAME_STATES.COMBAT) {
+        combatAccumulator -= COMBAT_TIMESTEP;
+        if (currentReplay) {
+            feedReplayInputs(currentReplay, combatStep);
+        } else if (currentRecording) {
+            recordReplayInputs(currentRecording, combatStep, combatInputQueue);
+        }
+        updateCombat(COMBAT_TIMESTEP);
+        combatStep++;
+    }
+}
+
+/**
+ * End the current fight: finish its recording, then move on in the run, or
+ * show the result when a replay is playing back.
+ * @param {boolean} victory True if every wave was defeated.
+ */
+function finishEncounter(victory) {
+    if (currentRecording) {
+        lastReplay = finishReplayRecording(currentRecording, victory, combatStep + 1);
+        currentRecording = null;
+    }
+    if (currentReplay) {
+        finishReplayPlayback(currentReplay, victory, combatStep + 1);
+    } else if (victory) {
+        completeCurrentRoom();
+    } else {
+        endRun(false);
+    }
+}
+
+/**
+ * Record a block or parry when a hero's key is pressed while an enemy is
+ * winding up an attack on them. The best defense of the wind-up counts.
+ * @param {Hero} hero The hero whose key was pressed.
+ */
+function registerDefense(hero) {
+    const windowScale = currentRun.modifiers.defenseWindow;
+    for (const enemy of currentEnemies) {
+        const telegraph = enemy.telegraph;
+        if (!enemy.isAlive() || !telegraph || telegraph.target !== hero) continue;
+        if (telegraph.remaining <= DEFENSE.PARRY_WINDOW * windowScale) {
+            telegraph.defense = DEFENSE_RESULTS.PARRY;
+        } else if (telegraph.remaining <= DEFENSE.BLOCK_WINDOW * windowScale && !telegraph.defense) {
+            telegraph.defense = DEFENSE_RESULTS.BLOCK;
+        }
+    }
+}
+
+/**
+ * Run each living enemy's attack timer and apply attacks that land, reduced
+ * by any block or parry.
+ * @param {number} dt Seconds since last frame
+ */
+function updateEnemyAttacks(dt) {
+    for (const enemy of currentEnemies) {
+        if (!enemy.isAlive()) {
+            enemy.telegraph = null;
+            continue;
+        }
+        updateStatuses(enemy, dt);
+        if (!enemy.isAlive()) continue;
+        const landed = enemy.updateAttack(dt, playerHeroes);
+        if (!landed) continue;
+        const hero = landed.target;
+        const lane = playerHeroes.indexOf(hero);
+        const result = landed.defense || DEFENSE_RESULTS.HIT;
+        if (result === DEFENSE_RESULTS.PARRY) {
+            hero.gainUltCharge(DEFENSE.PARRY_ULT_CHARGE);
+        } else {
+            const scale = result === DEFENSE_RESULTS.BLOCK ? DEFENSE.BLOCK_DAMAGE : 1;
+            if (hero.takeDamage(landed.power * scale) && result === DEFENSE_RESULTS.HIT) {
+                breakCombo(currentEncounter.combo, currentTrack.time);
+                if (hero.currentHP > 0) applyStatuses(hero, enemy.inflicts);
+            }
+            if (hero.currentHP <= 0) {
+                hero.ultHold = null;
+            }
+        }
+        laneFeedback[lane] = { judgment: result, time: currentTrack.time };
+    }
+}
+
+/**
+ * Resolve a hero's key release while their ult was ready: fire the ult if the
+ * key was held long enough to charge, otherwise make the tap's attack.
+ * @param {Hero} hero The hero whose key was released.
+ * @param {number} lane The hero's lane index.
+ * @param {Enemy} [target] The enemy being attacked.
+ */
+function releaseUltHold(hero, lane, target) {
+    const hold = hero.ultHold;
+    hero.ultHold = null;
+    if (hold.charging) {
+        const chargeTime = currentTrack.time - hold.start - ULT_CHARGE.HOLD_THRESHOLD;
+        const charge = getUltChargePercent(chargeTime);
+        hero.tryUlt({
+            target,
+            enemies: currentEnemies.filter((e) => e.isAlive()),
+            party: playerHeroes.filter((h) => h.currentHP > 0)
+        }, charge.percent);
+        laneFeedback[lane] = { judgment: charge.result, time: currentTrack.time };
+    } else if (hold.judgment && target) {
+        hero.attack(target, hold.judgment);
+    }
+}
@@ -0,0 +1,78 @@
+/*
+ * Gacha draw logic for Key Combat AI.
+ *
+ * Rolls heroes by rarity tier with a pity counter (see `data/gacha.js`). The
+ * counter and the pull history are kept in the save data.
+ */
+
+/**
+ * @param {string} id Rarity tier identifier.
+ * @returns {object|undefined} The tier from gachaConfig.
+ */
+function getRarity(id) {
+    return gachaConfig.rarities.find((r) => r.id === id);
+}
+
+/**
+ * @param {object} hero Hero data.
+ * @returns {string} The hero's rarity tier id. Heroes without one count as
+ *     the most common tier.
+ */
+function getHeroRarity(hero) {
+    return hero.rarity || gachaConfig.rarities[gachaConfig.rarities.length - 1].id;
+}
+
+/**
+ * Roll a rarity tier. Tiers without any heroes in the pool are skipped and
+ * the remaining rates are rescaled.
+ * @param {object[]} pool Heroes that can be drawn.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {object} The rarity tier.
+ */
+function rollRarity(pool, rng) {
+    const tiers = gachaConfig.rarities.filter((r) => pool.some((h) => getHeroRarity(h) === r.id));
+    const total = tiers.reduce((sum, r) => sum + r.rate, 0);
+    let roll = rng.next() * total;
+    for (const tier of tiers) {
+        roll -= tier.rate;
+        if (roll < 0) return tier;
+    }
+    return tiers[tiers.length - 1];
+}
+
+/**
+ * Roll one hero, applying and updating the pity counter in the save.
+ * @param {object} save Save data, updated in place.
+ * @param {object[]} pool Heroes that can be drawn.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {{hero: object, rarity: object, pity: boolean}} The hero drawn,
+ *     its tier and whether pity guaranteed it.
+ */
+function rollGachaHero(save, pool, rng) {
+    const pityTier = getRarity(gachaConfig.pity.rarity);
+    const pityPool = pool.filter((h) => getHeroRarity(h) === gachaConfig.pity.rarity);
+    const pity = pityPool.length > 0 && save.gachaPity + 1 >= gachaConfig.pity.threshold;
+    const rarity = pity ? pityTier : rollRarity(pool, rng);
+    const candidates = pool.filter((h) => getHeroRarity(h) === rarity.id);
+    const hero = rng.pick(candidates);
+    save.gachaPity = rarity.id === gachaConfig.pity.rarity ? 0 : save.gachaPity + 1;
+    return { hero, rarity, pity };
+}
+
+/**
+ * Record a draw in the save's pull history, dropping the oldest entries past
+ * the history limit.
+ * @param {object} save Save data, updated in place.
+ * @param {{hero: object, rarity: object, pity: boolean}} result The draw.
+ */
+function recordPull(save, result) {
+    save.pullHistory.push({
+        heroId: result.hero.id,
+        rarity: result.rarity.id,
+        pity: result.pity,
+        time: Date.now()
+    });
+    if (save.pullHistory.length > gachaConfig.historyLimit) {
+        save.pullHistory.splice(0, save.pullHistory.length - gachaConfig.historyLimit);
+    }
+}
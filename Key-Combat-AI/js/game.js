@@ -1,15 +1,12 @@
 /*
  * Main game script for Key Combat AI.
  *
- * This file defines core game classes, handles input, and runs the main loop.
- * The code is intentionally simple and modular so that new content can be added
+ * This file is the browser layer: it draws the state from js/core.js on the
+ * canvas, turns key presses into core actions, and runs the main loop. The
+ * code is intentionally simple and modular so that new content can be added
  * via the data scripts without modifying logic here.
  */
 
-// ----- Data from data scripts -----
-// The following global variables are expected to be defined by the files in the
-// `data` folder: `charactersData`, `enemiesData`, `roomsData`, `boonsData`.
-
 // Get canvas and drawing context
 const canvas = document.getElementById('gameCanvas');
 const ctx = canvas.getContext('2d');
@@ -22,30 +19,77 @@ function resizeCanvas() {
 resizeCanvas();
 window.addEventListener('resize', resizeCanvas);
 
-// Game states enumeration
-const GAME_STATES = {
-    MENU: 'menu',
-    MAP: 'map',
-    COMBAT: 'combat',
-    CARD_REVEAL: 'card_reveal'
-};
-
-// Current game state
-let currentState = GAME_STATES.MENU;
+// Forward key presses and releases to combat
+window.addEventListener('keydown', (e) => handleCombatKey('down', e.key));
+window.addEventListener('keyup', (e) => handleCombatKey('up', e.key));
 
-// Filter heroes that have art assets available
-const availableHeroes = charactersData.filter((h) => h.image);
+// Mouse position over the canvas, for tooltips; null when the mouse is away
+let pointer = null;
+canvas.addEventListener('mousemove', (e) => {
+    pointer = { x: e.offsetX, y: e.offsetY };
+});
+canvas.addEventListener('mouseleave', () => {
+    pointer = null;
+});
 
 // Simple image cache for hero portraits
 const imageCache = {};
 
-// Current card reveal information
-let currentReveal = null;
+// The card reveal being faded in and when it was first drawn
+let revealFade = { reveal: null, start: 0 };
 
 // Background image for card view
 const cardViewBg = new Image();
 cardViewBg.src = 'assets/images/background/Card View Background.png';
 
+// Background image for the god/demon offering screen
+const offeringBg = new Image();
+offeringBg.src = 'assets/images/background/god_offering_bg.png';
+
+// Background image for the Guild Hall
+const guildHallBg = new Image();
+guildHallBg.src = 'assets/images/background/guild_hall_bg.png';
+
+// Guild Hall cursor and the message from the last purchase attempt
+let guildHallIndex = 0;
+let guildHallMessage = '';
+
+// Party screen state: the heroes on offer, the cursor, the chosen party in
+// order, how the run seed is picked, where the map comes from (one of
+// MAP_MODES) and the message from the last failed start
+let partySelect = {
+    roster: [], index: 0, party: [], seedMode: 'random', seedText: '', mapMode: 'generated', message: ''
+};
+
+// Ways to pick a run seed on the party screen, cycled with Tab
+const SEED_MODES = ['random', 'daily', 'custom'];
+
+// Party screen key that switches between a generated and the authored map.
+// Not a seed character, so it works while typing a custom seed.
+const MAP_MODE_KEY = '/';
+
+// Controls screen state: the selected row (0 is the layout preset), whether
+// the next key press rebinds it, and the message from the last rebind
+let controlsMenu = { index: 0, listening: false, message: '' };
+
+// Save screen cursor and the message from the last slot action
+let saveMenu = { index: 0, message: '' };
+
+// Content pack screen cursor and the message from the last pack action
+let packMenu = { index: 0, message: '' };
+
+// Shop screen state: whether the player is choosing which boon an item acts
+// on, the boon cursor, and the message from the last purchase
+let shopMenu = { choosing: false, boonIndex: 0, message: '' };
+
+// Rest screen state: whether the player is choosing which hero an option
+// acts on, the hero cursor, and the message from the last attempt
+let restMenu = { choosing: false, heroIndex: 0, message: '' };
+
+// Content packs shipped next to the game are listed in this manifest as
+// `{ "packs": ["file.json", ...] }`, relative to the packs folder
+const PACK_MANIFEST_URL = 'packs/manifest.json';
+
 // ----- UI tuning constants -----
 const UI = {
     PANEL_BG: 'rgba(0,0,0,0.45)',
@@ -138,29 +182,18 @@ function drawGlyph(type, x, y, size) {
     ctx.restore();
 }
 
-// Level-up configuration. Each entry defines how much a stat increases per level.
-// Stats not listed here (e.g., ultCharge) remain unchanged when leveling up.
-const LEVEL_UP_INCREMENTS = {
-    hp: 10,
-    atk: 2
-};
-
-function getLeveledStats(data, level) {
-    const hpInc = LEVEL_UP_INCREMENTS.hp || 0;
-    const atkInc = LEVEL_UP_INCREMENTS.atk || 0;
-    return {
-        hp: data.baseHP + (level - 1) * hpInc,
-        atk: data.baseAttack + (level - 1) * atkInc,
-        ultCharge: data.ultChargeNeeded
-    };
-}
-
-function applyLeveledStats(hero, data) {
-    const stats = getLeveledStats(data, hero.level);
-    hero.baseHP = stats.hp;
-    hero.baseAttack = stats.atk;
-    hero.ultChargeNeeded = stats.ultCharge;
-    hero.currentHP = hero.baseHP;
+/**
+ * @param {object} hero Hero data.
+ * @returns {HTMLImageElement} The hero's portrait, loaded on first use.
+ */
+function getHeroImage(hero) {
+    // Keyed by path, since a content pack may give a hero a new image
+    if (!imageCache[hero.image]) {
+        const img = new Image();
+        img.src = hero.image;
+        imageCache[hero.image] = img;
+    }
+    return imageCache[hero.image];
 }
 
 /**
@@ -202,244 +235,608 @@ function drawBackground(img) {
     ctx.drawImage(img, x, y, drawWidth, drawHeight);
 }
 
-// Class representing a hero card
-class Hero {
-    constructor(data) {
-        this.id = data.id;
-        this.name = data.name;
-        this.type = data.type; // 'Attack' or 'Support'
-        this.baseHP = data.baseHP;
-        this.baseAttack = data.baseAttack;
-        this.passive = data.passive;
-        this.key = data.key.toLowerCase();
-        this.ultChargeNeeded = data.ultChargeNeeded;
-        this.ultEffect = data.ultEffect;
-        this.level = 1;
-        this.currentHP = this.baseHP;
-        this.ultMeter = 0;
-    }
-
-    attack(target) {
-        // Deal damage equal to baseAttack (scaled by level) and increment ult meter
-        const damage = this.baseAttack * this.level;
-        target.takeDamage(damage);
-        this.ultMeter++;
-    }
-
-    tryUlt(target, chargePercent = 1.0) {
-        // Only perform ultimate if meter full
-        if (this.ultMeter >= this.ultChargeNeeded) {
-            // Example ultimate: deal double base damage scaled by charge percent
-            const damage = (this.baseAttack * 2) * this.level * chargePercent;
-            target.takeDamage(damage);
-            this.ultMeter = 0;
-        }
-    }
+/** First row shown on the pull history screen. */
+let pullHistoryScroll = 0;
 
-    takeDamage(amount) {
-        this.currentHP -= amount;
-        if (this.currentHP < 0) this.currentHP = 0;
-    }
+/**
+ * Offer a save slot as a JSON file download.
+ * @param {number} slot Slot number, from 1.
+ * @returns {boolean} False if the slot is empty or unreadable.
+ */
+function downloadSaveSlot(slot) {
+    const text = gameStorage.getItem(SAVE_KEYS.SLOT_PREFIX + slot);
+    const result = text === null ? null : parseSave(text);
+    if (!result || !result.save) return false;
+    const blob = new Blob([exportSave(result.save)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `key-combat-ai-slot${slot}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
 }
 
-// Class representing an enemy
-class Enemy {
-    constructor(data) {
-        this.id = data.id;
-        this.name = data.name;
-        this.hp = data.hp;
-        this.attackPower = data.attackPower;
-    }
+/**
+ * Ask the player for a save file and import it into a slot. Files that are
+ * not valid saves are rejected and the slot is left untouched.
+ * @param {number} slot Slot number, from 1.
+ */
+function importSaveFile(slot) {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const error = importSaveText(slot, reader.result);
+            saveMenu.message = error ? `Import failed: ${error}` : `Imported ${file.name} into slot ${slot}.`;
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
 
-    takeDamage(amount) {
-        this.hp -= amount;
-        if (this.hp < 0) this.hp = 0;
+/**
+ * Fetch the content packs listed in the pack manifest. A missing manifest
+ * (or a page opened from disk, where fetch is not allowed) means no packs;
+ * packs that cannot be fetched or read are logged and skipped.
+ * @returns {Promise<object[]>} The packs, in manifest order.
+ */
+async function loadManifestPacks() {
+    let manifest;
+    try {
+        const response = await fetch(PACK_MANIFEST_URL);
+        if (!response.ok) return [];
+        manifest = await response.json();
+    } catch (e) {
+        return [];
     }
-
-    isAlive() {
-        return this.hp > 0;
+    const files = manifest && Array.isArray(manifest.packs) ? manifest.packs : [];
+    const packs = [];
+    for (const file of files) {
+        try {
+            const response = await fetch(`packs/${file}`);
+            const result = parsePack(await response.text());
+            if (result.error) {
+                console.warn(`Content pack ${file} was skipped: ${result.error}`);
+            } else {
+                packs.push(result.pack);
+            }
+        } catch (e) {
+            console.warn(`Content pack ${file} could not be fetched`, e);
+        }
     }
+    return packs;
 }
 
-// Class representing a dungeon node
-class Node {
-    constructor(data) {
-        this.id = data.id;
-        this.type = data.type; // 'combat', 'elite', 'reward', etc.
-        this.next = data.next || [];
-    }
+/**
+ * Ask the player for a content pack file and install it.
+ */
+function importPackFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const error = importPackText(reader.result);
+            if (error) {
+                packMenu.message = `Import failed: ${error}`;
+            } else {
+                const id = parsePack(reader.result).pack.id;
+                const entry = contentPacks.find((e) => e.pack.id === id);
+                packMenu.message = entry.problems.length > 0
+                    ? `Installed ${file.name}, but it has problems and was left out.`
+                    : `Installed ${file.name}.`;
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
 }
 
-// Player party and current enemies
-let playerHeroes = [];
-let currentEnemies = [];
+// Shown on the menu after a replay file fails to load
+let replayMessage = '';
 
-// Input state for rhythm combat
-const keyState = {};
-window.addEventListener('keydown', (e) => {
-    keyState[e.key.toLowerCase()] = true;
-});
-window.addEventListener('keyup', (e) => {
-    keyState[e.key.toLowerCase()] = false;
-});
+/**
+ * Offer the last recorded fight as a replay file download.
+ * @returns {boolean} False if no fight has been recorded yet.
+ */
+function downloadLastReplay() {
+    if (!lastReplay) return false;
+    const blob = new Blob([exportReplay(lastReplay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `key-combat-ai-replay-${lastReplay.seed}-${lastReplay.node.id}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    return true;
+}
+
+/**
+ * Ask the player for a replay file and play it back.
+ */
+function playReplayFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.json,application/json';
+    input.onchange = () => {
+        const file = input.files[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => {
+            const result = parseReplay(reader.result);
+            if (result.error) {
+                replayMessage = `Replay failed: ${result.error}`;
+            } else if (currentState === GAME_STATES.MENU) {
+                replayMessage = '';
+                startReplay(result.replay);
+            }
+        };
+        reader.readAsText(file);
+    };
+    input.click();
+}
 
 /**
- * Persistent save data loaded from localStorage.
- * Contains the player's unlocked heroes, hero levels, and Demon Souls currency.
+ * @param {KeyboardEvent} e A keydown event.
+ * @returns {boolean} True if the browser should keep the key: shortcuts with
+ *     Ctrl, Alt or Meta and the function keys. Every other key belongs to the
+ *     game's screens.
  */
-let saveData;
+function isBrowserKey(e) {
+    return e.ctrlKey || e.altKey || e.metaKey || /^F\d+$/.test(e.key);
+}
 
-/** Last gacha draw result. Used to display feedback in the menu. */
-let lastGachaResult = null;
+/**
+ * Handle menu and screen navigation keys. Combat keys are read from `keyState`
+ * in updateCombat. Each key press is handled by the current state only, so a
+ * state change never lets the same press act on the next screen. The
+ * browser's own use of the key is cancelled, so Tab does not move focus off
+ * the page, '/' does not open quick find and Space does not scroll.
+ * @param {KeyboardEvent} e The keydown event.
+ */
+function handleKeyDown(e) {
+    if (!isBrowserKey(e)) e.preventDefault();
+    const key = normalizeKey(e.key);
+    switch (currentState) {
+        case GAME_STATES.MENU:
+            if (key === getControlKey('gachaSingle')) {
+                gachaDraw(1);
+            } else if (key === getControlKey('gachaMulti')) {
+                gachaDraw(gachaConfig.multiCount);
+            } else if (key === getControlKey('pullHistory')) {
+                pullHistoryScroll = 0;
+                currentState = GAME_STATES.PULL_HISTORY;
+            } else if (key === getControlKey('guildHall')) {
+                guildHallMessage = '';
+                currentState = GAME_STATES.GUILD_HALL;
+            } else if (key === getControlKey('controls')) {
+                controlsMenu = { index: 0, listening: false, message: '' };
+                currentState = GAME_STATES.CONTROLS;
+            } else if (key === getControlKey('saves')) {
+                saveMenu = { index: saveSlot - 1, message: '' };
+                currentState = GAME_STATES.SAVES;
+            } else if (key === getControlKey('startRun')) {
+                openPartySelect();
+            } else if (key === getControlKey('playReplay')) {
+                playReplayFile();
+            } else if (key === getControlKey('contentPacks')) {
+                packMenu = { index: 0, message: '' };
+                currentState = GAME_STATES.PACKS;
+            }
+            break;
+        case GAME_STATES.COMBAT:
+            // Escape stops a replay; live fights take keys in handleCombatKey
+            if (currentReplay && key === 'escape') {
+                stopReplay();
+            }
+            break;
+        case GAME_STATES.CONTROLS:
+            handleControlsKey(e.key);
+            break;
+        case GAME_STATES.SAVES:
+            handleSavesKey(e.key);
+            break;
+        case GAME_STATES.PACKS:
+            handlePacksKey(e.key);
+            break;
+        case GAME_STATES.PARTY_SELECT:
+            handlePartySelectKey(e.key);
+            break;
+        case GAME_STATES.GUILD_HALL:
+            handleGuildHallKey(e.key);
+            break;
+        case GAME_STATES.PULL_HISTORY:
+            if (e.key === 'ArrowUp') {
+                pullHistoryScroll = Math.max(0, pullHistoryScroll - 1);
+            } else if (e.key === 'ArrowDown') {
+                pullHistoryScroll = Math.min(Math.max(0, saveData.pullHistory.length - 1), pullHistoryScroll + 1);
+            } else if (e.key === 'Escape') {
+                currentState = GAME_STATES.MENU;
+            }
+            break;
+        case GAME_STATES.MAP:
+            handleMapKey(e.key);
+            break;
+        case GAME_STATES.OFFERING:
+            handleOfferingKey(e.key);
+            break;
+        case GAME_STATES.SHOP:
+            handleShopKey(e.key);
+            break;
+        case GAME_STATES.REST:
+            handleRestKey(e.key);
+            break;
+        case GAME_STATES.RUN_END:
+            if (e.key === 'Enter') {
+                currentRun = null;
+                currentState = GAME_STATES.MENU;
+            } else if (key === getControlKey('saveReplay')) {
+                downloadLastReplay();
+            }
+            break;
+        case GAME_STATES.REPLAY_END:
+            if (e.key === 'Enter') {
+                currentState = GAME_STATES.MENU;
+            }
+            break;
+        case GAME_STATES.CARD_REVEAL:
+            // Enter shows the next card of a multi-pull; Escape skips the rest
+            if (e.key === 'Enter' || e.key === 'Escape') {
+                finishReveal(e.key === 'Escape');
+            }
+            break;
+    }
+}
 
 /**
- * Load save data from localStorage. If no valid save exists, returns default values.
- * @returns {object} The save data object.
+ * Move the Guild Hall cursor, buy the selected upgrade or leave.
+ * @param {string} key The `KeyboardEvent.key` value.
  */
-function loadSaveData() {
-    try {
-        const saved = JSON.parse(localStorage.getItem('kca_save'));
-        if (saved && typeof saved === 'object') {
-            saved.unlockedHeroes = saved.unlockedHeroes || [];
-            saved.heroLevels = saved.heroLevels || {};
-            saved.demonSouls = saved.demonSouls || 0;
-            return saved;
+function handleGuildHallKey(key) {
+    const count = upgradesData.length;
+    if (key === 'ArrowUp' && count > 0) {
+        guildHallIndex = (guildHallIndex + count - 1) % count;
+    } else if (key === 'ArrowDown' && count > 0) {
+        guildHallIndex = (guildHallIndex + 1) % count;
+    } else if (key === 'Enter' && count > 0) {
+        const upgrade = upgradesData[guildHallIndex];
+        if (purchaseUpgrade(saveData, upgrade.id)) {
+            saveGameData();
+            guildHallMessage = `Purchased ${upgrade.name}!`;
+        } else if (isUpgradeMaxed(saveData, upgrade)) {
+            guildHallMessage = `${upgrade.name} is already fully owned.`;
+        } else {
+            guildHallMessage = 'Not enough Demon Souls.';
         }
-    } catch (e) {
-        console.warn('Failed to load save data', e);
+    } else if (key === 'Escape') {
+        currentState = GAME_STATES.MENU;
     }
-    // Default save structure
-    return { unlockedHeroes: [], heroLevels: {}, demonSouls: 0 };
 }
 
 /**
- * Save the current saveData object into localStorage.
+ * Move the controls cursor, change the layout preset, or rebind the selected
+ * key. While listening, the next key press becomes the binding and Escape
+ * cancels.
+ * @param {string} key The `KeyboardEvent.key` value.
  */
-function saveGameData() {
-    try {
-        localStorage.setItem('kca_save', JSON.stringify(saveData));
-    } catch (e) {
-        console.warn('Failed to save game data', e);
+function handleControlsKey(key) {
+    const rows = bindingSlots.length + 1;
+    if (controlsMenu.listening) {
+        controlsMenu.listening = false;
+        if (key === 'Escape') {
+            controlsMenu.message = '';
+            return;
+        }
+        const slot = bindingSlots[controlsMenu.index - 1];
+        const error = rebindKey(controls, bindingSlots, slot, key);
+        if (error) {
+            controlsMenu.message = error;
+        } else {
+            saveControls();
+            controlsMenu.message = `${slot.name} bound to ${getKeyLabel(normalizeKey(key))}.`;
+        }
+        return;
+    }
+    if (key === 'ArrowUp') {
+        controlsMenu.index = (controlsMenu.index + rows - 1) % rows;
+    } else if (key === 'ArrowDown') {
+        controlsMenu.index = (controlsMenu.index + 1) % rows;
+    } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && controlsMenu.index === 0) {
+        const presets = controlsData.presets;
+        const current = presets.findIndex((p) => p.id === controls.preset);
+        const step = key === 'ArrowLeft' ? presets.length - 1 : 1;
+        const preset = presets[(current + step) % presets.length];
+        applyControlPreset(controls, preset.id);
+        saveControls();
+        controlsMenu.message = `Switched to the ${preset.name} layout.`;
+    } else if (key === 'Enter' && controlsMenu.index > 0) {
+        controlsMenu.listening = true;
+        controlsMenu.message = '';
+    } else if (key === 'Escape') {
+        currentState = GAME_STATES.MENU;
     }
 }
 
 /**
- * Perform a gacha draw. Randomly selects a hero from the available pool.
- * Updates save data and prepares a card reveal object for display.
+ * Move the save slot cursor, load the selected slot, or export or import it.
+ * @param {string} key The `KeyboardEvent.key` value.
  */
-function gachaDraw() {
-    const index = Math.floor(Math.random() * availableHeroes.length);
-    const heroData = availableHeroes[index];
-    const heroId = heroData.id;
-    const wasUnlocked = saveData.unlockedHeroes.includes(heroId);
-    const oldLevel = saveData.heroLevels[heroId] || 0;
-
-    const oldStats = getLeveledStats(heroData, Math.max(1, oldLevel));
+function handleSavesKey(key) {
+    const slot = saveMenu.index + 1;
+    if (key === 'ArrowUp') {
+        saveMenu.index = (saveMenu.index + SAVE_SLOT_COUNT - 1) % SAVE_SLOT_COUNT;
+    } else if (key === 'ArrowDown') {
+        saveMenu.index = (saveMenu.index + 1) % SAVE_SLOT_COUNT;
+    } else if (key === 'Enter') {
+        switchSaveSlot(slot);
+        saveMenu.message = saveProblem || `Loaded slot ${slot}.`;
+    } else if (key.toLowerCase() === 'e') {
+        saveMenu.message = downloadSaveSlot(slot) ? `Exported slot ${slot}.` : `Slot ${slot} has nothing to export.`;
+    } else if (key.toLowerCase() === 'i') {
+        importSaveFile(slot);
+    } else if (key === 'Escape') {
+        currentState = GAME_STATES.MENU;
+    }
+}
 
-    const newLevel = wasUnlocked ? oldLevel + 1 : 1;
-    saveData.heroLevels[heroId] = newLevel;
-    if (!wasUnlocked) {
-        saveData.unlockedHeroes.push(heroId);
+/**
+ * Move the content pack cursor, enable or disable the selected pack, import
+ * a pack file, remove an imported pack or leave.
+ * @param {string} key The `KeyboardEvent.key` value.
+ */
+function handlePacksKey(key) {
+    const entry = contentPacks[packMenu.index];
+    if (key === 'ArrowUp' && contentPacks.length > 0) {
+        packMenu.index = (packMenu.index + contentPacks.length - 1) % contentPacks.length;
+    } else if (key === 'ArrowDown' && contentPacks.length > 0) {
+        packMenu.index = (packMenu.index + 1) % contentPacks.length;
+    } else if ((key === 'Enter' || key === ' ') && entry) {
+        setPackEnabled(entry.pack.id, !entry.enabled);
+        packMenu.message = `${entry.pack.name} ${entry.enabled ? 'enabled' : 'disabled'}.`;
+    } else if (key.toLowerCase() === 'i') {
+        importPackFile();
+    } else if (key === 'Delete' && entry) {
+        packMenu.message = removePack(entry.pack.id)
+            ? `Removed ${entry.pack.name}.`
+            : 'Packs from the manifest are removed by editing packs/manifest.json.';
+        packMenu.index = Math.max(0, Math.min(packMenu.index, contentPacks.length - 1));
+    } else if (key === 'Escape') {
+        currentState = GAME_STATES.MENU;
     }
+}
 
-    const newStats = getLeveledStats(heroData, newLevel);
+/**
+ * Open the party screen with the last party preselected. Content pack rooms
+ * are only on the authored map, so the screen starts on it when an enabled
+ * pack has rooms.
+ */
+function openPartySelect() {
+    const partySize = getPartySize();
+    const roster = getPartyRoster(saveData, availableHeroes, partySize);
+    partySelect = {
+        roster: roster,
+        index: 0,
+        party: getDefaultParty(saveData, roster, partySize),
+        seedMode: partySelect.seedMode,
+        seedText: partySelect.seedText,
+        mapMode: getActivePacks().some((pack) => (pack.rooms || []).length > 0) ? 'authored' : partySelect.mapMode,
+        message: ''
+    };
+    currentState = GAME_STATES.PARTY_SELECT;
+}
 
-    saveGameData();
+/**
+ * @returns {string} The seed the party screen will start the run with, or ''
+ *     if a custom seed has not been typed yet.
+ */
+function getPartySeed() {
+    if (partySelect.seedMode === 'daily') return getDailySeed();
+    if (partySelect.seedMode === 'custom') return normalizeSeed(partySelect.seedText);
+    return '';
+}
 
-    if (!imageCache[heroId]) {
-        const img = new Image();
-        img.src = heroData.image;
-        imageCache[heroId] = img;
+/**
+ * Move the party cursor, add or remove the hero under it, reorder the party,
+ * choose the seed and map or start the run. Tab switches between a random,
+ * daily or custom seed; while custom, letters and digits type the seed.
+ * MAP_MODE_KEY switches between a generated and the authored map.
+ * @param {string} key The `KeyboardEvent.key` value.
+ */
+function handlePartySelectKey(key) {
+    const roster = partySelect.roster;
+    const party = partySelect.party;
+    const heroId = roster[partySelect.index];
+    const slot = party.indexOf(heroId);
+    if (key === 'ArrowUp' && roster.length > 0) {
+        partySelect.index = (partySelect.index + roster.length - 1) % roster.length;
+    } else if (key === 'ArrowDown' && roster.length > 0) {
+        partySelect.index = (partySelect.index + 1) % roster.length;
+    } else if (key === ' ' && heroId) {
+        partySelect.message = '';
+        if (slot >= 0) {
+            party.splice(slot, 1);
+        } else if (party.length < getPartySize()) {
+            party.push(heroId);
+        } else {
+            partySelect.message = 'The party is full.';
+        }
+    } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && slot >= 0) {
+        // Move the hero earlier or later in the party order
+        const target = slot + (key === 'ArrowLeft' ? -1 : 1);
+        if (target >= 0 && target < party.length) {
+            party[slot] = party[target];
+            party[target] = heroId;
+        }
+    } else if (key === 'Tab') {
+        const mode = SEED_MODES.indexOf(partySelect.seedMode);
+        partySelect.seedMode = SEED_MODES[(mode + 1) % SEED_MODES.length];
+    } else if (key === MAP_MODE_KEY) {
+        const mode = MAP_MODES.indexOf(partySelect.mapMode);
+        partySelect.mapMode = MAP_MODES[(mode + 1) % MAP_MODES.length];
+    } else if (partySelect.seedMode === 'custom' && key === 'Backspace') {
+        partySelect.seedText = partySelect.seedText.slice(0, -1);
+    } else if (partySelect.seedMode === 'custom' && key.length === 1 && normalizeSeed(key)) {
+        partySelect.seedText = normalizeSeed(partySelect.seedText + key);
+    } else if (key === 'Enter') {
+        const error = validateParty(party.map(getBoundHeroData), getPartySize());
+        const seed = getPartySeed();
+        if (error) {
+            partySelect.message = error;
+        } else if (partySelect.seedMode === 'custom' && !seed) {
+            partySelect.message = 'Type a seed first.';
+        } else {
+            startNewRun(party.slice(), seed || undefined, partySelect.mapMode);
+        }
+    } else if (key === 'Escape') {
+        currentState = GAME_STATES.MENU;
     }
+}
 
-    currentReveal = {
-        hero: heroData,
-        isNew: !wasUnlocked,
-        oldStats: wasUnlocked ? oldStats : null,
-        newStats: newStats,
-        level: newLevel,
-        startTime: performance.now()
-    };
-    currentState = GAME_STATES.CARD_REVEAL;
-}
-
-// Initialize saveData when the script loads
-saveData = loadSaveData();
-// Remove heroes that no longer exist
-const validHeroIds = new Set(availableHeroes.map((h) => h.id));
-saveData.unlockedHeroes = saveData.unlockedHeroes.filter((id) => validHeroIds.has(id));
-for (const id in saveData.heroLevels) {
-    if (!validHeroIds.has(id)) {
-        delete saveData.heroLevels[id];
-    }
-}
-
-// Listen for gacha draw key when in menu state and for exiting the reveal screen
-window.addEventListener('keydown', (e) => {
-    const key = e.key.toLowerCase();
-    if (currentState === GAME_STATES.MENU && key === 'g') {
-        gachaDraw();
-    } else if (currentState === GAME_STATES.CARD_REVEAL && e.key === 'Enter') {
-        lastGachaResult = {
-            hero: currentReveal.hero,
-            level: currentReveal.level,
-            isNew: currentReveal.isNew
-        };
-        currentReveal = null;
-        currentState = GAME_STATES.MENU;
+/**
+ * Move the map cursor or enter the selected room.
+ * @param {string} key The `KeyboardEvent.key` value.
+ */
+function handleMapKey(key) {
+    const reachable = getReachableNodes(currentRun.map, currentRun.currentNodeId);
+    if (reachable.length === 0) return;
+    if (key === 'ArrowLeft') {
+        currentRun.selectedIndex = (currentRun.selectedIndex + reachable.length - 1) % reachable.length;
+    } else if (key === 'ArrowRight') {
+        currentRun.selectedIndex = (currentRun.selectedIndex + 1) % reachable.length;
+    } else if (key === 'Enter') {
+        shopMenu = { choosing: false, boonIndex: 0, message: '' };
+        restMenu = { choosing: false, heroIndex: 0, message: '' };
+        enterNode(reachable[Math.min(currentRun.selectedIndex, reachable.length - 1)]);
+    } else if (normalizeKey(key) === getControlKey('saveReplay')) {
+        downloadLastReplay();
     }
-});
+}
 
 /**
- * Start a new run by selecting a party of heroes and initial enemies.
+ * Choose a boon on the offering screen with Left/Right or its number key and
+ * take it with Enter. The reroll key spends a reroll on a new offer. Escape
+ * leaves without taking one.
+ * @param {string} key The `KeyboardEvent.key` value.
  */
-function startNewRun() {
-    // Determine which heroes to use for this run. Prefer the player's unlocked heroes.
-    playerHeroes = [];
-    const heroIds = [];
-    if (saveData.unlockedHeroes && saveData.unlockedHeroes.length >= 3) {
-        heroIds.push(...saveData.unlockedHeroes.slice(0, 3));
-    } else {
-        // Fallback: use the first few heroes from the available list
-        for (let i = 0; i < 3 && i < availableHeroes.length; i++) {
-            heroIds.push(availableHeroes[i].id);
+function handleOfferingKey(key) {
+    const offer = currentRun.offer;
+    const number = parseInt(key, 10);
+    if (normalizeKey(key) === getControlKey('rerollBoons') && currentRun.boonRerolls > 0) {
+        rerollBoons();
+    } else if (number >= 1 && number <= offer.length) {
+        currentRun.offerIndex = number - 1;
+    } else if (key === 'ArrowLeft' && offer.length > 0) {
+        currentRun.offerIndex = (currentRun.offerIndex + offer.length - 1) % offer.length;
+    } else if (key === 'ArrowRight' && offer.length > 0) {
+        currentRun.offerIndex = (currentRun.offerIndex + 1) % offer.length;
+    } else if (key === 'Enter') {
+        if (offer.length > 0) {
+            takeBoon(offer[currentRun.offerIndex].id);
         }
+        completeCurrentRoom();
+    } else if (key === 'Escape') {
+        completeCurrentRoom();
     }
-    // Instantiate heroes with level scaling
-    heroIds.forEach((id) => {
-        const data = charactersData.find((h) => h.id === id);
-        const hero = new Hero(data);
-        hero.level = saveData.heroLevels[id] || 1;
-        // Scale stats based on level while keeping ult hits unchanged
-        applyLeveledStats(hero, data);
-        playerHeroes.push(hero);
-    });
-    // Initialize enemies (first enemy only)
-    currentEnemies = [];
-    if (enemiesData.length > 0) {
-        currentEnemies.push(new Enemy(enemiesData[0]));
+}
+
+/**
+ * Move the shop cursor, buy the selected item or leave. Items that act on one
+ * of the run's boons switch the cursor to the boon list first; Enter there
+ * buys the item for the chosen boon and Escape goes back to the items.
+ * @param {string} key The `KeyboardEvent.key` value.
+ */
+function handleShopKey(key) {
+    const shop = currentRun.shop;
+    if (shopMenu.choosing) {
+        const boons = currentRun.boons;
+        if (key === 'ArrowUp') {
+            shopMenu.boonIndex = (shopMenu.boonIndex + boons.length - 1) % boons.length;
+        } else if (key === 'ArrowDown') {
+            shopMenu.boonIndex = (shopMenu.boonIndex + 1) % boons.length;
+        } else if (key === 'Enter') {
+            const item = shop.items[shop.selectedIndex];
+            const boon = getBoon(boons[shopMenu.boonIndex]);
+            const error = buyShopItem(shop.selectedIndex, boons[shopMenu.boonIndex]);
+            shopMenu.message = error || `Bought ${item.name} for ${boon ? boon.name : 'a boon'}.`;
+            shopMenu.choosing = false;
+        } else if (key === 'Escape') {
+            shopMenu.choosing = false;
+        }
+        return;
+    }
+    if (key === 'ArrowUp' && shop.items.length > 0) {
+        shop.selectedIndex = (shop.selectedIndex + shop.items.length - 1) % shop.items.length;
+    } else if (key === 'ArrowDown' && shop.items.length > 0) {
+        shop.selectedIndex = (shop.selectedIndex + 1) % shop.items.length;
+    } else if (key === 'Enter' && shop.items.length > 0) {
+        const item = shop.items[shop.selectedIndex];
+        const problem = getShopItemProblem(item, currentRun, playerHeroes);
+        if (problem) {
+            shopMenu.message = problem;
+        } else if (shopItemChoosesBoon(item)) {
+            shopMenu.choosing = true;
+            shopMenu.boonIndex = 0;
+            shopMenu.message = `Choose a boon for ${item.name}.`;
+        } else {
+            buyShopItem(shop.selectedIndex);
+            shopMenu.message = `Bought ${item.name}.`;
+        }
+    } else if (key === 'Escape') {
+        leaveShop();
     }
-    currentState = GAME_STATES.COMBAT;
 }
 
 /**
- * Update loop called every frame.
- * @param {number} dt Seconds since last frame
+ * Choose a rest option with Left/Right or its number key and take it with
+ * Enter. Options that act on one hero switch the cursor to the party first;
+ * Enter there takes the option for that hero and Escape goes back. Escape
+ * on the options leaves without resting.
+ * @param {string} key The `KeyboardEvent.key` value.
  */
-function update(dt) {
-    switch (currentState) {
-        case GAME_STATES.MENU:
-            // No update needed for static menu
-            break;
-        case GAME_STATES.MAP:
-            // TODO: implement map logic
-            break;
-        case GAME_STATES.COMBAT:
-            updateCombat(dt);
-            break;
-        case GAME_STATES.CARD_REVEAL:
-            // No update needed for static reveal
-            break;
+function handleRestKey(key) {
+    const options = restConfig.options;
+    if (restMenu.choosing) {
+        if (key === 'ArrowLeft') {
+            restMenu.heroIndex = (restMenu.heroIndex + playerHeroes.length - 1) % playerHeroes.length;
+        } else if (key === 'ArrowRight') {
+            restMenu.heroIndex = (restMenu.heroIndex + 1) % playerHeroes.length;
+        } else if (key === 'Enter') {
+            restMenu.message = takeRestOption(currentRun.restIndex, playerHeroes[restMenu.heroIndex].id) || '';
+        } else if (key === 'Escape') {
+            restMenu.choosing = false;
+            restMenu.message = '';
+        }
+        return;
+    }
+    const number = parseInt(key, 10);
+    if (number >= 1 && number <= options.length) {
+        currentRun.restIndex = number - 1;
+    } else if (key === 'ArrowLeft' && options.length > 0) {
+        currentRun.restIndex = (currentRun.restIndex + options.length - 1) % options.length;
+    } else if (key === 'ArrowRight' && options.length > 0) {
+        currentRun.restIndex = (currentRun.restIndex + 1) % options.length;
+    } else if (key === 'Enter' && options.length > 0) {
+        const option = options[currentRun.restIndex];
+        const problem = getRestOptionProblem(option, currentRun, playerHeroes);
+        if (problem) {
+            restMenu.message = problem;
+        } else if (restOptionChoosesHero(option)) {
+            restMenu.choosing = true;
+            restMenu.heroIndex = Math.max(0, playerHeroes.findIndex((hero) => hero.currentHP > 0));
+            restMenu.message = `Choose a hero to ${option.name.toLowerCase()}.`;
+        } else {
+            takeRestOption(currentRun.restIndex);
+        }
+    } else if (key === 'Escape') {
+        completeCurrentRoom();
     }
 }
 
@@ -459,57 +856,340 @@ function draw() {
         case GAME_STATES.COMBAT:
             drawCombat();
             break;
+        case GAME_STATES.OFFERING:
+            drawOffering();
+            break;
+        case GAME_STATES.SHOP:
+            drawShop();
+            break;
+        case GAME_STATES.REST:
+            drawRest();
+            break;
+        case GAME_STATES.GUILD_HALL:
+            drawGuildHall();
+            break;
+        case GAME_STATES.PULL_HISTORY:
+            drawPullHistory();
+            break;
+        case GAME_STATES.PARTY_SELECT:
+            drawPartySelect();
+            break;
+        case GAME_STATES.CONTROLS:
+            drawControls();
+            break;
+        case GAME_STATES.SAVES:
+            drawSaves();
+            break;
+        case GAME_STATES.PACKS:
+            drawPacks();
+            break;
+        case GAME_STATES.RUN_END:
+            drawRunEnd();
+            break;
+        case GAME_STATES.REPLAY_END:
+            drawReplayEnd();
+            break;
         case GAME_STATES.CARD_REVEAL:
             drawCardReveal();
             break;
     }
 }
 
-// ----- Combat logic -----
 /**
- * Handle combat updates including rhythm inputs and checking for win/loss.
- * @param {number} dt Seconds since last frame
+ * Draw the combat scene including heroes, enemies, and prompts.
  */
-function updateCombat(dt) {
-    // On any hero key press, attack the first enemy
-    for (const hero of playerHeroes) {
-        if (keyState[hero.key]) {
-            hero.attack(currentEnemies[0]);
-            keyState[hero.key] = false; // Prevent continuous attacks while key is held
-        }
+function drawCombat() {
+    ctx.fillStyle = '#fff';
+    ctx.font = '18px sans-serif';
+    ctx.fillText(currentReplay ? 'Replay (Escape to stop)' : 'Combat', 20, 30);
+    if (currentRun && currentRun.activeNode) {
+        ctx.fillText(`Room: ${currentRun.activeNode.id} (${currentRun.activeNode.type})`, 180, 30);
+        ctx.textAlign = 'right';
+        ctx.fillText(`Seed: ${currentRun.seed}`, canvas.width - 20, 30);
+        ctx.textAlign = 'left';
     }
-    // Example enemy behavior: enemies do not attack yet
-    // Check if enemy is defeated
-    if (currentEnemies.length > 0 && !currentEnemies[0].isAlive()) {
-        // For now, end combat and go back to menu
-        currentState = GAME_STATES.MENU;
+    if (currentEncounter) {
+        const waves = currentEncounter.data.waves.length;
+        const waveText = waves > 1 ? ` - Wave ${currentEncounter.waveIndex + 1}/${waves}` : '';
+        ctx.fillText(`${currentEncounter.data.name}${waveText}`, 20, 60);
     }
+    // Enemies, with the current target marked
+    const target = getCurrentTarget();
+    const enemyRowHeight = 36;
+    currentEnemies.forEach((enemy, idx) => {
+        const y = 90 + idx * enemyRowHeight;
+        ctx.font = '18px sans-serif';
+        ctx.fillStyle = !enemy.isAlive() ? '#777' : enemy === target ? '#f1c40f' : '#fff';
+        const marker = enemy === target ? '> ' : '  ';
+        const phase = enemy.phaseName ? ` (${enemy.phaseName})` : '';
+        const guard = enemy.guard > 0 && enemy.isAlive() ? ` - Guard ${enemy.guard}: Perfect hits only` : '';
+        const text = `${marker}${enemy.name}${phase} HP: ${Math.ceil(enemy.hp)}/${enemy.maxHP}${guard}`;
+        ctx.fillText(text, 20, y);
+        drawStatusIcons(enemy, 30 + ctx.measureText(text).width, y - 15);
+        drawTelegraph(enemy, 20, y + 8);
+    });
+    // Draw heroes, their keys and ult gauges. Heroes about to be attacked are
+    // marked so the player knows whose key to press to defend.
+    const rowHeight = 64;
+    const heroesTop = 110 + currentEnemies.length * enemyRowHeight + 20;
+    playerHeroes.forEach((hero, idx) => {
+        const y = heroesTop + idx * rowHeight;
+        const targeted = currentEnemies.some((e) => e.isAlive() && e.telegraph && e.telegraph.target === hero);
+        ctx.fillStyle = hero.currentHP <= 0 ? '#777' : targeted ? '#e74c3c' : '#fff';
+        ctx.font = '18px sans-serif';
+        const status = hero.currentHP <= 0 ? ' - KO' : targeted ? ' - INCOMING!' : '';
+        const text = `${hero.name} (Key: ${getKeyLabel(hero.key)}) HP: ${Math.ceil(hero.currentHP)}/${hero.maxHP}${status}`;
+        ctx.fillText(text, 20, y);
+        drawStatusIcons(hero, 30 + ctx.measureText(text).width, y - 15);
+        drawUltGauge(hero, 20, y + 10);
+    });
+    ctx.fillStyle = '#fff';
+    ctx.font = '18px sans-serif';
+    const helpY = heroesTop + playerHeroes.length * rowHeight;
+    ctx.fillText('Press a hero\'s key as notes reach the line to attack.', 20, helpY);
+    ctx.fillText('When a hero\'s ult is ready, hold their key to charge it and release to fire.', 20, helpY + 26);
+    ctx.fillText('Press a targeted hero\'s key just before the hit to block, or right on it to parry.', 20, helpY + 52);
+    ctx.fillText(`${getControlLabel('targetPrev')}/${getControlLabel('targetNext')} change which enemy your heroes attack.`, 20, helpY + 78);
+    ctx.fillText('Chain hits for a combo; press keys together (+) or in turn (>) for team techniques.', 20, helpY + 104);
+    drawActiveBoons(20, helpY + 142);
+    drawNoteLanes();
+    drawCombo(canvas.width - 70 * playerHeroes.length - 300, 80);
+    drawRelicBar(20, canvas.height - 56);
+    drawPhaseBanner();
 }
 
 /**
- * Draw the combat scene including heroes, enemies, and prompts.
+ * Announce an enemy's new phase across the middle of the screen, fading out
+ * over two seconds.
  */
-function drawCombat() {
-    ctx.fillStyle = '#fff';
-    ctx.font = '18px sans-serif';
-    ctx.fillText('Combat', 20, 30);
-    if (currentEnemies.length > 0) {
-        const enemy = currentEnemies[0];
-        ctx.fillText(`Enemy: ${enemy.name} HP: ${enemy.hp}`, 20, 60);
+function drawPhaseBanner() {
+    const banner = currentEncounter && currentEncounter.banner;
+    if (!banner || !currentTrack || currentTrack.time - banner.time >= 2) return;
+    ctx.globalAlpha = 1 - (currentTrack.time - banner.time) / 2;
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fillRect(0, canvas.height / 2 - 40, canvas.width, 64);
+    ctx.fillStyle = banner.color;
+    ctx.font = 'bold 32px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(banner.name, canvas.width / 2, canvas.height / 2 + 4);
+    ctx.textAlign = 'left';
+    ctx.globalAlpha = 1;
+}
+
+/**
+ * Draw the combo meter, the latest combo or technique callout and the team
+ * techniques the party knows. The meter fills towards the next damage step.
+ * Techniques that cannot fire yet are greyed out with what they wait for.
+ * @param {number} x Left edge.
+ * @param {number} y Top edge.
+ */
+function drawCombo(x, y) {
+    if (!currentEncounter || !currentTrack) return;
+    const combo = currentEncounter.combo;
+    const multiplier = getComboMultiplier(combo);
+    const width = 220;
+    ctx.fillStyle = combo.count > 0 ? COMBO_COLOR : '#777';
+    ctx.font = 'bold 22px sans-serif';
+    ctx.fillText(`Combo ${combo.count}`, x, y + 20);
+    ctx.font = '14px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`x${multiplier.toFixed(1)} damage`, x + width, y + 20);
+    ctx.textAlign = 'left';
+    const maxed = multiplier >= 1 + COMBO.MAX_BONUS;
+    const progress = maxed ? 1 : (combo.count % COMBO.STEP_HITS) / COMBO.STEP_HITS;
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x, y + 28, width, 8);
+    ctx.fillStyle = COMBO_COLOR;
+    ctx.fillRect(x, y + 28, width * progress, 8);
+
+    const callout = combo.callout;
+    if (callout && currentTrack.time - callout.time < 1) {
+        ctx.globalAlpha = 1 - (currentTrack.time - callout.time);
+        ctx.fillStyle = callout.color;
+        ctx.font = 'bold 24px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(callout.name, x + width / 2, y + 66);
+        ctx.textAlign = 'left';
+        ctx.globalAlpha = 1;
     }
-    // Draw heroes and their keys
-    playerHeroes.forEach((hero, idx) => {
-        const y = 120 + idx * 40;
-        ctx.fillText(`${hero.name} (Key: ${hero.key.toUpperCase()}) HP: ${hero.currentHP}`, 20, y);
+
+    ctx.font = '13px sans-serif';
+    getPartyTechniques(playerHeroes).forEach((technique, idx) => {
+        const names = technique.heroes.map((id) => playerHeroes.find((hero) => hero.id === id).name);
+        const joiner = technique.input === 'chord' ? ' + ' : ' > ';
+        const cooldown = (combo.cooldowns[technique.id] || 0) - currentTrack.time;
+        const minCombo = technique.minCombo || 0;
+        let wait = '';
+        if (cooldown > 0) {
+            wait = ` (${Math.ceil(cooldown)}s)`;
+        } else if (combo.count < minCombo) {
+            wait = ` (combo ${minCombo})`;
+        }
+        ctx.fillStyle = wait ? '#777' : TECHNIQUE_COLOR;
+        ctx.fillText(`${technique.name}: ${names.join(joiner)}${wait}`, x, y + 96 + idx * 18);
+    });
+}
+
+/**
+ * Draw a unit's status effects as a row of icons, each marked with the first
+ * letters of the status and its stacks.
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {number} x Left edge.
+ * @param {number} y Top edge.
+ */
+function drawStatusIcons(unit, x, y) {
+    const size = 18;
+    const gap = 4;
+    let left = x;
+    for (const type in STATUS_TYPES) {
+        const status = unit.statuses[type];
+        if (!status) continue;
+        const def = STATUS_TYPES[type];
+        drawRoundedRect(ctx, left, y, size, size, 4);
+        ctx.fillStyle = def.color;
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 10px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(def.name.slice(0, 2), left + size / 2, y + 13);
+        ctx.textAlign = 'left';
+        left += size + 2;
+        const stacks = Math.ceil(status.stacks);
+        if (stacks > 1) {
+            ctx.font = '12px sans-serif';
+            ctx.fillText(`${stacks}`, left, y + 13);
+            left += ctx.measureText(`${stacks}`).width;
+        }
+        left += gap;
+    }
+}
+
+/**
+ * Draw an enemy's wind-up bar. The bar empties as the attack approaches; the
+ * block and parry windows are shaded at its end.
+ * @param {Enemy} enemy The enemy to draw for.
+ * @param {number} x Left edge.
+ * @param {number} y Top edge.
+ */
+function drawTelegraph(enemy, x, y) {
+    const telegraph = enemy.telegraph;
+    if (!enemy.isAlive() || !telegraph) return;
+    const width = 220;
+    const height = 8;
+    const scale = width / telegraph.windUp;
+    const windowScale = currentRun.modifiers.defenseWindow;
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = 'rgba(52,152,219,0.5)';
+    ctx.fillRect(x, y, Math.min(width, DEFENSE.BLOCK_WINDOW * windowScale * scale), height);
+    ctx.fillStyle = 'rgba(241,196,15,0.7)';
+    ctx.fillRect(x, y, Math.min(width, DEFENSE.PARRY_WINDOW * windowScale * scale), height);
+    ctx.fillStyle = '#e74c3c';
+    ctx.fillRect(x, y + height, Math.max(0, telegraph.remaining) * scale, 3);
+    ctx.font = '14px sans-serif';
+    ctx.fillText(`Winding up on ${telegraph.target.name}!`, x + width + 10, y + height);
+}
+
+/**
+ * Draw a hero's ult meter and, while their key is held, the charge gauge.
+ * The charge gauge marks the overcharge window in gold; holding past it
+ * fumbles the ult.
+ * @param {Hero} hero The hero to draw for.
+ * @param {number} x Left edge.
+ * @param {number} y Top edge.
+ */
+function drawUltGauge(hero, x, y) {
+    const width = 220;
+    const height = 8;
+    const ready = hero.isUltReady();
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x, y, width, height);
+    ctx.fillStyle = ready ? '#f1c40f' : '#9b59b6';
+    ctx.fillRect(x, y, width * Math.min(1, hero.ultMeter / hero.ultChargeNeeded), height);
+    if (ready && !hero.ultHold) {
+        ctx.fillStyle = '#f1c40f';
+        ctx.font = '12px sans-serif';
+        ctx.fillText(`ULT READY - hold ${getKeyLabel(hero.key)}`, x + width + 10, y + height);
+    }
+
+    const hold = hero.ultHold;
+    if (!hold || !hold.charging || !currentTrack) return;
+    const gaugeY = y + height + 6;
+    const totalTime = ULT_CHARGE.FULL_CHARGE_TIME + ULT_CHARGE.OVERCHARGE_WINDOW;
+    const fullX = x + width * (ULT_CHARGE.FULL_CHARGE_TIME / totalTime);
+    const chargeTime = currentTrack.time - hold.start - ULT_CHARGE.HOLD_THRESHOLD;
+    ctx.fillStyle = 'rgba(255,255,255,0.15)';
+    ctx.fillRect(x, gaugeY, width, height);
+    ctx.fillStyle = 'rgba(241,196,15,0.35)';
+    ctx.fillRect(fullX, gaugeY, x + width - fullX, height);
+    const charge = getUltChargePercent(chargeTime);
+    ctx.fillStyle = charge.result.color;
+    ctx.fillRect(x, gaugeY, width * Math.min(1, chargeTime / totalTime), height);
+    ctx.font = '12px sans-serif';
+    ctx.fillText(`${Math.round(charge.percent * 100)}%`, x + width + 10, gaugeY + height);
+}
+
+// Colors for each rhythm lane, cycled if the party has more heroes
+const LANE_COLORS = ['#e67e22', '#3498db', '#9b59b6', '#1abc9c', '#e84393'];
+
+/**
+ * Draw the scrolling note lanes. Notes fall towards the hit line, where each
+ * lane shows its hero's key and the latest timing judgment.
+ */
+function drawNoteLanes() {
+    if (!currentTrack) return;
+    const laneWidth = 70;
+    const laneCount = playerHeroes.length;
+    const left = canvas.width - laneWidth * laneCount - 40;
+    const top = 40;
+    const hitY = canvas.height - 120;
+    const pixelsPerSecond = (hitY - top) / RHYTHM_CONFIG.LOOKAHEAD;
+
+    playerHeroes.forEach((hero, lane) => {
+        const x = left + lane * laneWidth;
+        ctx.fillStyle = hero.currentHP > 0 ? 'rgba(255,255,255,0.08)' : 'rgba(255,255,255,0.02)';
+        ctx.fillRect(x + 4, top, laneWidth - 8, hitY - top + 30);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 20px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(getKeyLabel(hero.key), x + laneWidth / 2, hitY + 50);
+        const feedback = laneFeedback[lane];
+        if (feedback && currentTrack.time - feedback.time < 0.5) {
+            ctx.globalAlpha = 1 - (currentTrack.time - feedback.time) / 0.5;
+            ctx.fillStyle = feedback.judgment.color;
+            ctx.font = 'bold 16px sans-serif';
+            ctx.fillText(feedback.judgment.name, x + laneWidth / 2, hitY - 24);
+            ctx.globalAlpha = 1;
+        }
+        ctx.textAlign = 'left';
     });
-    ctx.fillText('Press the corresponding key to attack.', 20, 120 + playerHeroes.length * 40 + 20);
+
+    // Hit line
+    ctx.strokeStyle = '#fff';
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.moveTo(left, hitY);
+    ctx.lineTo(left + laneWidth * laneCount, hitY);
+    ctx.stroke();
+
+    for (const note of currentTrack.getUpcomingNotes()) {
+        const y = hitY - (note.time - currentTrack.time) * pixelsPerSecond;
+        if (y < top) continue;
+        ctx.fillStyle = LANE_COLORS[note.lane % LANE_COLORS.length];
+        ctx.beginPath();
+        ctx.arc(left + note.lane * laneWidth + laneWidth / 2, y, 14, 0, Math.PI * 2);
+        ctx.fill();
+    }
 }
 
 function drawCardReveal() {
     drawBackground(cardViewBg);
 
     const hero = currentReveal.hero;
-    const img = imageCache[hero.id];
+    const img = getHeroImage(hero);
+    if (revealFade.reveal !== currentReveal) {
+        revealFade = { reveal: currentReveal, start: performance.now() };
+    }
     const maxSize = Math.min(canvas.width, canvas.height) * 0.8;
     const frameX = (canvas.width - maxSize) / 2;
     const frameY = (canvas.height - maxSize) / 2;
@@ -527,7 +1207,7 @@ function drawCardReveal() {
         cardRect = { x: frameX, y: frameY, width: maxSize, height: maxSize };
     }
 
-    const alpha = Math.min(1, (performance.now() - currentReveal.startTime) / 500);
+    const alpha = Math.min(1, (performance.now() - revealFade.start) / 500);
     ctx.globalAlpha = alpha;
 
     // ----- Stats panel layout -----
@@ -658,9 +1338,11 @@ function drawCardReveal() {
         }
     };
 
-    drawRow('HP', 'hp', currentReveal.oldStats.hp, currentReveal.newStats.hp, false);
-    drawRow('ATK', 'atk', currentReveal.oldStats.atk, currentReveal.newStats.atk, false);
-    drawRow('Ult Hits', 'ult', currentReveal.oldStats.ultCharge, currentReveal.newStats.ultCharge, true);
+    // New cards have no previous stats to compare against
+    const oldStats = currentReveal.oldStats || currentReveal.newStats;
+    drawRow('HP', 'hp', oldStats.hp, currentReveal.newStats.hp, false);
+    drawRow('ATK', 'atk', oldStats.atk, currentReveal.newStats.atk, false);
+    drawRow('Ult Hits', 'ult', oldStats.ultCharge, currentReveal.newStats.ultCharge, true);
 
     // Ult description
     ctx.font = `${labelSize}px sans-serif`;
@@ -677,15 +1359,35 @@ function drawCardReveal() {
 
     ctx.globalAlpha = 1;
 
+    // Rarity badge in the card's top-left corner
+    const rarity = currentReveal.rarity;
+    if (rarity) {
+        const badgeText = currentReveal.pity ? `${rarity.id} - ${rarity.name} (pity)` : `${rarity.id} - ${rarity.name}`;
+        ctx.font = `bold ${labelSize}px sans-serif`;
+        const badgeWidth = ctx.measureText(badgeText).width + UI.PANEL_PADDING * 2;
+        drawRoundedRect(ctx, cardRect.x + 12, cardRect.y + 12, badgeWidth, labelSize + 16, UI.PANEL_RADIUS);
+        ctx.fillStyle = rarity.color;
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.fillText(badgeText, cardRect.x + 12 + UI.PANEL_PADDING, cardRect.y + 20 + labelSize);
+    }
+
     // Prompt
+    let prompt = 'Press Enter to continue';
+    if (currentReveal.total > 1) {
+        prompt = `Card ${currentReveal.index}/${currentReveal.total} - Enter for next, Escape to skip`;
+        if (revealQueue.length === 0) {
+            prompt = `Card ${currentReveal.index}/${currentReveal.total} - Press Enter to continue`;
+        }
+    }
     ctx.textAlign = 'center';
     const promptFont = Math.max(16, h * 0.02);
     ctx.font = `${promptFont}px sans-serif`;
     ctx.lineWidth = 4;
     ctx.strokeStyle = 'rgba(0,0,0,0.7)';
-    ctx.strokeText('Press Enter to continue', canvas.width / 2, canvas.height - 40);
+    ctx.strokeText(prompt, canvas.width / 2, canvas.height - 40);
     ctx.fillStyle = '#fff';
-    ctx.fillText('Press Enter to continue', canvas.width / 2, canvas.height - 40);
+    ctx.fillText(prompt, canvas.width / 2, canvas.height - 40);
     ctx.textAlign = 'left';
 }
 
@@ -697,27 +1399,49 @@ function drawMenu() {
     ctx.fillText('Key Combat AI', 20, 80);
     // Instructions
     ctx.font = '18px sans-serif';
-    ctx.fillText('Press Enter to start a new run', 20, 120);
-    ctx.fillText('Press G to draw a card (Gacha)', 20, 150);
-    // Display last gacha result if available
-    if (lastGachaResult) {
+    ctx.fillText(
+        `Press ${getControlLabel('startRun')} to start a new run, ${getControlLabel('controls')} to change controls, ` +
+            `${getControlLabel('saves')} for save slots (slot ${saveSlot}), ${getControlLabel('contentPacks')} for content packs`,
+        20,
+        120
+    );
+    ctx.fillText(
+        `Press ${getControlLabel('gachaSingle')} to draw a card (${gachaConfig.singleCost} souls), ` +
+            `${getControlLabel('gachaMulti')} for ${gachaConfig.multiCount} cards (${gachaConfig.multiCost} souls), ` +
+            `${getControlLabel('pullHistory')} for pull history`,
+        20,
+        150
+    );
+    ctx.fillText(
+        `Press ${getControlLabel('guildHall')} to visit the Guild Hall (Demon Souls: ${saveData.demonSouls}), ` +
+            `${getControlLabel('playReplay')} to play a replay file`,
+        20,
+        180
+    );
+    // Display last gacha result or a failed draw
+    if (gachaMessage) {
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(gachaMessage, 20, 210);
+        ctx.fillStyle = '#fff';
+    } else if (lastGachaResult) {
         ctx.font = '16px sans-serif';
         const res = lastGachaResult;
         const msg = res.isNew ? 'New card!' : 'Duplicate card!';
         ctx.fillText(
             `You drew: ${res.hero.name} (Level ${res.level}) - ${msg}`,
             20,
-            180
+            210
         );
     }
     // List unlocked heroes
     ctx.font = '16px sans-serif';
-    ctx.fillText('Unlocked Heroes:', 20, 210);
+    ctx.fillText('Unlocked Heroes:', 20, 240);
     if (saveData.unlockedHeroes.length > 0) {
         saveData.unlockedHeroes.forEach((heroId, idx) => {
             const data = charactersData.find((h) => h.id === heroId);
             const level = saveData.heroLevels[heroId];
-            const y = 230 + idx * 20;
+            const y = 260 + idx * 20;
             ctx.fillText(
                 `${data ? data.name : heroId} - Lv ${level}`,
                 20,
@@ -725,14 +1449,837 @@ function drawMenu() {
             );
         });
     } else {
-        ctx.fillText('None', 20, 230);
+        ctx.fillText('None', 20, 260);
+    }
+    if (replayMessage) {
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(replayMessage, 20, canvas.height - 55);
+        ctx.fillStyle = '#fff';
+    }
+    // Warn when part of the save had to be set aside
+    if (saveProblem) {
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(saveProblem, 20, canvas.height - 30);
     }
+    // Content data problems are listed in the console
+    if (dataProblems.length > 0) {
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(`${dataProblems.length} problem(s) found in the data files; see the console for details`, 20, canvas.height - 80);
+    }
+}
+
+// Colors and labels for each dungeon node type
+const NODE_STYLES = {
+    combat: { color: '#c0392b', label: 'Combat' },
+    elite: { color: '#8e44ad', label: 'Elite' },
+    reward: { color: '#f1c40f', label: 'Reward' },
+    shop: { color: '#27ae60', label: 'Shop' },
+    rest: { color: '#2980b9', label: 'Rest' },
+    gacha: { color: '#e67e22', label: 'Gacha' }
+};
+
+// Screen position of a map node. Depth 0 sits at the bottom of the screen.
+function getMapNodePosition(map, node) {
+    const top = 100;
+    const bottom = canvas.height - 100;
+    const rowGap = map.layers.length > 1 ? (bottom - top) / (map.layers.length - 1) : 0;
+    const layer = map.layers[node.depth];
+    return {
+        x: (canvas.width * (node.column + 1)) / (layer.length + 1),
+        y: bottom - node.depth * rowGap
+    };
 }
 
 function drawMap() {
+    const map = currentRun.map;
+    const reachable = getReachableNodes(map, currentRun.currentNodeId);
+    const selected = reachable[Math.min(currentRun.selectedIndex, reachable.length - 1)];
+    const radius = 22;
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '24px sans-serif';
+    ctx.fillText('Dungeon Map', 20, 40);
+    ctx.font = '16px sans-serif';
+    ctx.fillText('Left/Right to choose a room, Enter to enter it', 20, 66);
+    ctx.fillText(`Rooms cleared: ${currentRun.roomsCleared}   Gold: ${currentRun.gold}`, 20, 90);
+    ctx.fillText(`Seed: ${currentRun.seed}`, 20, 114);
+    if (lastReplay) {
+        ctx.fillText(`Press ${getControlLabel('saveReplay')} to save a replay of the last fight`, 20, 138);
+    }
+    drawActiveBoons(20, 150);
+    drawPartyStatus(canvas.width - 20, 40);
+    if (currentRun.foundRelic) {
+        const relic = getRelic(currentRun.foundRelic);
+        ctx.fillStyle = RELIC_COLOR;
+        ctx.font = '16px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.fillText(`Found a relic: ${relic.name} - ${relic.description}`, canvas.width - 20, 40 + playerHeroes.length * 18 + 10);
+        ctx.textAlign = 'left';
+    }
+
+    // Edges first so nodes are drawn on top
+    ctx.lineWidth = 2;
+    for (const layer of map.layers) {
+        for (const node of layer) {
+            const from = getMapNodePosition(map, node);
+            for (const nextId of node.next) {
+                const nextNode = map.nodes[nextId];
+                if (!nextNode) continue;
+                const to = getMapNodePosition(map, nextNode);
+                const onPath = node.id === currentRun.currentNodeId;
+                ctx.strokeStyle = onPath ? 'rgba(255,255,255,0.9)' : 'rgba(255,255,255,0.3)';
+                ctx.beginPath();
+                ctx.moveTo(from.x, from.y);
+                ctx.lineTo(to.x, to.y);
+                ctx.stroke();
+            }
+        }
+    }
+
+    for (const layer of map.layers) {
+        for (const node of layer) {
+            const pos = getMapNodePosition(map, node);
+            const style = NODE_STYLES[node.type] || { color: '#7f8c8d', label: node.type };
+            const isReachable = reachable.includes(node);
+            const isCurrent = node.id === currentRun.currentNodeId;
+            ctx.globalAlpha = isReachable || isCurrent ? 1 : 0.5;
+            ctx.fillStyle = style.color;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            if (node === selected) {
+                ctx.strokeStyle = '#fff';
+                ctx.lineWidth = 4;
+                ctx.beginPath();
+                ctx.arc(pos.x, pos.y, radius + 6, 0, Math.PI * 2);
+                ctx.stroke();
+            } else if (isCurrent) {
+                ctx.strokeStyle = '#2ecc71';
+                ctx.lineWidth = 3;
+                ctx.stroke();
+            }
+            ctx.fillStyle = '#fff';
+            ctx.font = '14px sans-serif';
+            ctx.textAlign = 'center';
+            ctx.fillText(style.label, pos.x, pos.y + radius + 18);
+            ctx.textAlign = 'left';
+            ctx.globalAlpha = 1;
+        }
+    }
+    drawRelicBar(20, canvas.height - 56);
+}
+
+function drawOffering() {
+    drawBackground(offeringBg);
+    const offer = currentRun.offer;
+    ctx.fillStyle = '#fff';
+    ctx.font = '28px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('The gods and demons make an offering', canvas.width / 2, 60);
+    ctx.font = '18px sans-serif';
+    ctx.fillText(`You found ${RUN_CONFIG.REWARD_SOULS} Demon Souls (${saveData.demonSouls} total).`, canvas.width / 2, 92);
+
+    const cardWidth = Math.min(260, (canvas.width - UI.GUTTER * 4) / 3);
+    const cardHeight = 220;
+    const totalWidth = offer.length * cardWidth + (offer.length - 1) * UI.GUTTER;
+    const top = (canvas.height - cardHeight) / 2;
+    offer.forEach((boon, idx) => {
+        const x = (canvas.width - totalWidth) / 2 + idx * (cardWidth + UI.GUTTER);
+        const selected = idx === currentRun.offerIndex;
+        ctx.save();
+        ctx.shadowColor = UI.PANEL_SHADOW;
+        ctx.shadowBlur = 6;
+        drawRoundedRect(ctx, x, top, cardWidth, cardHeight, UI.PANEL_RADIUS);
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fill();
+        ctx.restore();
+        drawRoundedRect(ctx, x, top, cardWidth, cardHeight, UI.PANEL_RADIUS);
+        ctx.strokeStyle = selected ? '#f1c40f' : boon.source === 'god' ? '#f8f8f8' : '#c0392b';
+        ctx.lineWidth = selected ? 4 : 2;
+        ctx.stroke();
+
+        ctx.fillStyle = boon.source === 'god' ? '#f1c40f' : '#e74c3c';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(`${idx + 1}. ${boon.source === 'god' ? 'God' : 'Demon'}`, x + cardWidth / 2, top + 28);
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillText(boon.name, x + cardWidth / 2, top + 58);
+        ctx.font = '15px sans-serif';
+        const lines = wrapText(ctx, boon.effect, cardWidth - UI.PANEL_PADDING * 2, 20);
+        lines.forEach((line, i) => {
+            ctx.fillText(line, x + cardWidth / 2, top + 96 + i * 20);
+        });
+    });
+    if (offer.length === 0) {
+        ctx.fillText('You already carry every boon.', canvas.width / 2, canvas.height / 2);
+    }
+
+    ctx.font = '16px sans-serif';
+    ctx.fillText('Left/Right or 1-3 to choose, Enter to accept, Escape to refuse', canvas.width / 2, canvas.height - 60);
+    if (currentRun.boonRerolls > 0) {
+        ctx.fillText(`Press ${getControlLabel('rerollBoons')} to reroll the offer (${currentRun.boonRerolls} left)`, canvas.width / 2, canvas.height - 36);
+    }
+    ctx.textAlign = 'left';
+    drawActiveBoons(20, canvas.height - 160, true);
+}
+
+/**
+ * Draw the shop: the stock with prices, greyed out with the reason when an
+ * item cannot be bought, the party's HP and the run's boons. While an item
+ * waits for a boon, the boon list has the cursor.
+ */
+function drawShop() {
+    drawBackground(offeringBg);
+    const shop = currentRun.shop;
+    const rowHeight = 52;
+    const panelWidth = Math.min(720, canvas.width - UI.GUTTER * 2);
+    const panelHeight = Math.min(canvas.height - UI.GUTTER * 2, 200 + Math.max(1, shop.items.length) * rowHeight);
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Shop', left, panelY + 40);
+    ctx.fillStyle = '#f1c40f';
+    ctx.font = '18px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`Gold: ${currentRun.gold}`, right, panelY + 40);
+    ctx.textAlign = 'left';
+
+    if (shop.items.length === 0) {
+        ctx.fillStyle = '#ccc';
+        ctx.font = '16px sans-serif';
+        ctx.fillText('The shelves are empty.', left, panelY + 90);
+    }
+    shop.items.forEach((item, idx) => {
+        const y = panelY + 60 + idx * rowHeight;
+        const selected = idx === shop.selectedIndex;
+        const problem = getShopItemProblem(item, currentRun, playerHeroes);
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 6);
+        }
+        ctx.globalAlpha = problem ? 0.45 : 1;
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.font = 'bold 17px sans-serif';
+        ctx.fillText(item.name, left, y + 20);
+        ctx.textAlign = 'right';
+        ctx.fillText(item.sold ? 'Sold' : `${item.price} gold`, right, y + 20);
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#ccc';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(problem && !item.sold ? `${item.description} - ${problem}` : item.description, left, y + 40);
+        ctx.globalAlpha = 1;
+    });
+
+    // Party HP and the boons an item may act on
+    let y = panelY + 80 + Math.max(1, shop.items.length) * rowHeight;
+    ctx.font = '14px sans-serif';
+    ctx.fillStyle = '#fff';
+    ctx.fillText(playerHeroes.map((hero) => `${hero.name} ${Math.ceil(hero.currentHP)}/${hero.maxHP}`).join('   '), left, y);
+    if (shopMenu.choosing) {
+        currentRun.boons.forEach((id, idx) => {
+            const boon = getBoon(id);
+            y += 20;
+            ctx.fillStyle = idx === shopMenu.boonIndex ? '#f1c40f' : '#ccc';
+            ctx.fillText(`${idx === shopMenu.boonIndex ? '> ' : ''}${boon ? `${boon.name}: ${boon.effect}` : id}`, left, y);
+        });
+    }
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText(shopMenu.choosing
+        ? 'Up/Down choose a boon, Enter confirm, Escape cancel'
+        : 'Up/Down choose, Enter buy, Escape leave the shop', left, footerY);
+    if (shopMenu.message) {
+        ctx.fillText(shopMenu.message, left, footerY - 26);
+    }
+    if (!shopMenu.choosing) {
+        drawActiveBoons(20, canvas.height - 160);
+    }
+}
+
+/**
+ * Draw the rest screen: one card per option, greyed out with the reason when
+ * it cannot be taken, and the party. While an option waits for a hero, the
+ * party has the cursor.
+ */
+function drawRest() {
+    drawBackground(offeringBg);
+    const options = restConfig.options;
+    ctx.fillStyle = '#fff';
+    ctx.font = '28px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText('A quiet place to rest', canvas.width / 2, 60);
+
+    const cardWidth = Math.min(240, (canvas.width - UI.GUTTER * (options.length + 1)) / Math.max(1, options.length));
+    const cardHeight = 180;
+    const totalWidth = options.length * cardWidth + (options.length - 1) * UI.GUTTER;
+    const top = 110;
+    options.forEach((option, idx) => {
+        const x = (canvas.width - totalWidth) / 2 + idx * (cardWidth + UI.GUTTER);
+        const selected = idx === currentRun.restIndex;
+        const problem = getRestOptionProblem(option, currentRun, playerHeroes);
+        ctx.globalAlpha = problem ? 0.45 : 1;
+        drawRoundedRect(ctx, x, top, cardWidth, cardHeight, UI.PANEL_RADIUS);
+        ctx.fillStyle = 'rgba(0,0,0,0.7)';
+        ctx.fill();
+        ctx.strokeStyle = selected ? '#f1c40f' : '#f8f8f8';
+        ctx.lineWidth = selected ? 4 : 2;
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillText(`${idx + 1}. ${option.name}`, x + cardWidth / 2, top + 34);
+        ctx.font = '15px sans-serif';
+        const lines = wrapText(ctx, problem || option.description, cardWidth - UI.PANEL_PADDING * 2, 20);
+        lines.forEach((line, i) => {
+            ctx.fillText(line, x + cardWidth / 2, top + 70 + i * 20);
+        });
+        ctx.globalAlpha = 1;
+    });
+
+    // The party, with the hero cursor while choosing
+    const slotWidth = Math.min(200, (canvas.width - UI.GUTTER * 2) / Math.max(1, playerHeroes.length));
+    const partyLeft = (canvas.width - slotWidth * playerHeroes.length) / 2;
+    const partyY = top + cardHeight + 60;
+    playerHeroes.forEach((hero, idx) => {
+        const x = partyLeft + idx * slotWidth + slotWidth / 2;
+        const selected = restMenu.choosing && idx === restMenu.heroIndex;
+        ctx.fillStyle = selected ? '#f1c40f' : hero.currentHP > 0 ? '#fff' : '#888';
+        ctx.font = selected ? 'bold 17px sans-serif' : '17px sans-serif';
+        ctx.fillText(`${selected ? '> ' : ''}${hero.name}`, x, partyY);
+        ctx.font = '14px sans-serif';
+        ctx.fillText(`Lv ${hero.level}${hero.trainedLevels ? ` (+${hero.trainedLevels})` : ''}`, x, partyY + 20);
+        ctx.fillText(`HP ${Math.ceil(hero.currentHP)}/${hero.maxHP}`, x, partyY + 40);
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    ctx.fillText(restMenu.choosing
+        ? 'Left/Right choose a hero, Enter confirm, Escape cancel'
+        : 'Left/Right or number to choose, Enter to take it, Escape to move on', canvas.width / 2, canvas.height - 60);
+    if (restMenu.message) {
+        ctx.fillText(restMenu.message, canvas.width / 2, canvas.height - 86);
+    }
+    ctx.textAlign = 'left';
+}
+
+/**
+ * List the party's HP, right-aligned, one hero per line.
+ * @param {number} x Right edge.
+ * @param {number} y Baseline of the first line.
+ */
+function drawPartyStatus(x, y) {
+    ctx.textAlign = 'right';
+    ctx.font = '14px sans-serif';
+    playerHeroes.forEach((hero, idx) => {
+        ctx.fillStyle = hero.currentHP <= 0 ? '#888' : hero.lowHP ? '#e74c3c' : '#fff';
+        const level = `Lv ${hero.level}${hero.trainedLevels ? ` (+${hero.trainedLevels})` : ''}`;
+        ctx.fillText(`${hero.name} ${level}  HP ${Math.ceil(hero.currentHP)}/${hero.maxHP}`, x, y + idx * 18);
+    });
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Draw the run's relics as a row of icons. Hovering one with the mouse shows
+ * its name and what it does.
+ * @param {number} x Left edge.
+ * @param {number} y Top edge.
+ */
+function drawRelicBar(x, y) {
+    if (!currentRun || currentRun.relics.length === 0) return;
+    const size = 32;
+    const gap = 8;
+    let hovered = null;
+    currentRun.relics.forEach((id, idx) => {
+        const relic = getRelic(id);
+        if (!relic) return;
+        const left = x + idx * (size + gap);
+        drawRoundedRect(ctx, left, y, size, size, 6);
+        ctx.fillStyle = relic.icon || RELIC_COLOR;
+        ctx.fill();
+        ctx.strokeStyle = '#fff';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+        ctx.fillStyle = '#fff';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(relic.name.charAt(0), left + size / 2, y + size / 2 + 6);
+        ctx.textAlign = 'left';
+        if (pointer && pointer.x >= left && pointer.x < left + size && pointer.y >= y && pointer.y < y + size) {
+            hovered = { relic, left };
+        }
+    });
+    if (!hovered) return;
+    // Tooltip above the icon
+    ctx.font = '14px sans-serif';
+    const text = `${hovered.relic.name}: ${hovered.relic.description}`;
+    const width = ctx.measureText(text).width + UI.PANEL_PADDING * 2;
+    const tipX = Math.min(hovered.left, canvas.width - width - 10);
+    drawRoundedRect(ctx, tipX, y - 40, width, 30, 6);
+    ctx.fillStyle = 'rgba(0,0,0,0.85)';
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.fillText(text, tipX + UI.PANEL_PADDING, y - 20);
+}
+
+/**
+ * List the boons taken this run.
+ * @param {number} x Left edge.
+ * @param {number} y Baseline of the heading.
+ * @param {boolean} [showEffects=false] Also print what each boon does.
+ */
+function drawActiveBoons(x, y, showEffects = false) {
+    if (!currentRun) return;
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    ctx.fillText('Active boons:', x, y);
+    ctx.font = '14px sans-serif';
+    if (currentRun.boons.length === 0) {
+        ctx.fillText('None', x, y + 20);
+        return;
+    }
+    currentRun.boons.forEach((id, idx) => {
+        const boon = getBoon(id);
+        if (!boon) return;
+        ctx.fillStyle = boon.source === 'god' ? '#f1c40f' : '#e74c3c';
+        ctx.fillText(showEffects ? `${boon.name}: ${boon.effect}` : boon.name, x, y + 20 + idx * 18);
+    });
+}
+
+function drawGuildHall() {
+    drawBackground(guildHallBg);
+    const panelWidth = Math.min(720, canvas.width - UI.GUTTER * 2);
+    const rowHeight = 56;
+    const panelHeight = 120 + upgradesData.length * rowHeight;
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
     ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Guild Hall', left, panelY + 40);
     ctx.font = '18px sans-serif';
-    ctx.fillText('Map screen (coming soon)', 20, 100);
+    ctx.textAlign = 'right';
+    ctx.fillText(`Demon Souls: ${saveData.demonSouls}`, right, panelY + 40);
+    ctx.textAlign = 'left';
+
+    upgradesData.forEach((upgrade, idx) => {
+        const y = panelY + 70 + idx * rowHeight;
+        const selected = idx === guildHallIndex;
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 6);
+        }
+        const level = getUpgradeLevel(saveData, upgrade.id);
+        const cost = getUpgradeCost(saveData, upgrade);
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.font = 'bold 17px sans-serif';
+        const levelText = upgrade.costs.length > 1 ? ` (Lv ${level}/${upgrade.costs.length})` : '';
+        ctx.fillText(`${upgrade.name}${levelText}`, left, y + 20);
+        ctx.fillStyle = '#ccc';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(upgrade.description, left, y + 40);
+        ctx.textAlign = 'right';
+        ctx.font = '16px sans-serif';
+        if (cost === null) {
+            ctx.fillStyle = '#2ecc71';
+            ctx.fillText('Owned', right, y + 28);
+        } else {
+            ctx.fillStyle = saveData.demonSouls >= cost ? '#fff' : '#e74c3c';
+            ctx.fillText(`${cost} souls`, right, y + 28);
+        }
+        ctx.textAlign = 'left';
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText('Up/Down to choose, Enter to buy, Escape to return', left, footerY);
+    if (guildHallMessage) {
+        ctx.textAlign = 'right';
+        ctx.fillText(guildHallMessage, right, footerY);
+        ctx.textAlign = 'left';
+    }
+}
+
+// Badge colours for hero roles (the `type` field in characters.js)
+const ROLE_COLORS = {
+    Attack: '#e74c3c',
+    Support: '#2ecc71',
+    Defense: '#3498db'
+};
+
+/**
+ * Draw the party screen: every hero on offer with leveled stats, role and
+ * combat key, plus the chosen party in order.
+ */
+function drawPartySelect() {
+    drawBackground(guildHallBg);
+    const partySize = getPartySize();
+    const roster = partySelect.roster;
+    const party = partySelect.party;
+    const panelWidth = Math.min(760, canvas.width - UI.GUTTER * 2);
+    const rowHeight = 52;
+    const panelHeight = 190 + roster.length * rowHeight;
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Choose Your Party', left, panelY + 40);
+    ctx.font = '18px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${party.length}/${partySize} heroes`, right, panelY + 40);
+    ctx.textAlign = 'left';
+
+    const partyData = party.map(getBoundHeroData);
+    const conflicts = findKeyConflicts(partyData);
+    ctx.font = '16px sans-serif';
+    const order = partyData.map((h, i) => `${i + 1}. ${h.name}`).join('   ');
+    ctx.fillText(`Party: ${order || 'empty'}`, left, panelY + 72);
+
+    roster.forEach((id, idx) => {
+        const data = getHeroData(id);
+        const y = panelY + 90 + idx * rowHeight;
+        const selected = idx === partySelect.index;
+        const slot = party.indexOf(id);
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 6);
+        }
+        // Party slot
+        ctx.font = 'bold 18px sans-serif';
+        ctx.fillStyle = '#f1c40f';
+        ctx.fillText(slot >= 0 ? `${slot + 1}` : '-', left, y + 28);
+
+        const level = saveData.heroLevels[id] || 1;
+        const stats = getLeveledStats(data, level);
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.font = 'bold 17px sans-serif';
+        ctx.fillText(`${data.name} (Lv ${level})`, left + 30, y + 20);
+        ctx.fillStyle = '#ccc';
+        ctx.font = '14px sans-serif';
+        ctx.fillText(`HP ${stats.hp}   ATK ${stats.atk}   Ult ${stats.ultCharge} hits`, left + 30, y + 40);
+
+        // Role badge
+        ctx.font = 'bold 13px sans-serif';
+        const roleWidth = ctx.measureText(data.type).width + 16;
+        const roleX = left + 250;
+        drawRoundedRect(ctx, roleX, y + 8, roleWidth, 20, 6);
+        ctx.fillStyle = ROLE_COLORS[data.type] || '#7f8c8d';
+        ctx.fill();
+        ctx.fillStyle = '#fff';
+        ctx.fillText(data.type, roleX + 8, y + 23);
+
+        // Combat key, red when another party member shares it
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 18px sans-serif';
+        const key = getControlKey(id);
+        const clash = slot >= 0 && conflicts.includes(key);
+        ctx.fillStyle = clash ? '#e74c3c' : '#fff';
+        ctx.fillText(`[${getKeyLabel(key)}]`, right, y + 28);
+        ctx.textAlign = 'left';
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText(`Up/Down choose, Space add/remove, Left/Right reorder, Tab seed, ${MAP_MODE_KEY} map, Enter start, Esc back`,
+        left, footerY);
+    let seedText = 'Seed: random';
+    if (partySelect.seedMode === 'daily') {
+        seedText = `Seed: ${getDailySeed()} (daily)`;
+    } else if (partySelect.seedMode === 'custom') {
+        seedText = `Seed: ${partySelect.seedText}_ (type a seed)`;
+    }
+    const mapText = partySelect.mapMode === 'authored' ? 'Map: authored rooms' : 'Map: generated from the seed';
+    ctx.fillStyle = '#f1c40f';
+    ctx.fillText(`${seedText}   ${mapText}`, left, footerY - 52);
+    if (partySelect.message) {
+        ctx.fillStyle = '#e74c3c';
+        ctx.fillText(partySelect.message, left, footerY - 26);
+    }
+}
+
+/**
+ * Draw the controls screen: the layout preset and every binding, grouped by
+ * scope.
+ */
+function drawControls() {
+    drawBackground(guildHallBg);
+    const panelWidth = Math.min(640, canvas.width - UI.GUTTER * 2);
+    const rowHeight = 30;
+    const rows = bindingSlots.length + 1;
+    const panelHeight = 150 + rows * rowHeight;
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Controls', left, panelY + 40);
+
+    const preset = getControlPreset(controls.preset);
+    const labels = [{ name: 'Layout', value: `< ${preset.name} >`, scope: '' }].concat(
+        bindingSlots.map((slot) => ({
+            name: slot.name,
+            value: getKeyLabel(getBoundKey(controls, slot)),
+            scope: slot.scope
+        }))
+    );
+    labels.forEach((row, idx) => {
+        const y = panelY + 70 + idx * rowHeight;
+        const selected = idx === controlsMenu.index;
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 4);
+        }
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.fillText(row.name, left, y + 19);
+        ctx.fillStyle = '#ccc';
+        ctx.fillText(row.scope, left + 260, y + 19);
+        ctx.textAlign = 'right';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        const value = selected && controlsMenu.listening ? 'Press a key...' : row.value;
+        ctx.fillText(value, right, y + 19);
+        ctx.textAlign = 'left';
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText('Up/Down choose, Left/Right change layout, Enter rebind, Escape back', left, footerY);
+    if (controlsMenu.message) {
+        ctx.fillText(controlsMenu.message, left, footerY - 26);
+    }
+}
+
+/**
+ * Draw the save screen: a summary of every slot with the active one marked.
+ */
+function drawSaves() {
+    drawBackground(guildHallBg);
+    const panelWidth = Math.min(640, canvas.width - UI.GUTTER * 2);
+    const rowHeight = 56;
+    const panelHeight = 150 + SAVE_SLOT_COUNT * rowHeight;
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Save Slots', left, panelY + 40);
+
+    listSaveSlots(gameStorage).forEach((info, idx) => {
+        const y = panelY + 70 + idx * rowHeight;
+        const selected = idx === saveMenu.index;
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 6);
+        }
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.font = 'bold 17px sans-serif';
+        ctx.fillText(`Slot ${info.slot}${info.slot === saveSlot ? ' (active)' : ''}`, left, y + 20);
+        ctx.fillStyle = info.readable ? '#ccc' : '#e74c3c';
+        ctx.font = '14px sans-serif';
+        let summary = `${info.heroes} heroes, ${info.demonSouls} Demon Souls`;
+        if (info.empty) summary = 'Empty';
+        if (!info.readable) summary = 'Unreadable - will be set aside when loaded';
+        ctx.fillText(summary, left, y + 40);
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText('Up/Down choose, Enter load, E export, I import, Escape back', left, footerY);
+    if (saveMenu.message) {
+        ctx.fillText(saveMenu.message, left, footerY - 26);
+    }
+    ctx.textAlign = 'right';
+    ctx.fillText(`Save version ${SAVE_VERSION}`, right, panelY + 40);
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Draw the content pack screen: every installed pack with its status, the
+ * selected pack's problems, and the packs the last run used.
+ */
+function drawPacks() {
+    drawBackground(guildHallBg);
+    const rowHeight = 48;
+    const panelWidth = Math.min(720, canvas.width - UI.GUTTER * 2);
+    const panelHeight = Math.min(canvas.height - UI.GUTTER * 2, 250 + Math.max(1, contentPacks.length) * rowHeight);
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Content Packs', left, panelY + 40);
+
+    if (contentPacks.length === 0) {
+        ctx.font = '16px sans-serif';
+        ctx.fillStyle = '#ccc';
+        ctx.fillText('No packs installed. Press I to import one.', left, panelY + 80);
+    }
+    contentPacks.forEach((entry, idx) => {
+        const y = panelY + 60 + idx * rowHeight;
+        const selected = idx === packMenu.index;
+        if (selected) {
+            ctx.fillStyle = 'rgba(241,196,15,0.2)';
+            ctx.fillRect(panelX + UI.PANEL_PADDING, y, panelWidth - UI.PANEL_PADDING * 2, rowHeight - 6);
+        }
+        const version = entry.pack.version === undefined ? '' : ` v${entry.pack.version}`;
+        ctx.fillStyle = selected ? '#f1c40f' : '#fff';
+        ctx.font = 'bold 17px sans-serif';
+        ctx.fillText(`${entry.pack.name}${version}`, left, y + 18);
+        let status = entry.enabled ? 'Enabled' : 'Disabled';
+        if (entry.enabled && entry.problems.length > 0) status = `Left out: ${entry.problems.length} problem(s)`;
+        ctx.fillStyle = entry.problems.length > 0 ? '#e74c3c' : '#ccc';
+        ctx.font = '14px sans-serif';
+        const from = entry.source === 'manifest' ? 'from the manifest' : 'imported';
+        const conflicts = entry.conflicts.length > 0 ? `, ${entry.conflicts.length} entries skipped as conflicts` : '';
+        ctx.fillText(`${status} - ${from}${conflicts}`, left, y + 36);
+    });
+
+    // Details of the selected pack
+    const entry = contentPacks[packMenu.index];
+    let y = panelY + 70 + Math.max(1, contentPacks.length) * rowHeight;
+    ctx.font = '14px sans-serif';
+    if (entry) {
+        ctx.fillStyle = '#e74c3c';
+        entry.problems.concat(entry.conflicts).slice(0, 3).forEach((problem) => {
+            ctx.fillText(formatDataProblem(problem), left, y);
+            y += 20;
+        });
+    }
+    const lastRun = saveData.lastRunPacks.map((ref) => ref.name || ref.id).join(', ') || 'none';
+    ctx.fillStyle = '#ccc';
+    ctx.fillText(`Packs used by the last run: ${lastRun}`, left, y + 10);
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText('Up/Down choose, Enter enable/disable, I import, Delete remove, Escape back', left, footerY);
+    if (packMenu.message) {
+        ctx.fillText(packMenu.message, left, footerY - 26);
+    }
+}
+
+/**
+ * Draw the pull history, newest draw first, along with the pity counter.
+ */
+function drawPullHistory() {
+    drawBackground(cardViewBg);
+    const panelWidth = Math.min(720, canvas.width - UI.GUTTER * 2);
+    const rowHeight = 28;
+    const visibleRows = 15;
+    const panelHeight = 130 + visibleRows * rowHeight;
+    const panelX = (canvas.width - panelWidth) / 2;
+    const panelY = Math.max(UI.GUTTER, (canvas.height - panelHeight) / 2);
+    drawRoundedRect(ctx, panelX, panelY, panelWidth, panelHeight, UI.PANEL_RADIUS);
+    ctx.fillStyle = 'rgba(0,0,0,0.7)';
+    ctx.fill();
+
+    const left = panelX + UI.PANEL_PADDING * 2;
+    const right = panelX + panelWidth - UI.PANEL_PADDING * 2;
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 26px sans-serif';
+    ctx.fillText('Pull History', left, panelY + 40);
+    ctx.font = '16px sans-serif';
+    ctx.textAlign = 'right';
+    const pityLeft = gachaConfig.pity.threshold - saveData.gachaPity;
+    ctx.fillText(`${gachaConfig.pity.rarity} guaranteed within ${pityLeft} draws`, right, panelY + 40);
+    ctx.textAlign = 'left';
+
+    const history = saveData.pullHistory.slice().reverse();
+    if (history.length === 0) {
+        ctx.fillStyle = '#ccc';
+        ctx.fillText('No draws yet', left, panelY + 90);
+    }
+    history.slice(pullHistoryScroll, pullHistoryScroll + visibleRows).forEach((pull, idx) => {
+        const y = panelY + 90 + idx * rowHeight;
+        const data = charactersData.find((h) => h.id === pull.heroId);
+        const rarity = getRarity(pull.rarity);
+        ctx.fillStyle = rarity ? rarity.color : '#fff';
+        ctx.font = 'bold 16px sans-serif';
+        ctx.fillText(pull.rarity, left, y);
+        ctx.fillStyle = '#fff';
+        ctx.font = '16px sans-serif';
+        ctx.fillText(`${data ? data.name : pull.heroId}${pull.pity ? ' (pity)' : ''}`, left + 60, y);
+        ctx.fillStyle = '#ccc';
+        ctx.textAlign = 'right';
+        ctx.fillText(new Date(pull.time).toLocaleString(), right, y);
+        ctx.textAlign = 'left';
+    });
+
+    ctx.fillStyle = '#fff';
+    ctx.font = '16px sans-serif';
+    const footerY = panelY + panelHeight - 20;
+    ctx.fillText('Up/Down to scroll, Escape to return', left, footerY);
+    if (history.length > 0) {
+        ctx.textAlign = 'right';
+        ctx.fillText(`${history.length} draws`, right, footerY);
+        ctx.textAlign = 'left';
+    }
+}
+
+function drawRunEnd() {
+    ctx.fillStyle = currentRun.victory ? '#2ecc71' : '#e74c3c';
+    ctx.font = '32px sans-serif';
+    ctx.fillText(currentRun.victory ? 'Dungeon Cleared!' : 'Your party has fallen', 20, 80);
+    ctx.fillStyle = '#fff';
+    ctx.font = '18px sans-serif';
+    ctx.fillText(`Rooms cleared: ${currentRun.roomsCleared}`, 20, 120);
+    ctx.fillText(`Demon Souls earned: ${currentRun.soulsEarned}`, 20, 150);
+    ctx.fillText(`Seed: ${currentRun.seed}`, 20, 180);
+    ctx.fillText('Press Enter to return to the menu', 20, 220);
+    if (lastReplay) {
+        ctx.fillText(`Press ${getControlLabel('saveReplay')} to save a replay of the last fight`, 20, 250);
+    }
+}
+
+/**
+ * Show how a replay ended and whether it matched the recording.
+ */
+function drawReplayEnd() {
+    ctx.fillStyle = replayResult.matched ? '#2ecc71' : '#e74c3c';
+    ctx.font = '32px sans-serif';
+    ctx.fillText(replayResult.matched ? 'Replay matched the recording' : 'Replay diverged from the recording', 20, 80);
+    ctx.fillStyle = '#fff';
+    ctx.font = '18px sans-serif';
+    ctx.fillText(`Result: ${replayResult.victory ? 'Victory' : 'Defeat'}`, 20, 120);
+    ctx.fillText(`Combat steps: ${replayResult.steps}`, 20, 150);
+    ctx.fillText('Press Enter to return to the menu', 20, 190);
 }
 
 // ----- Game loop -----
@@ -746,14 +2293,11 @@ function gameLoop(timestamp) {
 }
 
 // Initialize game on window load
-window.onload = () => {
+window.onload = async () => {
+    // Load the content packs, save and key bindings before the first frame
+    initGameCore(localStorage, await loadManifestPacks());
     // Start in the menu state
     currentState = GAME_STATES.MENU;
-    // Listen for Enter key to begin a run
-    window.addEventListener('keydown', (e) => {
-        if (currentState === GAME_STATES.MENU && e.key === 'Enter') {
-            startNewRun();
-        }
-    });
+    window.addEventListener('keydown', handleKeyDown);
     requestAnimationFrame(gameLoop);
 };
\ No newline at end of file
@@ -0,0 +1,92 @@
+/*
+ * Node loader for the Key Combat AI game core.
+ *
+ * Runs the data scripts and DOM-free logic scripts listed in index.html (every
+ * script except the browser layer in js/game.js) in a fresh VM context, so the
+ * game rules can be driven from Node without a browser:
+ *
+ *   const { loadGameCore } = require('./js/headless');
+ *   const game = loadGameCore();
+ *   game.get('startNewRun')(['hero_azal', 'hero_fyra']);
+ *   game.update(1 / 60);
+ *   game.eval('currentRun.map.startId');
+ *
+ * Each call returns an independent game. This file is Node-only and is not
+ * loaded by index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+const BROWSER_SCRIPT = 'js/game.js';
+
+/**
+ * @returns {string[]} Paths of the core scripts, relative to the project
+ *     root, in the order index.html loads them.
+ */
+function getCoreScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const scripts = [];
+    for (const match of html.matchAll(/<script src="([^"]+)"><\/script>/g)) {
+        if (match[1] !== BROWSER_SCRIPT) scripts.push(match[1]);
+    }
+    if (!scripts.includes('js/core.js')) {
+        throw new Error('index.html does not load js/core.js');
+    }
+    return scripts;
+}
+
+/**
+ * @returns {object} An empty VM context for the game scripts, with `window`
+ *     pointing at its own globals.
+ */
+function createScriptContext() {
+    const context = { console };
+    context.window = context;
+    vm.createContext(context);
+    return context;
+}
+
+/**
+ * Run one of the game scripts in a context.
+ * @param {object} context Context from createScriptContext.
+ * @param {string} file Script path relative to the project root.
+ */
+function runScript(context, file) {
+    const code = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(code, context, { filename: file });
+}
+
+/**
+ * Load a game core.
+ * @param {object} [options]
+ * @param {object} [options.storage] Storage with the localStorage interface
+ *     for saves and key bindings. Defaults to empty in-memory storage.
+ * @param {object[]} [options.packs] Content packs to load as if listed in the
+ *     pack manifest.
+ * @returns {{context: object, eval: function(string): *, get: function(string): *,
+ *     update: function(number), keyDown: function(string), keyUp: function(string)}}
+ */
+function loadGameCore(options = {}) {
+    const context = createScriptContext();
+    getCoreScripts().forEach((file) => runScript(context, file));
+    const evaluate = (code) => vm.runInContext(code, context);
+    const storage = options.storage || evaluate('createMemoryStorage()');
+    evaluate('initGameCore')(storage, options.packs || []);
+    return {
+        context,
+        // Evaluate code against the core's globals
+        eval: evaluate,
+        // Look up one global, e.g. 'currentRun' or 'gachaDraw'
+        get: (name) => evaluate(name),
+        // Advance the simulation by dt seconds
+        update: (dt) => evaluate('update')(dt),
+        // Press or release a combat key
+        keyDown: (key) => evaluate('handleCombatKey')('down', key),
+        keyUp: (key) => evaluate('handleCombatKey')('up', key)
+    };
+}
+
+module.exports = { getCoreScripts, createScriptContext, runScript, loadGameCore };
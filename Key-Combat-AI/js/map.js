@@ -0,0 +1,84 @@
+/*
+ * Dungeon map logic for Key Combat AI.
+ *
+ * Builds a graph of `Node` objects from room data (see `data/rooms.js`) and
+ * tracks which rooms the party can move to next. Drawing lives in game.js.
+ */
+
+// Class representing a dungeon node
+class Node {
+    constructor(data) {
+        this.id = data.id;
+        this.type = data.type; // 'combat', 'elite', 'reward', etc.
+        this.next = data.next || [];
+        this.chart = data.chart || null; // Optional beat chart override
+        this.encounter = data.encounter || null; // Optional encounter id
+        // Layout information filled in by buildMap
+        this.depth = 0;
+        this.column = 0;
+    }
+
+    isFinal() {
+        return this.next.length === 0;
+    }
+}
+
+/**
+ * Build a dungeon map from a list of room definitions.
+ * The first room in the list is the entrance. Each node is assigned a depth
+ * (longest path from the entrance) and a column within that depth so the map
+ * can be laid out in rows.
+ * @param {Array<{id: string, type: string, next: string[]}>} rooms Room definitions.
+ * @returns {{nodes: Object<string, Node>, startId: string, layers: Node[][]}}
+ */
+function buildMap(rooms) {
+    const nodes = {};
+    rooms.forEach((room) => {
+        nodes[room.id] = new Node(room);
+    });
+    const startId = rooms.length > 0 ? rooms[0].id : null;
+
+    // Walk the graph following each `next` list, pushing nodes deeper whenever
+    // a longer path to them is found.
+    const queue = startId ? [startId] : [];
+    while (queue.length > 0) {
+        const node = nodes[queue.shift()];
+        for (const nextId of node.next) {
+            const nextNode = nodes[nextId];
+            if (!nextNode) {
+                console.warn(`Room ${node.id} links to unknown room ${nextId}`);
+                continue;
+            }
+            if (nextNode.depth < node.depth + 1 && node.depth + 1 < rooms.length) {
+                nextNode.depth = node.depth + 1;
+                queue.push(nextId);
+            }
+        }
+    }
+
+    const layers = [];
+    rooms.forEach((room) => {
+        const node = nodes[room.id];
+        if (!layers[node.depth]) layers[node.depth] = [];
+        node.column = layers[node.depth].length;
+        layers[node.depth].push(node);
+    });
+
+    return { nodes, startId, layers: layers.filter(Boolean) };
+}
+
+/**
+ * Get the nodes the party may move to from its current position.
+ * @param {{nodes: Object<string, Node>, startId: string}} map The dungeon map.
+ * @param {string|null} currentId Identifier of the last cleared node, or null
+ *     if the run has not entered the dungeon yet.
+ * @returns {Node[]}
+ */
+function getReachableNodes(map, currentId) {
+    if (!currentId) {
+        return map.startId ? [map.nodes[map.startId]] : [];
+    }
+    return map.nodes[currentId].next
+        .map((id) => map.nodes[id])
+        .filter(Boolean);
+}
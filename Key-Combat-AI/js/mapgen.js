@@ -0,0 +1,128 @@
+/*
+ * Procedural dungeon map generation for Key Combat AI.
+ *
+ * Produces layered, branching maps in the same `{id, type, next}` shape as
+ * `data/rooms.js`, so generated and hand-authored maps both go through
+ * buildMap. Settings come from `data/mapgen.js`.
+ */
+
+/**
+ * Connect two rows of rooms without crossing paths. Each room in the upper row
+ * covers a contiguous range of the lower row, so every room gets at least one
+ * way in and one way out.
+ * @param {Array<{next: string[]}>} row The rooms being connected from.
+ * @param {Array<{id: string}>} nextRow The rooms being connected to.
+ * @param {number} branchChance Chance to add an extra path to the right.
+ * @param {object} rng Seeded RNG from createRng.
+ */
+function connectMapRows(row, nextRow, branchChance, rng) {
+    const a = row.length;
+    const b = nextRow.length;
+    const ranges = row.map((room, j) => ({
+        lo: Math.floor((j * b) / a),
+        hi: Math.ceil(((j + 1) * b) / a) - 1
+    }));
+    ranges.forEach((range, j) => {
+        const nextLo = j + 1 < a ? ranges[j + 1].lo : b;
+        if (range.hi + 1 < b && nextLo >= range.hi + 1 && rng.next() < branchChance) {
+            range.hi++;
+        }
+        for (let k = range.lo; k <= range.hi; k++) {
+            row[j].next.push(nextRow[k].id);
+        }
+    });
+}
+
+/**
+ * Get the type a row is forced to by the rules, or null for a free row.
+ * @param {number} d Row index.
+ * @param {object} config Generation settings.
+ * @returns {string|null}
+ */
+function getForcedRoomType(d, config) {
+    if (d === 0) return config.rules.startType;
+    if (d === config.depth - 1) return config.rules.finalType;
+    if (d === config.depth - 2 && config.rules.restBeforeFinal) return 'rest';
+    return null;
+}
+
+/**
+ * Pick a room type for a free room, honouring the generation rules.
+ * @param {number} d Row of the room.
+ * @param {string[]} parentTypes Types of the rooms leading into it.
+ * @param {object} config Generation settings.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {string}
+ */
+function pickRoomType(d, parentTypes, config, rng) {
+    const rules = config.rules;
+    const weights = Object.assign({}, config.weights);
+    if (d < rules.eliteMinDepth) {
+        weights.elite = 0;
+    }
+    // Avoid repeats with the rooms before and with a forced row after
+    const neighbourTypes = parentTypes.concat(getForcedRoomType(d + 1, config) || []);
+    for (const type of rules.noConsecutive) {
+        if (neighbourTypes.includes(type)) {
+            weights[type] = 0;
+        }
+    }
+    return rng.weighted(weights) || 'combat';
+}
+
+/**
+ * Generate a dungeon map from a seed.
+ * @param {number|string} seed Seed for the map layout and room types.
+ * @param {object} [options] Overrides for `mapGenConfig` (depth, minWidth,
+ *     maxWidth, branchChance, weights, rules).
+ * @returns {Array<{id: string, type: string, next: string[]}>} Room
+ *     definitions, entrance first. The final room names the rules'
+ *     `finalEncounter`, if any.
+ */
+function generateMap(seed, options = {}) {
+    const config = Object.assign({}, mapGenConfig, options);
+    config.weights = Object.assign({}, mapGenConfig.weights, options.weights);
+    config.rules = Object.assign({}, mapGenConfig.rules, options.rules);
+    const rng = createRng(seed);
+    const depth = Math.max(2, config.depth);
+    config.depth = depth;
+
+    // Lay out the rows: a single entrance, middle rows of varying width and a
+    // single final room.
+    const rows = [];
+    for (let d = 0; d < depth; d++) {
+        const isEdge = d === 0 || d === depth - 1;
+        const width = isEdge
+            ? 1
+            : config.minWidth + rng.int(config.maxWidth - config.minWidth + 1);
+        const row = [];
+        for (let c = 0; c < width; c++) {
+            row.push({ id: `room_${d}_${c}`, type: null, next: [] });
+        }
+        rows.push(row);
+    }
+    for (let d = 0; d < depth - 1; d++) {
+        connectMapRows(rows[d], rows[d + 1], config.branchChance, rng);
+    }
+
+    // Assign types row by row so each room can look at the rooms leading in
+    const parentsOf = {};
+    rows.forEach((row) => {
+        row.forEach((room) => {
+            room.next.forEach((id) => {
+                (parentsOf[id] = parentsOf[id] || []).push(room);
+            });
+        });
+    });
+    rows.forEach((row, d) => {
+        row.forEach((room) => {
+            const parentTypes = (parentsOf[room.id] || []).map((p) => p.type);
+            room.type = getForcedRoomType(d, config) || pickRoomType(d, parentTypes, config, rng);
+        });
+    });
+    if (config.rules.finalEncounter) {
+        rows[depth - 1][0].encounter = config.rules.finalEncounter;
+    }
+
+    return rows.flat();
+}
@@ -0,0 +1,271 @@
+/*
+ * Content packs for Key Combat AI.
+ *
+ * A content pack is a JSON bundle that adds heroes, enemies, rooms,
+ * encounters, beat charts, boons and team techniques without editing the
+ * data files:
+ *
+ *   {
+ *     "format": 1, "id": "pack_frost", "name": "Frost Wastes", "version": 2,
+ *     "replaces": ["room_start"],
+ *     "characters": [...], "enemies": [...], "rooms": [...],
+ *     "encounters": [...], "charts": [...], "techniques": [...],
+ *     "boons": { "gods": [...], "demons": [...] },
+ *     "images": { "frost_mage": "data:image/png;base64,..." }
+ *   }
+ *
+ * Entries use the same fields as the data files. Enabled packs are merged
+ * into the data registries in order. An entry whose id is already taken is
+ * skipped as a conflict unless the pack lists that id in `replaces`, in which
+ * case it takes the place of the earlier entry. A hero's `image` may name an
+ * entry of `images`; other paths are relative to the game's root, like the
+ * data files. After merging, every pack is checked with js/validate.js and
+ * packs with problems are left out.
+ *
+ * Rooms join the authored map in data/rooms.js, which the party screen picks
+ * when an enabled pack has rooms (see MAP_MODES in js/core.js). A pack room
+ * is reached through the `next` list of another room, so a pack usually
+ * replaces a room of the authored map to link its own rooms in.
+ *
+ * Packs come from two places: the `packs/manifest.json` file next to the game,
+ * and files the player imports, which are kept in storage. Packs are enabled
+ * unless the player has disabled them.
+ */
+
+const PACK_FORMAT = 1;
+const PACK_KEYS = {
+    PREFIX: 'kca_pack_',
+    DISABLED: 'kca_packs_disabled'
+};
+
+// Data sets a pack may add to. Each names the registry it merges into and the
+// validator's source key for problem reports.
+const PACK_CONTENT = {
+    characters: { registry: () => charactersData, source: 'characters' },
+    enemies: { registry: () => enemiesData, source: 'enemies' },
+    rooms: { registry: () => roomsData, source: 'rooms' },
+    encounters: { registry: () => encountersData, source: 'encounters' },
+    charts: { registry: () => chartsData, source: 'charts' },
+    techniques: { registry: () => techniquesData, source: 'techniques' },
+    gods: { registry: () => boonsData.gods, source: 'boons', group: 'boons' },
+    demons: { registry: () => boonsData.demons, source: 'boons', group: 'boons' }
+};
+
+// The registries as the data files define them, restored before packs are
+// merged so a disabled pack leaves nothing behind
+const BASE_CONTENT = {};
+for (const name in PACK_CONTENT) {
+    BASE_CONTENT[name] = PACK_CONTENT[name].registry().slice();
+}
+
+/**
+ * @param {object} pack A content pack.
+ * @returns {string} How problems in the pack are labelled.
+ */
+function getPackFile(pack) {
+    return `pack:${pack.id}`;
+}
+
+/**
+ * @param {object} pack A content pack.
+ * @param {string} name Data set name from PACK_CONTENT.
+ * @returns {*} The pack's entries for the data set, if any.
+ */
+function getPackEntries(pack, name) {
+    return PACK_CONTENT[name].group ? (pack[PACK_CONTENT[name].group] || {})[name] : pack[name];
+}
+
+/**
+ * Parse and check the shape of pack text. Entries are checked once the pack
+ * is merged.
+ * @param {string} text Pack JSON.
+ * @returns {{pack: object|null, error: string|null}}
+ */
+function parsePack(text) {
+    let pack;
+    try {
+        pack = JSON.parse(text);
+    } catch (e) {
+        return { pack: null, error: 'The pack is not valid JSON.' };
+    }
+    if (!isPlainObject(pack)) {
+        return { pack: null, error: 'The pack is not an object.' };
+    }
+    if (pack.format !== PACK_FORMAT) {
+        return { pack: null, error: `Pack format ${pack.format} is not supported.` };
+    }
+    if (!isText(pack.id) || !isText(pack.name)) {
+        return { pack: null, error: 'The pack needs an id and a name.' };
+    }
+    for (const name in PACK_CONTENT) {
+        const entries = getPackEntries(pack, name);
+        if (entries !== undefined && !Array.isArray(entries)) {
+            return { pack: null, error: `The pack's ${name} must be a list.` };
+        }
+    }
+    if (pack.boons !== undefined && !isPlainObject(pack.boons)) {
+        return { pack: null, error: 'The pack\'s boons must be an object with gods and demons lists.' };
+    }
+    if (pack.replaces !== undefined && !(Array.isArray(pack.replaces) && pack.replaces.every(isText))) {
+        return { pack: null, error: 'The pack\'s replaces must be a list of ids.' };
+    }
+    if (pack.images !== undefined && !isPlainObject(pack.images)) {
+        return { pack: null, error: 'The pack\'s images must map names to image URLs.' };
+    }
+    return { pack, error: null };
+}
+
+/**
+ * Merge one pack into the registries.
+ * @param {object} pack A content pack.
+ * @param {object} sources Validator sources, updated with the pack's entries.
+ * @returns {{conflicts: object[], problems: object[]}} Entries skipped
+ *     because their id was taken, and entries without an id, as problems in
+ *     the validator's format.
+ */
+function mergePack(pack, sources) {
+    const file = getPackFile(pack);
+    const replaces = pack.replaces || [];
+    const conflicts = [];
+    const problems = [];
+    for (const name in PACK_CONTENT) {
+        const entries = getPackEntries(pack, name) || [];
+        const { registry, source } = PACK_CONTENT[name];
+        const target = registry();
+        // Boon ids are shared by gods and demons
+        const taken = source === 'boons' ? boonsData.gods.concat(boonsData.demons) : target;
+        entries.forEach((entry, position) => {
+            if (!isPlainObject(entry) || !isText(entry.id)) {
+                problems.push({ file, id: `${name}#${position}`, field: 'id', message: 'entry must be an object with an id' });
+                return;
+            }
+            if (name === 'characters' && pack.images && pack.images[entry.image]) {
+                entry = Object.assign({}, entry, { image: pack.images[entry.image] });
+            }
+            const existing = taken.find((other) => other && other.id === entry.id);
+            if (existing && !replaces.includes(entry.id)) {
+                const owner = sources[source][entry.id] || 'the base game';
+                conflicts.push({ file, id: entry.id, field: 'id', message: `is already used by ${owner}; list it in replaces to override` });
+                return;
+            }
+            const index = target.indexOf(existing);
+            if (index >= 0) {
+                target[index] = entry;
+            } else {
+                if (existing) {
+                    // A boon replacing one from the other group
+                    const group = boonsData.gods.includes(existing) ? boonsData.gods : boonsData.demons;
+                    group.splice(group.indexOf(existing), 1);
+                }
+                target.push(entry);
+            }
+            sources[source][entry.id] = file;
+        });
+    }
+    return { conflicts, problems };
+}
+
+/**
+ * Rebuild the registries from the data files plus the given packs, then
+ * validate the result. Packs with problems are taken out again until every
+ * remaining pack is clean.
+ * @param {object[]} packs Enabled packs in load order.
+ * @returns {{applied: object[], rejected: {pack: object, problems: object[]}[],
+ *     conflicts: object[], problems: object[]}} The packs merged, the packs
+ *     left out with their problems, entries skipped as conflicts, and the
+ *     remaining problems in the data files themselves.
+ */
+function applyContentPacks(packs) {
+    let applied = packs.slice();
+    const rejected = [];
+    for (;;) {
+        for (const name in PACK_CONTENT) {
+            const target = PACK_CONTENT[name].registry();
+            target.length = 0;
+            BASE_CONTENT[name].forEach((entry) => target.push(entry));
+        }
+        const sources = { characters: {}, enemies: {}, rooms: {}, encounters: {}, charts: {}, boons: {}, techniques: {} };
+        let conflicts = [];
+        let problems = [];
+        applied.forEach((pack) => {
+            const merged = mergePack(pack, sources);
+            conflicts = conflicts.concat(merged.conflicts);
+            problems = problems.concat(merged.problems);
+        });
+        problems = problems.concat(validateGameData(sources));
+        const bad = applied.filter((pack) => problems.some((p) => p.file === getPackFile(pack)));
+        if (bad.length === 0) {
+            return { applied, rejected, conflicts, problems };
+        }
+        bad.forEach((pack) => {
+            rejected.push({ pack, problems: problems.filter((p) => p.file === getPackFile(pack)) });
+        });
+        applied = applied.filter((pack) => !bad.includes(pack));
+    }
+}
+
+/**
+ * @param {object} pack A content pack.
+ * @returns {{id: string, name: string, version: *}} What a save or replay
+ *     keeps to say the pack was used.
+ */
+function getPackRef(pack) {
+    return { id: pack.id, name: pack.name, version: pack.version === undefined ? null : pack.version };
+}
+
+/**
+ * Read the packs the player imported.
+ * @param {object} storage Storage with the localStorage interface.
+ * @returns {object[]} The packs. Unreadable ones are logged and skipped.
+ */
+function loadStoredPacks(storage) {
+    const packs = [];
+    const keys = storage.keys ? storage.keys() : Object.keys(storage);
+    keys.filter((key) => key.startsWith(PACK_KEYS.PREFIX)).sort().forEach((key) => {
+        const result = parsePack(storage.getItem(key));
+        if (result.error) {
+            console.warn(`Stored pack ${key} could not be read: ${result.error}`);
+        } else {
+            packs.push(result.pack);
+        }
+    });
+    return packs;
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {object} pack Pack to keep.
+ * @param {string} text The pack's JSON.
+ */
+function storePack(storage, pack, text) {
+    storage.setItem(PACK_KEYS.PREFIX + pack.id, text);
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {string} id Pack identifier.
+ */
+function removeStoredPack(storage, id) {
+    storage.removeItem(PACK_KEYS.PREFIX + id);
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @returns {string[]} Ids of the packs the player disabled.
+ */
+function getDisabledPacks(storage) {
+    try {
+        const ids = JSON.parse(storage.getItem(PACK_KEYS.DISABLED));
+        return Array.isArray(ids) ? ids.filter(isText) : [];
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {string[]} ids Ids of the packs the player disabled.
+ */
+function setDisabledPacks(storage, ids) {
+    storage.setItem(PACK_KEYS.DISABLED, JSON.stringify(ids));
+}
@@ -0,0 +1,78 @@
+/*
+ * Party selection logic for Key Combat AI.
+ *
+ * Builds the roster shown on the party screen before a run and checks the
+ * chosen party. The last party taken into a run is kept in
+ * `saveData.lastParty` as an ordered list of hero ids.
+ */
+
+/**
+ * Heroes the player can take into a run. Unlocked heroes come first; while
+ * fewer heroes are unlocked than the party size, the roster is filled from
+ * the available heroes so a new player can still field a full party.
+ * @param {object} save Save data.
+ * @param {object[]} heroes Heroes that can appear in the roster.
+ * @param {number} partySize Maximum heroes in a party.
+ * @returns {string[]} Hero ids.
+ */
+function getPartyRoster(save, heroes, partySize) {
+    const roster = save.unlockedHeroes.filter((id) => heroes.some((h) => h.id === id));
+    for (let i = 0; roster.length < partySize && i < heroes.length; i++) {
+        if (!roster.includes(heroes[i].id)) {
+            roster.push(heroes[i].id);
+        }
+    }
+    return roster;
+}
+
+/**
+ * The party to preselect: the last party taken into a run, or the first
+ * heroes in the roster when there is none.
+ * @param {object} save Save data.
+ * @param {string[]} roster Hero ids from getPartyRoster.
+ * @param {number} partySize Maximum heroes in a party.
+ * @returns {string[]} Hero ids in party order.
+ */
+function getDefaultParty(save, roster, partySize) {
+    const last = (save.lastParty || []).filter((id) => roster.includes(id));
+    const party = last.length > 0 ? last : roster;
+    return party.slice(0, partySize);
+}
+
+/**
+ * Find heroes in a party that share a combat key.
+ * @param {object[]} party Hero data in party order.
+ * @returns {string[]} Keys bound to more than one hero.
+ */
+function findKeyConflicts(party) {
+    const seen = new Set();
+    const conflicts = new Set();
+    party.forEach((hero) => {
+        const key = hero.key.toLowerCase();
+        if (seen.has(key)) {
+            conflicts.add(key);
+        }
+        seen.add(key);
+    });
+    return Array.from(conflicts);
+}
+
+/**
+ * Check whether a party can start a run.
+ * @param {object[]} party Hero data in party order.
+ * @param {number} partySize Maximum heroes in a party.
+ * @returns {string|null} Why the party is invalid, or null if it is fine.
+ */
+function validateParty(party, partySize) {
+    if (party.length === 0) {
+        return 'Choose at least one hero.';
+    }
+    if (party.length > partySize) {
+        return `At most ${partySize} heroes can join a run.`;
+    }
+    const conflicts = findKeyConflicts(party);
+    if (conflicts.length > 0) {
+        return `Several heroes use the key ${conflicts.map((k) => k.toUpperCase()).join(', ')}.`;
+    }
+    return null;
+}
@@ -0,0 +1,138 @@
+/*
+ * Hero passive abilities for Key Combat AI.
+ *
+ * Each hero's `passive` in `data/characters.js` names a `type` from
+ * PASSIVE_TYPES plus its tuning values. A passive type implements any of these
+ * hooks, called by Hero:
+ *   onAttack(hero, passive, hit)        hit = { target, damage, strikes }
+ *   onDamageTaken(hero, passive, hit)   hit = { amount, dodged }
+ *   onLowHP(hero, passive)              HP dropped below the low HP threshold
+ *   tick(hero, passive, dt, party)      every combat update
+ * Per-hero runtime values (timers, cooldowns) live in `hero.passiveState`.
+ * Random rolls use `hero.rng`, the run's combat RNG, so procs replay with
+ * the run seed.
+ * Hooks announce themselves by pushing callouts onto `hero.callouts`.
+ */
+
+// Fraction of max HP below which onLowHP fires, unless a passive sets its own
+// `threshold`
+const LOW_HP_THRESHOLD = 0.3;
+
+// Callout colour for passive triggers
+const PASSIVE_COLOR = '#1abc9c';
+
+const PASSIVE_TYPES = {
+    // Bonus damage while at or below `threshold` of max HP
+    lowHpDamage: {
+        onAttack(hero, passive, hit) {
+            if (hero.currentHP <= hero.maxHP * passive.threshold) {
+                hit.damage *= 1 + passive.damageBonus;
+            }
+        },
+        onLowHP(hero, passive) {
+            hero.callouts.push({ name: passive.name, color: PASSIVE_COLOR });
+        }
+    },
+
+    // Every `interval` seconds, shield each living ally for `shieldAmount`
+    // damage, lasting `duration` seconds
+    periodicShield: {
+        tick(hero, passive, dt, party) {
+            const state = hero.passiveState;
+            state.timer = (state.timer || 0) + dt;
+            if (state.timer < passive.interval) return;
+            state.timer = 0;
+            party.filter((ally) => ally.currentHP > 0).forEach((ally) => {
+                addStatus(ally, 'shield', passive.shieldAmount, passive.duration);
+            });
+            hero.callouts.push({ name: passive.name, color: PASSIVE_COLOR });
+        }
+    },
+
+    // Every `interval` seconds, give each living ally the `statuses` listed
+    // (see js/status.js)
+    periodicStatus: {
+        tick(hero, passive, dt, party) {
+            const state = hero.passiveState;
+            state.timer = (state.timer || 0) + dt;
+            if (state.timer < passive.interval) return;
+            state.timer = 0;
+            party.filter((ally) => ally.currentHP > 0).forEach((ally) => {
+                applyStatuses(ally, passive.statuses);
+            });
+            hero.callouts.push({ name: passive.name, color: PASSIVE_COLOR });
+        }
+    },
+
+    // `chance` for each attack to strike one extra time
+    extraStrike: {
+        onAttack(hero, passive, hit) {
+            if (hero.rng.next() < passive.chance) {
+                hit.strikes++;
+                hero.callouts.push({ name: passive.name, color: PASSIVE_COLOR });
+            }
+        }
+    },
+
+    // Every `interval` seconds, each living ally gains `charge` ult meter
+    periodicCharge: {
+        tick(hero, passive, dt, party) {
+            const state = hero.passiveState;
+            state.timer = (state.timer || 0) + dt;
+            if (state.timer < passive.interval) return;
+            state.timer = 0;
+            party.filter((ally) => ally.currentHP > 0).forEach((ally) => {
+                ally.gainUltCharge(passive.charge);
+            });
+        }
+    },
+
+    // Incoming damage reduced by `reduction` (0.15 = 15%)
+    damageReduction: {
+        onDamageTaken(hero, passive, hit) {
+            hit.amount *= 1 - passive.reduction;
+        }
+    },
+
+    // Dodge the next hit, then recharge for `interval` seconds
+    periodicDodge: {
+        onDamageTaken(hero, passive, hit) {
+            const state = hero.passiveState;
+            if (state.cooldown > 0) return;
+            hit.dodged = true;
+            state.cooldown = passive.interval;
+            hero.callouts.push({ name: passive.name, color: PASSIVE_COLOR });
+        },
+        tick(hero, passive, dt) {
+            const state = hero.passiveState;
+            state.cooldown = Math.max(0, (state.cooldown || 0) - dt);
+        }
+    }
+};
+
+/**
+ * Call a hook of a hero's passive, if the passive implements it.
+ * @param {Hero} hero The hero whose passive runs.
+ * @param {string} hook Hook name: 'onAttack', 'onDamageTaken', 'onLowHP' or 'tick'.
+ * @param {...*} args Arguments after (hero, passive).
+ */
+function runPassiveHook(hero, hook, ...args) {
+    const passive = hero.passive;
+    if (!passive) return;
+    const type = PASSIVE_TYPES[passive.type];
+    if (!type) {
+        console.warn(`Hero ${hero.id} has unknown passive type ${passive.type}`);
+        return;
+    }
+    if (type[hook]) {
+        type[hook](hero, passive, ...args);
+    }
+}
+
+/**
+ * @param {Hero} hero The hero to check.
+ * @returns {number} The HP fraction below which the hero counts as low.
+ */
+function getLowHPThreshold(hero) {
+    return (hero.passive && hero.passive.threshold) || LOW_HP_THRESHOLD;
+}
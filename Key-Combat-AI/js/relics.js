@@ -0,0 +1,121 @@
+/*
+ * Relic logic for Key Combat AI.
+ *
+ * Relics (see `data/relics.js`) are kept in `currentRun.relics` as a list of
+ * ids. Combat calls runRelics when one of RELIC_TRIGGERS happens, with an
+ * event describing it:
+ *   event = { hero, hit, party, enemies, rng }
+ * `hero` is the hero who set the trigger off (none for combatStart); `hit` is
+ * the attack being dealt ({ target, damage, strikes }, from Hero.attack) or
+ * the ult being fired ({ damage }, from Hero.tryUlt), so effects can change
+ * it before it lands. `party` and `enemies` are the living heroes and
+ * enemies, and `rng` is the fight's combat RNG. Each relic's `effect.type`
+ * names an entry of RELIC_EFFECTS, which implements:
+ *   apply(effect, event, heroes)   heroes = the heroes the effect targets
+ * and may list the `triggers` it makes sense for.
+ */
+
+const RELIC_TRIGGERS = ['combatStart', 'perfectHit', 'heroKO', 'ult'];
+
+// Callout colour for relic triggers
+const RELIC_COLOR = '#f39c12';
+
+const RELIC_EFFECTS = {
+    // Scale the damage of the hit or ult by 1 + `amount`
+    damageBonus: {
+        triggers: ['perfectHit', 'ult'],
+        apply(effect, event) {
+            event.hit.damage *= 1 + effect.amount;
+        }
+    },
+
+    // The attack strikes one extra time
+    extraStrike: {
+        triggers: ['perfectHit'],
+        apply(effect, event) {
+            event.hit.strikes++;
+        }
+    },
+
+    // Fill `amount` (fraction) of each target's ult meter
+    charge: {
+        apply(effect, event, heroes) {
+            heroes.forEach((hero) => hero.gainUltCharge(hero.ultChargeNeeded * effect.amount));
+        }
+    },
+
+    // Heal each target `amount` (fraction) of max HP; a knocked out hero
+    // who set off heroKO gets back up
+    heal: {
+        apply(effect, event, heroes) {
+            heroes.forEach((hero) => hero.heal(hero.maxHP * effect.amount));
+        }
+    },
+
+    // Give each target the `statuses` listed (see js/status.js)
+    status: {
+        apply(effect, event, heroes) {
+            heroes.forEach((hero) => applyStatuses(hero, effect.statuses));
+        }
+    },
+
+    // Deal `amount` damage to every living enemy
+    damageEnemies: {
+        apply(effect, event) {
+            event.enemies.forEach((enemy) => enemy.takeDamage(effect.amount));
+        }
+    }
+};
+
+/**
+ * @param {string} id Relic identifier.
+ * @returns {object|undefined} The relic from relicsData.
+ */
+function getRelic(id) {
+    return relicsData.relics.find((relic) => relic.id === id);
+}
+
+/**
+ * Fire the relics that listen for a trigger. Relics that boost every Perfect
+ * hit stay quiet so the judgment callout stays readable; the rest announce
+ * themselves on the heroes they affect.
+ * @param {string[]} relicIds The run's relics.
+ * @param {object} uses Times each relic fired this fight, by id. Updated.
+ * @param {string} trigger One of RELIC_TRIGGERS.
+ * @param {object} event What happened; see the top of this file.
+ */
+function runRelics(relicIds, uses, trigger, event) {
+    relicIds.forEach((id) => {
+        const relic = getRelic(id);
+        if (!relic || relic.trigger !== trigger) return;
+        if (relic.limit && (uses[id] || 0) >= relic.limit) return;
+        if (relic.chance !== undefined && event.rng.next() >= relic.chance) return;
+        const type = RELIC_EFFECTS[relic.effect.type];
+        if (!type) {
+            console.warn(`Relic ${id} has unknown effect type ${relic.effect.type}`);
+            return;
+        }
+        const heroes = relic.effect.target === 'hero' && event.hero ? [event.hero] : event.party;
+        type.apply(relic.effect, event, heroes);
+        uses[id] = (uses[id] || 0) + 1;
+        if (trigger !== 'perfectHit' || relic.chance !== undefined) {
+            (event.hero ? [event.hero] : heroes).forEach((hero) => {
+                hero.callouts.push({ name: relic.name, color: RELIC_COLOR });
+            });
+        }
+    });
+}
+
+/**
+ * Roll whether a cleared room drops a relic.
+ * @param {string} nodeType Type of the cleared room.
+ * @param {string[]} ownedIds Relics the run already carries.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {string|null} Id of the relic found, or null.
+ */
+function rollRelicDrop(nodeType, ownedIds, rng) {
+    const chance = relicsData.drops[nodeType] || 0;
+    const pool = relicsData.relics.filter((relic) => !ownedIds.includes(relic.id));
+    if (pool.length === 0 || rng.next() >= chance) return null;
+    return rng.pick(pool).id;
+}
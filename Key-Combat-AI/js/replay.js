@@ -0,0 +1,285 @@
+/*
+ * Combat replays for Key Combat AI.
+ *
+ * Every fight is recorded while it is played: the run seed, the room, the
+ * encounter, the boons and relics carried, the content packs in use, the
+ * party as it entered the room and each key press and release with the
+ * combat step it landed on. Combat runs in fixed steps (see COMBAT_TIMESTEP
+ * in js/core.js) and its random rolls come from the seed, so feeding the same
+ * inputs back on the same steps plays the fight out exactly as it happened,
+ * in the canvas or headless.
+ *
+ * Inputs are stored as `[step, 'd' | 'u', slot]`, where `slot` is a hero id or
+ * a combat action id from data/controls.js, so a replay plays back the same
+ * whatever keys the viewer has bound.
+ */
+
+const REPLAY_VERSION = 1;
+const REPLAY_INPUT_TYPES = { down: 'd', up: 'u' };
+
+// Longest fight a replay may hold, in seconds, so a broken or hand-made
+// replay cannot play back forever
+const MAX_REPLAY_SECONDS = 30 * 60;
+
+// Outcome of the last replay played back: `{ matched, victory, steps }`
+let replayResult = null;
+
+/**
+ * @param {Hero} hero Hero at the start of a fight.
+ * @returns {object} What a replay needs to rebuild the hero.
+ */
+function snapshotHero(hero) {
+    return {
+        id: hero.id,
+        key: hero.key,
+        level: hero.level,
+        baseHP: hero.baseHP,
+        baseAttack: hero.baseAttack,
+        ultChargeNeeded: hero.ultChargeNeeded,
+        currentHP: hero.currentHP,
+        ultMeter: hero.ultMeter,
+        lowHP: hero.lowHP,
+        statuses: JSON.parse(JSON.stringify(hero.statuses))
+    };
+}
+
+/**
+ * Rebuild a hero from a replay snapshot.
+ * @param {object} snapshot From snapshotHero.
+ * @param {object} modifiers Combined boon modifiers of the recorded run.
+ * @returns {Hero|null} The hero, or null if the hero no longer exists.
+ */
+function restoreHero(snapshot, modifiers) {
+    const data = getHeroData(snapshot.id);
+    if (!data) return null;
+    const hero = new Hero(data);
+    hero.key = snapshot.key;
+    hero.level = snapshot.level;
+    hero.baseHP = snapshot.baseHP;
+    hero.baseAttack = snapshot.baseAttack;
+    hero.ultChargeNeeded = snapshot.ultChargeNeeded;
+    // Assigned directly: setModifiers would heal the max HP difference
+    hero.modifiers = modifiers;
+    hero.currentHP = snapshot.currentHP;
+    hero.ultMeter = snapshot.ultMeter;
+    hero.lowHP = snapshot.lowHP;
+    hero.statuses = JSON.parse(JSON.stringify(snapshot.statuses || {}));
+    return hero;
+}
+
+/**
+ * Start recording the fight that is about to begin.
+ * @param {Node} node The node being fought in.
+ * @param {object} encounter Encounter definition being fought.
+ * @returns {object} The recording.
+ */
+function startReplayRecording(node, encounter) {
+    return {
+        version: REPLAY_VERSION,
+        seed: currentRun.seed,
+        timestep: COMBAT_TIMESTEP,
+        node: { id: node.id, type: node.type, chart: node.chart },
+        encounter,
+        boons: currentRun.boons.slice(),
+        relics: currentRun.relics.slice(),
+        packs: currentRun.packs,
+        party: playerHeroes.map(snapshotHero),
+        inputs: [],
+        result: null
+    };
+}
+
+/**
+ * Map a combat key to its binding slot: the hero using it or a combat action.
+ * @param {string} key A stored key.
+ * @returns {string|null} Hero or action id, or null if the key does nothing.
+ */
+function getCombatSlot(key) {
+    const hero = playerHeroes.find((h) => h.key === key);
+    if (hero) return hero.id;
+    const action = controlsData.actions.find((a) => a.scope === 'combat' && getControlKey(a.id) === key);
+    return action ? action.id : null;
+}
+
+/**
+ * Add the inputs queued for a combat step to a recording.
+ * @param {object} recording Recording from startReplayRecording.
+ * @param {number} step Combat step the inputs are handled on.
+ * @param {{type: string, key: string}[]} inputs Queued combat inputs.
+ */
+function recordReplayInputs(recording, step, inputs) {
+    inputs.forEach((input) => {
+        const slot = getCombatSlot(input.key);
+        if (slot) {
+            recording.inputs.push([step, REPLAY_INPUT_TYPES[input.type], slot]);
+        }
+    });
+}
+
+/**
+ * Close a recording with the fight's outcome.
+ * @param {object} recording Recording from startReplayRecording.
+ * @param {boolean} victory True if every wave was defeated.
+ * @param {number} steps Combat steps the fight took.
+ * @returns {object} The finished replay.
+ */
+function finishReplayRecording(recording, victory, steps) {
+    recording.result = {
+        victory,
+        steps,
+        heroHP: playerHeroes.map((hero) => hero.currentHP),
+        enemyHP: currentEnemies.map((enemy) => enemy.hp)
+    };
+    return recording;
+}
+
+/**
+ * @param {object} replay A replay.
+ * @returns {string} Compact JSON for a replay file.
+ */
+function exportReplay(replay) {
+    return JSON.stringify(replay);
+}
+
+/**
+ * Parse and check replay text.
+ * @param {string} text Replay JSON.
+ * @returns {{replay: object|null, error: string|null}}
+ */
+function parseReplay(text) {
+    let replay;
+    try {
+        replay = JSON.parse(text);
+    } catch (e) {
+        return { replay: null, error: 'The replay is not valid JSON.' };
+    }
+    if (!replay || typeof replay !== 'object' || Array.isArray(replay)) {
+        return { replay: null, error: 'The replay is not an object.' };
+    }
+    if (replay.version !== REPLAY_VERSION) {
+        return { replay: null, error: `Replay version ${replay.version} is not supported.` };
+    }
+    if (replay.timestep !== COMBAT_TIMESTEP) {
+        return { replay: null, error: 'The replay was recorded with a different combat timestep.' };
+    }
+    if (typeof replay.seed !== 'string' || !replay.node || !replay.encounter
+        || !Array.isArray(replay.encounter.waves) || !Array.isArray(replay.boons)
+        || !Array.isArray(replay.party) || !Array.isArray(replay.inputs)) {
+        return { replay: null, error: 'The replay is missing fields.' };
+    }
+    const result = replay.result;
+    if (!result || typeof result !== 'object' || !Number.isInteger(result.steps) || result.steps < 0
+        || !Array.isArray(result.heroHP) || !Array.isArray(result.enemyHP)) {
+        return { replay: null, error: 'The replay has no result to check against.' };
+    }
+    if (result.steps * COMBAT_TIMESTEP > MAX_REPLAY_SECONDS) {
+        return { replay: null, error: 'The replay is longer than any fight can be.' };
+    }
+    const active = getActivePacks().map((pack) => pack.id);
+    const missingPack = (replay.packs || []).find((pack) => !active.includes(pack.id));
+    if (missingPack) {
+        return { replay: null, error: `The replay needs content pack ${missingPack.name || missingPack.id}.` };
+    }
+    const missing = replay.party.find((hero) => !getHeroData(hero.id));
+    if (missing) {
+        return { replay: null, error: `The replay uses unknown hero ${missing.id}.` };
+    }
+    if (replay.relics !== undefined && !Array.isArray(replay.relics)) {
+        return { replay: null, error: 'The replay is missing fields.' };
+    }
+    const missingRelic = (replay.relics || []).find((id) => !getRelic(id));
+    if (missingRelic) {
+        return { replay: null, error: `The replay uses unknown relic ${missingRelic}.` };
+    }
+    return { replay, error: null };
+}
+
+/**
+ * Rebuild a recorded fight and start playing it back. The run holds only the
+ * recorded room, so the fight ends on the replay result screen.
+ * @param {object} replay Replay from parseReplay.
+ */
+function startReplay(replay) {
+    const map = buildMap([Object.assign({ next: [] }, replay.node)]);
+    const node = map.nodes[replay.node.id];
+    currentRun = createRunState(replay.seed, map);
+    currentRun.packs = replay.packs || [];
+    currentRun.boons = replay.boons.slice();
+    currentRun.modifiers = combineBoonModifiers(currentRun.boons);
+    currentRun.relics = (replay.relics || []).slice();
+    currentRun.activeNode = node;
+    playerHeroes = replay.party.map((snapshot) => restoreHero(snapshot, currentRun.modifiers));
+    replayResult = null;
+    currentReplay = { replay, next: 0 };
+    startEncounter(node, replay.encounter);
+}
+
+/**
+ * Queue the recorded inputs for a combat step.
+ * @param {object} playback The replay being played back.
+ * @param {number} step Combat step about to run.
+ */
+function feedReplayInputs(playback, step) {
+    const inputs = playback.replay.inputs;
+    while (playback.next < inputs.length && inputs[playback.next][0] <= step) {
+        const [, type, slot] = inputs[playback.next++];
+        const hero = playerHeroes.find((h) => h.id === slot);
+        const key = hero ? hero.key : getControlKey(slot);
+        combatInputQueue.push({ type: type === REPLAY_INPUT_TYPES.down ? 'down' : 'up', key });
+    }
+}
+
+/**
+ * Finish playing back a replay and compare the outcome with the recording.
+ * @param {object} playback The replay being played back.
+ * @param {boolean} victory True if every wave was defeated.
+ * @param {number} steps Combat steps the fight took.
+ */
+function finishReplayPlayback(playback, victory, steps) {
+    const recorded = playback.replay.result;
+    const heroHP = playerHeroes.map((hero) => hero.currentHP);
+    const enemyHP = currentEnemies.map((enemy) => enemy.hp);
+    replayResult = {
+        victory,
+        steps,
+        matched: !!recorded && recorded.victory === victory && recorded.steps === steps
+            && JSON.stringify(recorded.heroHP) === JSON.stringify(heroHP)
+            && JSON.stringify(recorded.enemyHP) === JSON.stringify(enemyHP)
+    };
+    stopReplay();
+    currentState = GAME_STATES.REPLAY_END;
+}
+
+/**
+ * Stop playing back a replay and clear the fight.
+ */
+function stopReplay() {
+    currentReplay = null;
+    currentRun = null;
+    currentEncounter = null;
+    currentTrack = null;
+    currentEnemies = [];
+    playerHeroes = [];
+    currentState = GAME_STATES.MENU;
+}
+
+/**
+ * Play a replay back to the end without rendering. Playback stops a little
+ * after the recorded fight ended, and never runs past MAX_REPLAY_SECONDS.
+ * @param {object} replay Replay from parseReplay.
+ * @returns {{matched: boolean, victory: boolean, steps: number}} The outcome.
+ */
+function runReplay(replay) {
+    startReplay(replay);
+    const maxSteps = Math.round(MAX_REPLAY_SECONDS / COMBAT_TIMESTEP);
+    const limit = replay.result ? Math.min(replay.result.steps + MAX_COMBAT_STEPS, maxSteps) : maxSteps;
+    while (currentReplay && combatStep <= limit) {
+        advanceCombat(COMBAT_TIMESTEP * MAX_COMBAT_STEPS);
+    }
+    if (currentReplay) {
+        // The fight outlasted the recording without ending
+        stopReplay();
+        replayResult = { matched: false, victory: false, steps: combatStep };
+    }
+    return replayResult;
+}
@@ -0,0 +1,72 @@
+/*
+ * Rest room logic for Key Combat AI.
+ *
+ * A rest room offers the options in `data/rest.js` and the player takes one.
+ * Each option's `type` names an entry of REST_OPTION_TYPES, which may
+ * implement:
+ *   unavailable(option, run, party, hero)  why the option cannot be taken
+ *                                          now, or null
+ *   apply(option, run, party, hero)        take the option
+ * Types with `choosesHero` ask the player to pick a hero, which is passed as
+ * `hero`; `unavailable` is also asked without one to grey out the option.
+ */
+
+const REST_OPTION_TYPES = {
+    // Heal every hero a fraction of max HP; knocked out heroes only with
+    // `revive`
+    heal: {
+        unavailable(option, run, party) {
+            return partyNeedsHealing(party, option.revive) ? null : 'The party does not need healing.';
+        },
+        apply(option, run, party) {
+            healParty(party, option.amount, option.revive);
+        }
+    },
+
+    // Level one hero up until the run ends
+    train: {
+        choosesHero: true,
+        unavailable(option, run, party, hero) {
+            if (hero) return hero.currentHP > 0 ? null : 'Knocked out heroes cannot train.';
+            return party.some((h) => h.currentHP > 0) ? null : 'No hero can train.';
+        },
+        apply(option, run, party, hero) {
+            trainHero(hero, option.levels);
+        }
+    },
+
+    // Charge the ult meter of every living hero
+    focus: {
+        unavailable(option, run, party) {
+            const charging = party.some((hero) => hero.currentHP > 0 && !hero.isUltReady());
+            return charging ? null : 'Every ult is already charged.';
+        },
+        apply(option, run, party) {
+            party.forEach((hero) => {
+                if (hero.currentHP > 0) {
+                    hero.gainUltCharge(hero.ultChargeNeeded * option.amount);
+                }
+            });
+        }
+    }
+};
+
+/**
+ * @param {object} option Rest option from restConfig.
+ * @param {object} run The run in progress.
+ * @param {Hero[]} party The party.
+ * @param {Hero} [hero] The hero chosen, for options that ask for one.
+ * @returns {string|null} Why the option cannot be taken, or null if it can.
+ */
+function getRestOptionProblem(option, run, party, hero) {
+    const type = REST_OPTION_TYPES[option.type];
+    return type.unavailable ? type.unavailable(option, run, party, hero) : null;
+}
+
+/**
+ * @param {object} option Rest option from restConfig.
+ * @returns {boolean} True if taking the option asks for a hero.
+ */
+function restOptionChoosesHero(option) {
+    return !!REST_OPTION_TYPES[option.type].choosesHero;
+}
@@ -0,0 +1,156 @@
+/*
+ * Rhythm engine for Key Combat AI.
+ *
+ * A RhythmTrack plays a looping beat chart (see `data/charts.js`) and judges
+ * key presses against the notes in each lane. Lanes map to party slots, so
+ * each hero's key plays one lane. Lanes from RHYTHM_CONFIG.EXTRA_LANE on
+ * are extra notes for the fourth and fifth hero of a larger party.
+ */
+
+// Timing windows in seconds (either side of the note) and their effect on
+// damage and ult charge. Checked from tightest to loosest.
+const JUDGMENTS = {
+    PERFECT: { name: 'Perfect', window: 0.05, damage: 1.5, charge: 1, color: '#f1c40f' },
+    GREAT: { name: 'Great', window: 0.1, damage: 1.2, charge: 1, color: '#2ecc71' },
+    GOOD: { name: 'Good', window: 0.16, damage: 1, charge: 0.5, color: '#3498db' },
+    MISS: { name: 'Miss', window: 0, damage: 0, charge: 0, color: '#e74c3c' }
+};
+
+const HIT_JUDGMENTS = [JUDGMENTS.PERFECT, JUDGMENTS.GREAT, JUDGMENTS.GOOD];
+
+// Rhythm tuning: silent beats before the first note and how far ahead notes
+// are scheduled (and drawn) in seconds.
+const RHYTHM_CONFIG = {
+    LEAD_IN_BEATS: 4,
+    // Silent beats before a chart switched to mid-fight starts
+    CHANGE_LEAD_IN_BEATS: 2,
+    LOOKAHEAD: 2.5,
+    DEFAULT_CHART: 'chart_basic',
+    // First chart lane that only larger parties play; notes on the lanes
+    // before it wrap around in a smaller party instead
+    EXTRA_LANE: 3
+};
+
+/**
+ * Find a chart by id, falling back to the default chart.
+ * @param {string} [chartId] Chart identifier from enemy or room data.
+ * @returns {object}
+ */
+function getChart(chartId) {
+    return chartsData.find((c) => c.id === chartId)
+        || chartsData.find((c) => c.id === RHYTHM_CONFIG.DEFAULT_CHART)
+        || chartsData[0];
+}
+
+class RhythmTrack {
+    /**
+     * @param {object} chart Chart definition from chartsData.
+     * @param {number} laneCount Number of lanes (party size).
+     * @param {object} [options]
+     * @param {number} [options.tempoScale=1] Multiplier applied to the chart's BPM.
+     * @param {number} [options.windowScale=1] Multiplier applied to every
+     *     timing window.
+     */
+    constructor(chart, laneCount, options = {}) {
+        this.chart = chart;
+        this.laneCount = Math.max(1, laneCount);
+        this.bpm = chart.bpm * (options.tempoScale || 1);
+        this.windowScale = options.windowScale || 1;
+        this.beatLength = 60 / this.bpm;
+        this.loopLength = chart.length * this.beatLength;
+        this.time = -RHYTHM_CONFIG.LEAD_IN_BEATS * this.beatLength;
+        this.notes = [];
+        // Track time the chart's first loop starts at
+        this.origin = 0;
+        this.nextLoop = 0;
+        this.scheduleNotes();
+    }
+
+    // Queue chart loops until notes cover the lookahead window. Extra-lane
+    // notes are left out when the party has no hero in that slot.
+    scheduleNotes() {
+        while (this.origin + this.nextLoop * this.loopLength < this.time + RHYTHM_CONFIG.LOOKAHEAD) {
+            const loopStart = this.origin + this.nextLoop * this.loopLength;
+            for (const note of this.chart.notes) {
+                if (note.lane >= RHYTHM_CONFIG.EXTRA_LANE && note.lane >= this.laneCount) continue;
+                const time = loopStart + note.beat * this.beatLength;
+                const lane = note.lane % this.laneCount;
+                if (this.notes.some((n) => n.lane === lane && Math.abs(n.time - time) < 1e-6)) {
+                    continue;
+                }
+                this.notes.push({ time, lane, judged: false });
+            }
+            this.nextLoop++;
+        }
+        this.notes.sort((a, b) => a.time - b.time);
+    }
+
+    /**
+     * Switch to another chart or tempo without stopping the clock. Notes that
+     * can still be hit stay; the rest are dropped and the new chart starts
+     * after a short lead-in.
+     * @param {object} chart Chart definition from chartsData.
+     * @param {number} [tempoScale=1] Multiplier applied to the chart's BPM.
+     */
+    changeChart(chart, tempoScale = 1) {
+        this.chart = chart;
+        this.bpm = chart.bpm * tempoScale;
+        this.beatLength = 60 / this.bpm;
+        this.loopLength = chart.length * this.beatLength;
+        const reach = this.time + JUDGMENTS.GOOD.window * this.windowScale;
+        this.notes = this.notes.filter((n) => n.time <= reach);
+        this.origin = this.time + RHYTHM_CONFIG.CHANGE_LEAD_IN_BEATS * this.beatLength;
+        this.nextLoop = 0;
+        this.scheduleNotes();
+    }
+
+    /**
+     * Advance the track clock.
+     * @param {number} dt Seconds since last update.
+     */
+    update(dt) {
+        this.time += dt;
+        this.scheduleNotes();
+    }
+
+    /**
+     * Judge a key press in a lane against the closest unjudged note.
+     * @param {number} lane Lane index.
+     * @returns {object|null} A JUDGMENTS entry, or null when no note is close
+     *     enough to be hit.
+     */
+    hit(lane) {
+        let closest = null;
+        for (const note of this.notes) {
+            if (note.judged || note.lane !== lane) continue;
+            if (!closest || Math.abs(note.time - this.time) < Math.abs(closest.time - this.time)) {
+                closest = note;
+            }
+        }
+        if (!closest) return null;
+        const offset = Math.abs(closest.time - this.time);
+        const judgment = HIT_JUDGMENTS.find((j) => offset <= j.window * this.windowScale);
+        if (!judgment) return null;
+        closest.judged = true;
+        return judgment;
+    }
+
+    /**
+     * Remove notes that have passed every timing window without being hit.
+     * @returns {Array<{time: number, lane: number}>} The missed notes.
+     */
+    takeMissedNotes() {
+        const cutoff = this.time - JUDGMENTS.GOOD.window * this.windowScale;
+        const missed = this.notes.filter((n) => !n.judged && n.time < cutoff);
+        this.notes = this.notes.filter((n) => n.time >= cutoff);
+        return missed;
+    }
+
+    /**
+     * @returns {Array<{time: number, lane: number}>} Unjudged notes within the
+     *     lookahead window, for drawing.
+     */
+    getUpcomingNotes() {
+        return this.notes.filter((n) => !n.judged && n.time <= this.time + RHYTHM_CONFIG.LOOKAHEAD);
+    }
+}
@@ -0,0 +1,106 @@
+/*
+ * Seeded random number generation for Key Combat AI.
+ *
+ * A run is reproducible when every random decision draws from an RNG created
+ * from the same seed. Seeds may be numbers or strings; strings are hashed.
+ */
+
+/**
+ * Hash a seed string into a 32-bit unsigned integer (FNV-1a).
+ * @param {string} str The seed text.
+ * @returns {number}
+ */
+function hashSeed(str) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        hash ^= str.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32).
+ * @param {number|string} seed The seed. Strings are hashed with hashSeed.
+ * @returns {{next: function(): number, int: function(number): number,
+ *     pick: function(Array): *, weighted: function(Object<string, number>): string}}
+ */
+function createRng(seed) {
+    let state = typeof seed === 'number' ? seed >>> 0 : hashSeed(String(seed));
+    const rng = {
+        /** @returns {number} A float in [0, 1). */
+        next() {
+            state = (state + 0x6d2b79f5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        },
+        /** @returns {number} An integer in [0, max). */
+        int(max) {
+            return Math.floor(rng.next() * max);
+        },
+        /** @returns {*} A random element of the array. */
+        pick(items) {
+            return items[rng.int(items.length)];
+        },
+        /**
+         * Pick a key from a map of weights. Keys with a weight of 0 or less are
+         * never picked. Returns null when no key has a positive weight.
+         */
+        weighted(weights) {
+            const entries = Object.entries(weights).filter(([, w]) => w > 0);
+            const total = entries.reduce((sum, [, w]) => sum + w, 0);
+            let roll = rng.next() * total;
+            for (const [key, weight] of entries) {
+                roll -= weight;
+                if (roll < 0) return key;
+            }
+            return entries.length > 0 ? entries[entries.length - 1][0] : null;
+        }
+    };
+    return rng;
+}
+
+/**
+ * Make a short random seed string for a new run.
+ * @returns {string}
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * 0x100000000).toString(36).toUpperCase();
+}
+
+// Longest seed a player can type
+const MAX_SEED_LENGTH = 16;
+
+/**
+ * Clean up a typed seed: upper case, letters, digits and dashes only.
+ * @param {string} text The typed seed.
+ * @returns {string} The seed, or '' if nothing usable was typed.
+ */
+function normalizeSeed(text) {
+    return text.toUpperCase().replace(/[^A-Z0-9-]/g, '').slice(0, MAX_SEED_LENGTH);
+}
+
+/**
+ * The seed everyone plays on a given day, from the UTC date.
+ * @param {Date} [date] The day, today if omitted.
+ * @returns {string} e.g. 'DAILY-20260314'.
+ */
+function getDailySeed(date = new Date()) {
+    const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(date.getUTCDate()).padStart(2, '0');
+    return `DAILY-${date.getUTCFullYear()}${month}${day}`;
+}
+
+/**
+ * Create the RNG for one kind of decision in a run. Each stream draws
+ * independently, so extra rolls of one kind (say, a longer fight) do not
+ * change the others (the next boon offer).
+ * @param {string} seed The run seed.
+ * @param {string} stream Stream name, e.g. 'combat'.
+ * @returns {object} RNG from createRng.
+ */
+function createRunRng(seed, stream) {
+    return createRng(`${seed}:${stream}`);
+}
@@ -0,0 +1,301 @@
+/*
+ * Save format for Key Combat AI.
+ *
+ * Saves live in numbered slots in a storage object with the localStorage
+ * interface (`getItem`, `setItem`, `removeItem`). Each save has a `version`;
+ * older saves are brought up to date by running the SAVE_MIGRATIONS chain in
+ * order. Data that cannot be read is never thrown away: it is copied to a
+ * quarantine entry in storage and the save continues with defaults in its
+ * place.
+ */
+
+const SAVE_VERSION = 4;
+const SAVE_SLOT_COUNT = 3;
+const SAVE_KEYS = {
+    // Single unversioned save written before slots existed
+    LEGACY: 'kca_save',
+    SLOT_PREFIX: 'kca_save_slot_',
+    ACTIVE_SLOT: 'kca_active_slot',
+    QUARANTINE_PREFIX: 'kca_quarantine_'
+};
+
+/**
+ * @returns {object} An empty save at the current version.
+ */
+function createDefaultSave() {
+    return {
+        version: SAVE_VERSION,
+        unlockedHeroes: [],
+        heroLevels: {},
+        demonSouls: 0,
+        upgrades: {},
+        gachaPity: 0,
+        pullHistory: [],
+        lastParty: [],
+        // Menu gacha draws are rolled from this seed and the draw count
+        gachaSeed: randomSeed(),
+        gachaDraws: 0,
+        // Content packs used by the last run started, see js/packs.js
+        lastRunPacks: []
+    };
+}
+
+// Each migration takes a save at version `from` and returns it at `from + 1`.
+// Saves without a version are version 1.
+const SAVE_MIGRATIONS = {
+    // Version 1 saves could be missing any field added after the first
+    // release; fill them in so validation only sees real damage. The
+    // defaults are the version 2 fields only: later versions add their own.
+    1(save) {
+        const defaults = {
+            unlockedHeroes: [],
+            heroLevels: {},
+            demonSouls: 0,
+            upgrades: {},
+            gachaPity: 0,
+            pullHistory: [],
+            lastParty: []
+        };
+        for (const field in defaults) {
+            if (save[field] === undefined) {
+                save[field] = defaults[field];
+            }
+        }
+        save.version = 2;
+        return save;
+    },
+    // Version 3 added seeded menu gacha draws
+    2(save) {
+        if (save.gachaSeed === undefined) save.gachaSeed = randomSeed();
+        if (save.gachaDraws === undefined) {
+            save.gachaDraws = Array.isArray(save.pullHistory) ? save.pullHistory.length : 0;
+        }
+        save.version = 3;
+        return save;
+    },
+    // Version 4 records the content packs of the last run
+    3(save) {
+        if (save.lastRunPacks === undefined) save.lastRunPacks = [];
+        save.version = 4;
+        return save;
+    }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isCount = (value) => typeof value === 'number' && Number.isInteger(value) && value >= 0;
+
+// Field checks for a current-version save. Each returns true if the value is
+// usable.
+const SAVE_FIELD_CHECKS = {
+    unlockedHeroes: (v) => Array.isArray(v) && v.every((id) => typeof id === 'string'),
+    heroLevels: (v) => isPlainObject(v) && Object.values(v).every((level) => isCount(level) && level > 0),
+    demonSouls: isCount,
+    upgrades: (v) => isPlainObject(v) && Object.values(v).every(isCount),
+    gachaPity: isCount,
+    pullHistory: (v) => Array.isArray(v) && v.every((pull) => isPlainObject(pull) && typeof pull.heroId === 'string'),
+    lastParty: (v) => Array.isArray(v) && v.every((id) => typeof id === 'string'),
+    gachaSeed: (v) => typeof v === 'string' && v.length > 0,
+    gachaDraws: isCount,
+    lastRunPacks: (v) => Array.isArray(v) && v.every((pack) => isPlainObject(pack) && typeof pack.id === 'string')
+};
+
+/**
+ * Bring a save up to SAVE_VERSION.
+ * @param {object} save Parsed save data, updated in place.
+ * @returns {object} The migrated save.
+ * @throws {Error} If the save is from a newer version or a migration is
+ *     missing.
+ */
+function migrateSave(save) {
+    let version = save.version || 1;
+    if (version > SAVE_VERSION) {
+        throw new Error(`Save version ${version} is newer than this game (${SAVE_VERSION})`);
+    }
+    while (version < SAVE_VERSION) {
+        const migrate = SAVE_MIGRATIONS[version];
+        if (!migrate) {
+            throw new Error(`No migration from save version ${version}`);
+        }
+        save = migrate(save);
+        version = save.version;
+    }
+    return save;
+}
+
+/**
+ * Reset fields that fail their check to defaults.
+ * @param {object} save Migrated save, updated in place.
+ * @returns {object} The invalid fields and their original values.
+ */
+function repairSave(save) {
+    const defaults = createDefaultSave();
+    const invalid = {};
+    for (const field in SAVE_FIELD_CHECKS) {
+        if (!SAVE_FIELD_CHECKS[field](save[field])) {
+            invalid[field] = save[field];
+            save[field] = defaults[field];
+        }
+    }
+    return invalid;
+}
+
+/**
+ * Parse, migrate and repair save text.
+ * @param {string} text Save JSON.
+ * @returns {{save: object|null, invalid: object, error: string|null}} The
+ *     usable save and any fields reset to defaults, or an error if the text
+ *     is not a save at all.
+ */
+function parseSave(text) {
+    let save;
+    try {
+        save = JSON.parse(text);
+    } catch (e) {
+        return { save: null, invalid: {}, error: 'The save is not valid JSON.' };
+    }
+    if (!isPlainObject(save)) {
+        return { save: null, invalid: {}, error: 'The save is not an object.' };
+    }
+    try {
+        save = migrateSave(save);
+    } catch (e) {
+        return { save: null, invalid: {}, error: e.message };
+    }
+    return { save, invalid: repairSave(save), error: null };
+}
+
+/**
+ * Copy unreadable save data to its own storage entry.
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {number} slot Slot the data came from.
+ * @param {string} reason Why it was quarantined.
+ * @param {*} data The raw text or the invalid fields.
+ * @returns {string} The quarantine key.
+ */
+function quarantineSave(storage, slot, reason, data) {
+    const time = Date.now();
+    const key = `${SAVE_KEYS.QUARANTINE_PREFIX}${slot}_${time}`;
+    storage.setItem(key, JSON.stringify({ slot, reason, time, data }));
+    return key;
+}
+
+/**
+ * Move the single pre-slot save into slot 1 if that slot is still empty.
+ * @param {object} storage Storage with the localStorage interface.
+ */
+function migrateLegacySave(storage) {
+    const legacy = storage.getItem(SAVE_KEYS.LEGACY);
+    if (legacy === null) return;
+    if (storage.getItem(SAVE_KEYS.SLOT_PREFIX + 1) === null) {
+        storage.setItem(SAVE_KEYS.SLOT_PREFIX + 1, legacy);
+    }
+    storage.removeItem(SAVE_KEYS.LEGACY);
+}
+
+/**
+ * Read a save slot. Empty slots give a default save. Unreadable data is
+ * quarantined and the repaired save written back, so it is only set aside
+ * once.
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {number} slot Slot number, from 1.
+ * @returns {{save: object, problem: string|null}} The save, and a message
+ *     if any of it had to be quarantined.
+ */
+function loadSaveSlot(storage, slot) {
+    const text = storage.getItem(SAVE_KEYS.SLOT_PREFIX + slot);
+    if (text === null) {
+        return { save: createDefaultSave(), problem: null };
+    }
+    const result = parseSave(text);
+    if (result.error) {
+        const save = createDefaultSave();
+        quarantineSave(storage, slot, result.error, text);
+        writeSaveSlot(storage, slot, save);
+        return { save, problem: `Slot ${slot} could not be read and was set aside: ${result.error}` };
+    }
+    const fields = Object.keys(result.invalid);
+    if (fields.length > 0) {
+        quarantineSave(storage, slot, 'Invalid fields', result.invalid);
+        writeSaveSlot(storage, slot, result.save);
+        return { save: result.save, problem: `Slot ${slot} had invalid ${fields.join(', ')}; they were set aside and reset.` };
+    }
+    return { save: result.save, problem: null };
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {number} slot Slot number, from 1.
+ * @param {object} save Save data.
+ */
+function writeSaveSlot(storage, slot, save) {
+    save.version = SAVE_VERSION;
+    storage.setItem(SAVE_KEYS.SLOT_PREFIX + slot, JSON.stringify(save));
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @returns {number} The slot used last, 1 if none was recorded.
+ */
+function getActiveSaveSlot(storage) {
+    const slot = parseInt(storage.getItem(SAVE_KEYS.ACTIVE_SLOT), 10);
+    return slot >= 1 && slot <= SAVE_SLOT_COUNT ? slot : 1;
+}
+
+/**
+ * @param {object} storage Storage with the localStorage interface.
+ * @param {number} slot Slot number, from 1.
+ */
+function setActiveSaveSlot(storage, slot) {
+    storage.setItem(SAVE_KEYS.ACTIVE_SLOT, String(slot));
+}
+
+/**
+ * Summarize every slot for the save screen without quarantining anything.
+ * @param {object} storage Storage with the localStorage interface.
+ * @returns {{slot: number, empty: boolean, readable: boolean, heroes: number,
+ *     demonSouls: number}[]}
+ */
+function listSaveSlots(storage) {
+    const slots = [];
+    for (let slot = 1; slot <= SAVE_SLOT_COUNT; slot++) {
+        const text = storage.getItem(SAVE_KEYS.SLOT_PREFIX + slot);
+        const result = text === null ? null : parseSave(text);
+        const save = result && result.save;
+        slots.push({
+            slot,
+            empty: text === null,
+            readable: text === null || !!save,
+            heroes: save ? save.unlockedHeroes.length : 0,
+            demonSouls: save ? save.demonSouls : 0
+        });
+    }
+    return slots;
+}
+
+/**
+ * @param {object} save Save data.
+ * @returns {string} JSON for a save file.
+ */
+function exportSave(save) {
+    return JSON.stringify(Object.assign({}, save, { version: SAVE_VERSION }), null, 2);
+}
+
+/**
+ * Storage kept in memory with the localStorage interface, for running the
+ * game without a browser.
+ * @param {object} [initial] Keys and string values to start with.
+ * @returns {object} The storage.
+ */
+function createMemoryStorage(initial = {}) {
+    const items = Object.assign({}, initial);
+    return {
+        getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+        setItem: (key, value) => {
+            items[key] = String(value);
+        },
+        removeItem: (key) => {
+            delete items[key];
+        },
+        keys: () => Object.keys(items)
+    };
+}
@@ -0,0 +1,167 @@
+/*
+ * Shop logic for Key Combat AI.
+ *
+ * Rolls the gold paid by combat rooms and the stock of shop rooms (see
+ * `data/shop.js`). Each shop item in the stock is a copy of its item
+ * definition with a rolled `price`, a `name` and `description` to show, and
+ * `sold` once bought. Its `type` names an entry of SHOP_ITEM_TYPES, which may
+ * implement:
+ *   stock(item, run, rng, stocked)   fill in the item when the shop opens;
+ *                                    return false to leave the slot empty
+ *   unavailable(item, run, party)    why the item cannot be bought now, or
+ *                                    null
+ *   buy(item, run, party, rng, boonId)  apply the purchase
+ * Types with `choosesBoon` ask the player to pick one of the run's boons,
+ * which is passed to `buy` as `boonId`.
+ */
+
+const SHOP_ITEM_TYPES = {
+    // Heal every hero a fraction of max HP; knocked out heroes only with
+    // `revive`
+    heal: {
+        unavailable(item, run, party) {
+            return partyNeedsHealing(party, item.revive) ? null : 'The party does not need healing.';
+        },
+        buy(item, run, party) {
+            healParty(party, item.amount, item.revive);
+        }
+    },
+
+    // A boon from `group` that the run has not taken and no other slot sells
+    boon: {
+        stock(item, run, rng, stocked) {
+            const source = item.group === 'demons' ? 'demon' : 'god';
+            const pool = getAllBoons().filter((b) => b.source === source
+                && !run.boons.includes(b.id)
+                && !stocked.some((other) => other.boonId === b.id));
+            if (pool.length === 0) return false;
+            const boon = rng.pick(pool);
+            item.boonId = boon.id;
+            item.name = item.name || boon.name;
+            item.description = item.description || boon.effect;
+            return true;
+        },
+        unavailable(item, run) {
+            return run.boons.includes(item.boonId) ? 'You already carry this boon.' : null;
+        },
+        buy(item) {
+            takeBoon(item.boonId);
+        }
+    },
+
+    // A relic the run does not carry and no other slot sells
+    relic: {
+        stock(item, run, rng, stocked) {
+            const pool = relicsData.relics.filter((relic) => !run.relics.includes(relic.id)
+                && !stocked.some((other) => other.relicId === relic.id));
+            if (pool.length === 0) return false;
+            const relic = rng.pick(pool);
+            item.relicId = relic.id;
+            item.name = item.name || relic.name;
+            item.description = item.description || relic.description;
+            return true;
+        },
+        unavailable(item, run) {
+            return run.relics.includes(item.relicId) ? 'You already carry this relic.' : null;
+        },
+        buy(item) {
+            gainRelic(item.relicId);
+        }
+    },
+
+    // Give up one of the run's boons
+    boonRemove: {
+        choosesBoon: true,
+        unavailable(item, run) {
+            return run.boons.length > 0 ? null : 'You carry no boons.';
+        },
+        buy(item, run, party, rng, boonId) {
+            removeBoon(boonId);
+        }
+    },
+
+    // Swap one of the run's boons for a random boon not yet taken
+    boonReroll: {
+        choosesBoon: true,
+        unavailable(item, run) {
+            if (run.boons.length === 0) return 'You carry no boons.';
+            return getAllBoons().some((b) => !run.boons.includes(b.id)) ? null : 'There are no other boons.';
+        },
+        buy(item, run, party, rng, boonId) {
+            const pool = getAllBoons().filter((b) => !run.boons.includes(b.id));
+            removeBoon(boonId);
+            takeBoon(rng.pick(pool).id);
+        }
+    }
+};
+
+/**
+ * @param {number[]} range Inclusive `[min, max]`.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {number} A whole number in the range.
+ */
+function rollRange(range, rng) {
+    return range[0] + rng.int(range[1] - range[0] + 1);
+}
+
+/**
+ * @param {string} nodeType Type of the cleared room.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {number} Gold the room pays, 0 for rooms that pay none.
+ */
+function rollRoomGold(nodeType, rng) {
+    const range = shopConfig.gold[nodeType];
+    return range ? rollRange(range, rng) : 0;
+}
+
+/**
+ * @param {string} id Shop item identifier.
+ * @returns {object|undefined} The item definition from shopConfig.
+ */
+function getShopItem(id) {
+    return shopConfig.items.find((item) => item.id === id);
+}
+
+/**
+ * Roll the stock of a shop.
+ * @param {object} run The run in progress.
+ * @param {object} rng Seeded RNG from createRng.
+ * @returns {object[]} Shop items in slot order.
+ */
+function rollShopStock(run, rng) {
+    const stocked = [];
+    shopConfig.stock.forEach((slot) => {
+        const definition = getShopItem(rng.pick(slot));
+        const type = definition && SHOP_ITEM_TYPES[definition.type];
+        if (!type) {
+            console.warn(`Shop slot names unknown item or item type: ${slot.join(', ')}`);
+            return;
+        }
+        const item = Object.assign({}, definition, { price: rollRange(definition.price, rng), sold: false });
+        if (!type.stock || type.stock(item, run, rng, stocked) !== false) {
+            stocked.push(item);
+        }
+    });
+    return stocked;
+}
+
+/**
+ * @param {object} item Shop item.
+ * @param {object} run The run in progress.
+ * @param {Hero[]} party The party.
+ * @returns {string|null} Why the item cannot be bought, or null if it can.
+ */
+function getShopItemProblem(item, run, party) {
+    if (item.sold) return 'Sold out.';
+    if (item.price > run.gold) return 'Not enough gold.';
+    const type = SHOP_ITEM_TYPES[item.type];
+    return type.unavailable ? type.unavailable(item, run, party) : null;
+}
+
+/**
+ * @param {object} item Shop item.
+ * @returns {boolean} True if buying the item asks for one of the run's boons.
+ */
+function shopItemChoosesBoon(item) {
+    return !!SHOP_ITEM_TYPES[item.type].choosesBoon;
+}
@@ -0,0 +1,193 @@
+/*
+ * Status effects for Key Combat AI.
+ *
+ * Heroes and enemies carry status effects in `unit.statuses`, keyed by type:
+ *   { stacks, remaining }   stacks of the effect and seconds until it ends
+ * Data refers to a status as `{ type, stacks, duration }`: hero ults, enemy
+ * attacks and boons list the statuses they inflict (see data/characters.js,
+ * data/enemies.js and data/boons.js). Applying a status that is already on
+ * the unit merges into it by the type's `stacking` rule: 'add' adds the
+ * stacks, 'max' keeps the larger; both keep the longer duration, and stacks
+ * never pass `maxStacks`. Each type in STATUS_TYPES may implement hooks, run
+ * in the order the types are listed:
+ *   onDamageTaken(unit, status, hit)   hit = { amount }, before HP is lost
+ *   tick(unit, status, dt)             every combat update
+ *   speed(status)                      multiplier on how fast the unit acts:
+ *                                      enemies' attack timers and the ult
+ *                                      charge heroes gain from attacks
+ * A unit with `stun` cannot act. Stacks of a status that runs out, like a
+ * shield that absorbs its last point, are removed.
+ */
+
+const STATUS_TYPES = {
+    // Takes 25% more damage per stack
+    vulnerable: {
+        name: 'Vulnerable',
+        color: '#e67e22',
+        stacking: 'add',
+        maxStacks: 4,
+        onDamageTaken(unit, status, hit) {
+            hit.amount *= 1 + 0.25 * status.stacks;
+        }
+    },
+
+    // Absorbs `stacks` damage before HP
+    shield: {
+        name: 'Shield',
+        color: '#3498db',
+        stacking: 'max',
+        onDamageTaken(unit, status, hit) {
+            const absorbed = Math.min(status.stacks, hit.amount);
+            status.stacks -= absorbed;
+            hit.amount -= absorbed;
+        }
+    },
+
+    // Loses 3 HP per second per stack; a new burn replaces a weaker one
+    burn: {
+        name: 'Burn',
+        color: '#e74c3c',
+        stacking: 'max',
+        tick(unit, status, dt) {
+            unit.loseHP(3 * status.stacks * dt);
+        }
+    },
+
+    // Loses 1 HP per second per stack; stacks build up
+    poison: {
+        name: 'Poison',
+        color: '#27ae60',
+        stacking: 'add',
+        maxStacks: 10,
+        tick(unit, status, dt) {
+            unit.loseHP(status.stacks * dt);
+        }
+    },
+
+    // Heals `stacks` HP per second
+    regen: {
+        name: 'Regen',
+        color: '#2ecc71',
+        stacking: 'max',
+        tick(unit, status, dt) {
+            unit.heal(status.stacks * dt);
+        }
+    },
+
+    // Acts 20% faster per stack
+    haste: {
+        name: 'Haste',
+        color: '#1abc9c',
+        stacking: 'add',
+        maxStacks: 3,
+        speed(status) {
+            return 1 + 0.2 * status.stacks;
+        }
+    },
+
+    // Acts 20% slower per stack
+    slow: {
+        name: 'Slow',
+        color: '#95a5a6',
+        stacking: 'add',
+        maxStacks: 3,
+        speed(status) {
+            return 1 - 0.2 * status.stacks;
+        }
+    },
+
+    // Cannot act
+    stun: {
+        name: 'Stun',
+        color: '#f1c40f',
+        stacking: 'max',
+        maxStacks: 1
+    }
+};
+
+/**
+ * Apply a status to a unit, merging with any of the same type it has.
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {string} type Status type from STATUS_TYPES.
+ * @param {number} stacks Stacks to apply.
+ * @param {number} duration Seconds the status lasts.
+ */
+function addStatus(unit, type, stacks, duration) {
+    const def = STATUS_TYPES[type];
+    if (!def) {
+        console.warn(`Unknown status type ${type}`);
+        return;
+    }
+    const status = unit.statuses[type];
+    if (!status) {
+        unit.statuses[type] = { stacks: Math.min(stacks, def.maxStacks || Infinity), remaining: duration };
+        return;
+    }
+    const merged = def.stacking === 'add' ? status.stacks + stacks : Math.max(status.stacks, stacks);
+    status.stacks = Math.min(merged, def.maxStacks || Infinity);
+    status.remaining = Math.max(status.remaining, duration);
+}
+
+/**
+ * Apply the statuses a piece of data lists, like an enemy's `inflicts`.
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {{type: string, stacks: number, duration: number}[]} [list]
+ */
+function applyStatuses(unit, list) {
+    (list || []).forEach((status) => addStatus(unit, status.type, status.stacks || 1, status.duration));
+}
+
+/**
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {string} type Status type.
+ * @returns {number} The unit's stacks of the status, 0 without it.
+ */
+function getStatusStacks(unit, type) {
+    const status = unit.statuses[type];
+    return status ? status.stacks : 0;
+}
+
+/**
+ * Call a hook of each status on a unit, in STATUS_TYPES order.
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {string} hook Hook name: 'onDamageTaken' or 'tick'.
+ * @param {...*} args Arguments after (unit, status).
+ */
+function runStatusHook(unit, hook, ...args) {
+    for (const type in STATUS_TYPES) {
+        const status = unit.statuses[type];
+        if (status && STATUS_TYPES[type][hook]) {
+            STATUS_TYPES[type][hook](unit, status, ...args);
+        }
+    }
+}
+
+/**
+ * Tick a unit's statuses and remove the ones that ended.
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @param {number} dt Seconds since last update.
+ */
+function updateStatuses(unit, dt) {
+    runStatusHook(unit, 'tick', dt);
+    for (const type in unit.statuses) {
+        const status = unit.statuses[type];
+        status.remaining -= dt;
+        if (status.remaining <= 0 || status.stacks <= 0) {
+            delete unit.statuses[type];
+        }
+    }
+}
+
+/**
+ * @param {Hero|Enemy} unit The hero or enemy.
+ * @returns {number} How fast the unit acts, 1 at normal speed.
+ */
+function getStatusSpeed(unit) {
+    let speed = 1;
+    for (const type in unit.statuses) {
+        if (STATUS_TYPES[type] && STATUS_TYPES[type].speed) {
+            speed *= STATUS_TYPES[type].speed(unit.statuses[type]);
+        }
+    }
+    return Math.max(0.2, speed);
+}
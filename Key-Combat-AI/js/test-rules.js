@@ -0,0 +1,68 @@
+/*
+ * Rule tests for Key Combat AI.
+ *
+ *   node js/test-rules.js [name ...]
+ *
+ * Runs every test in the `tests` folder. Each `*.test.js` file there exports
+ * an object of test functions, keyed by what they check, and covers one part
+ * of the game; tests/helpers.js has what they share for loading the core with
+ * js/headless.js and playing fights. Names given as arguments run only the
+ * test files with those names, e.g. `saves` for tests/saves.test.js. Prints
+ * one line per test and exits with 1 if any fail. Node-only; not loaded by
+ * index.html.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, '..', 'tests');
+const TEST_SUFFIX = '.test.js';
+
+/**
+ * @param {string[]} [only] Test file names to run, without the suffix; all
+ *     if empty.
+ * @returns {{file: string, name: string, run: function}[]} The tests, in
+ *     file order.
+ */
+function collectTests(only = []) {
+    const files = fs.readdirSync(TEST_DIR).filter((file) => file.endsWith(TEST_SUFFIX)).sort();
+    const tests = [];
+    files.forEach((file) => {
+        if (only.length > 0 && !only.includes(file.slice(0, -TEST_SUFFIX.length))) return;
+        const suite = require(path.join(TEST_DIR, file));
+        for (const name in suite) {
+            tests.push({ file, name, run: suite[name] });
+        }
+    });
+    return tests;
+}
+
+/**
+ * Run tests, printing one line for each.
+ * @param {{file: string, name: string, run: function}[]} tests Tests from
+ *     collectTests.
+ * @returns {number} How many failed.
+ */
+function runTests(tests) {
+    let failed = 0;
+    tests.forEach((test) => {
+        try {
+            test.run();
+            console.log(`ok - ${test.file}: ${test.name}`);
+        } catch (e) {
+            failed++;
+            console.log(`not ok - ${test.file}: ${test.name}`);
+            console.log(`  ${e.message.split('\n').join('\n  ')}`);
+        }
+    });
+    return failed;
+}
+
+if (require.main === module) {
+    const tests = collectTests(process.argv.slice(2));
+    const failed = runTests(tests);
+    console.log(failed === 0 ? `${tests.length} test(s) passed` : `${failed} of ${tests.length} test(s) failed`);
+    process.exitCode = failed === 0 ? 0 : 1;
+}
+
+module.exports = { collectTests, runTests };
@@ -0,0 +1,86 @@
+/*
+ * Hero ultimate abilities for Key Combat AI.
+ *
+ * Each hero's `ult` in `data/characters.js` names a `type` from ULT_TYPES plus
+ * its tuning values. Hero.tryUlt runs the type's `fire` function with:
+ *   battle = { target, enemies, party }  the selected enemy, the living
+ *                                        enemies and the living heroes
+ *   power                                the hero's attack scaled by the
+ *                                        charge percent and boons
+ *   chargePercent                        strength from the charge gauge
+ * Damage ults hit enemies; support ults target allies in `party`. Damage
+ * ults also apply the ult's `inflicts` statuses (see js/status.js) to every
+ * enemy they hit.
+ */
+
+const ULT_TYPES = {
+    // One big hit on the selected enemy, `multiplier` times the hero's power.
+    // With `interrupt` the hit also cancels the target's wind-up.
+    burst: {
+        fire(hero, ult, battle, power) {
+            if (!battle.target) return;
+            battle.target.takeDamage(power * ult.multiplier);
+            applyStatuses(battle.target, ult.inflicts);
+            if (ult.interrupt) {
+                battle.target.interrupt();
+            }
+        }
+    },
+
+    // `hits` strikes on the selected enemy, each `multiplier` times the power
+    combo: {
+        fire(hero, ult, battle, power) {
+            if (!battle.target) return;
+            for (let i = 0; i < ult.hits; i++) {
+                battle.target.takeDamage(power * ult.multiplier);
+            }
+            applyStatuses(battle.target, ult.inflicts);
+        }
+    },
+
+    // Hit every living enemy for `multiplier` times the power
+    area: {
+        fire(hero, ult, battle, power) {
+            battle.enemies.forEach((enemy) => {
+                enemy.takeDamage(power * ult.multiplier);
+                applyStatuses(enemy, ult.inflicts);
+            });
+        }
+    },
+
+    // Heal every living ally for `healPercent` of their max HP, spread over
+    // `duration` seconds
+    healOverTime: {
+        fire(hero, ult, battle, power, chargePercent) {
+            battle.party.forEach((ally) => {
+                const total = ally.maxHP * ult.healPercent * chargePercent;
+                addStatus(ally, 'regen', total / ult.duration, ult.duration);
+            });
+        }
+    },
+
+    // Shield every living ally for `amount` damage for `duration` seconds
+    shield: {
+        fire(hero, ult, battle, power, chargePercent) {
+            battle.party.forEach((ally) => addStatus(ally, 'shield', ult.amount * chargePercent, ult.duration));
+        }
+    }
+};
+
+/**
+ * Fire a hero's ultimate.
+ * @param {Hero} hero The hero using the ult.
+ * @param {{target: Enemy, enemies: Enemy[], party: Hero[]}} battle Who the
+ *     ult can affect.
+ * @param {number} power Base damage for the ult.
+ * @param {number} chargePercent Strength from the charge gauge.
+ */
+function fireUlt(hero, battle, power, chargePercent) {
+    const ult = hero.ult;
+    const type = ult && ULT_TYPES[ult.type];
+    if (!type) {
+        console.warn(`Hero ${hero.id} has unknown ult type ${ult && ult.type}`);
+        return;
+    }
+    type.fire(hero, ult, battle, power, chargePercent);
+}
@@ -0,0 +1,70 @@
+/*
+ * Guild Hall upgrade logic for Key Combat AI.
+ *
+ * Reads and buys the permanent upgrades in `data/upgrades.js`. Purchased
+ * levels are kept in `saveData.upgrades` as `{ upgradeId: level }`.
+ */
+
+/**
+ * @param {object} save Save data.
+ * @param {string} id Upgrade identifier.
+ * @returns {number} Levels bought so far.
+ */
+function getUpgradeLevel(save, id) {
+    return save.upgrades[id] || 0;
+}
+
+/**
+ * @param {object} save Save data.
+ * @param {object} upgrade Upgrade definition.
+ * @returns {boolean} True when no more levels can be bought. Hero unlocks are
+ *     also maxed once the hero has been unlocked by other means.
+ */
+function isUpgradeMaxed(save, upgrade) {
+    if (upgrade.type === 'heroUnlock' && save.unlockedHeroes.includes(upgrade.hero)) {
+        return true;
+    }
+    return getUpgradeLevel(save, upgrade.id) >= upgrade.costs.length;
+}
+
+/**
+ * @param {object} save Save data.
+ * @param {object} upgrade Upgrade definition.
+ * @returns {number|null} Price of the next level, or null when maxed.
+ */
+function getUpgradeCost(save, upgrade) {
+    if (isUpgradeMaxed(save, upgrade)) return null;
+    return upgrade.costs[getUpgradeLevel(save, upgrade.id)];
+}
+
+/**
+ * Sum the bonus from every purchased upgrade of a type.
+ * @param {object} save Save data.
+ * @param {string} type Upgrade type, e.g. 'partySize'.
+ * @returns {number}
+ */
+function getUpgradeTotal(save, type) {
+    return upgradesData
+        .filter((u) => u.type === type)
+        .reduce((sum, u) => sum + getUpgradeLevel(save, u.id) * (u.amount || 0), 0);
+}
+
+/**
+ * Buy the next level of an upgrade if the player can afford it.
+ * @param {object} save Save data, updated in place.
+ * @param {string} id Upgrade identifier.
+ * @returns {boolean} True if the purchase went through.
+ */
+function purchaseUpgrade(save, id) {
+    const upgrade = upgradesData.find((u) => u.id === id);
+    if (!upgrade) return false;
+    const cost = getUpgradeCost(save, upgrade);
+    if (cost === null || save.demonSouls < cost) return false;
+    save.demonSouls -= cost;
+    save.upgrades[id] = getUpgradeLevel(save, id) + 1;
+    if (upgrade.type === 'heroUnlock' && !save.unlockedHeroes.includes(upgrade.hero)) {
+        save.unlockedHeroes.push(upgrade.hero);
+        save.heroLevels[upgrade.hero] = save.heroLevels[upgrade.hero] || 1;
+    }
+    return true;
+}
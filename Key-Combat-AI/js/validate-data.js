@@ -0,0 +1,58 @@
+/*
+ * Command line check for the Key Combat AI content data.
+ *
+ *   node js/validate-data.js [pack.json ...]
+ *
+ * Runs the data scripts, js/validate.js and js/packs.js the way index.html
+ * loads them and prints every problem validateGameData finds, one per line.
+ * Content pack files given as arguments are merged first, so a pack can be
+ * checked against the game before it is shared; entries they skip as id
+ * conflicts are listed too. Exits with 1 if there are any problems, so it can
+ * gate a commit or CI job. A data file that does not even run is reported as
+ * a problem too. Node-only; not loaded by index.html.
+ */
+
+const fs = require('fs');
+const { getCoreScripts, createScriptContext, runScript } = require('./headless');
+
+// The last script needed; the core would build the game from the data
+// before it could be checked
+const LAST_SCRIPT = 'js/packs.js';
+
+/**
+ * @param {string[]} [packFiles] Paths of content pack files to merge.
+ * @returns {string[]} Problems found, formatted one per line.
+ */
+function checkGameData(packFiles = []) {
+    const scripts = getCoreScripts();
+    const context = createScriptContext();
+    for (const file of scripts.slice(0, scripts.indexOf(LAST_SCRIPT) + 1)) {
+        try {
+            runScript(context, file);
+        } catch (e) {
+            return [`${file}: ${e.message}`];
+        }
+    }
+    const lines = [];
+    const packs = [];
+    packFiles.forEach((file) => {
+        const result = context.parsePack(fs.readFileSync(file, 'utf8'));
+        if (result.error) {
+            lines.push(`${file}: ${result.error}`);
+        } else {
+            packs.push(result.pack);
+        }
+    });
+    const result = context.applyContentPacks(packs);
+    const problems = result.rejected.reduce((all, r) => all.concat(r.problems), result.problems);
+    return lines.concat(problems.concat(result.conflicts).map(context.formatDataProblem));
+}
+
+if (require.main === module) {
+    const problems = checkGameData(process.argv.slice(2));
+    problems.forEach((line) => console.log(line));
+    console.log(problems.length === 0 ? 'Data OK' : `${problems.length} problem(s) found`);
+    process.exitCode = problems.length === 0 ? 0 : 1;
+}
+
+module.exports = { checkGameData };
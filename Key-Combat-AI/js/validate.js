@@ -0,0 +1,698 @@
+/*
+ * Content data validator for Key Combat AI.
+ *
+ * Checks the hero, enemy, room, boon, encounter, beat chart, shop, rest,
+ * relic and team technique data against the fields the game reads from them,
+ * including references into other data (passive, ult, shop item, rest
+ * option, relic effect, technique effect and status types, heroes, enemies,
+ * encounters, charts, shop items) and the shape of the room graph. Every problem is reported as
+ * `{ file, id, field, message }` so it can be traced to one entry; `id` and
+ * `field` are null when the problem is with the whole file or entry. Entries merged in from content packs (see
+ * js/packs.js) are reported against their pack.
+ *
+ * The game runs the validator on startup (see js/core.js) and logs what it
+ * finds. `node js/validate-data.js` runs it from the command line.
+ */
+
+// Where each data set is defined, for problem reports
+const DATA_FILES = {
+    characters: 'data/characters.js',
+    enemies: 'data/enemies.js',
+    rooms: 'data/rooms.js',
+    boons: 'data/boons.js',
+    encounters: 'data/encounters.js',
+    charts: 'data/charts.js',
+    shop: 'data/shop.js',
+    rest: 'data/rest.js',
+    relics: 'data/relics.js',
+    techniques: 'data/techniques.js'
+};
+
+// Values the game understands for enumerated fields
+const HERO_ROLES = ['Attack', 'Support', 'Defense'];
+const ENEMY_TARGET_POLICIES = ['random', 'lowestHP', 'front'];
+const ROOM_TYPES = ['combat', 'elite', 'reward', 'shop', 'rest', 'gacha'];
+const ENCOUNTER_TYPES = ['combat', 'elite', 'boss'];
+const TECHNIQUE_INPUTS = ['chord', 'sequence'];
+
+const isText = (v) => typeof v === 'string' && v.length > 0;
+const isPositiveNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isNonNegativeNumber = (v) => typeof v === 'number' && Number.isFinite(v) && v >= 0;
+const isWholeNumber = (v) => Number.isInteger(v) && v >= 0;
+const optional = (check) => (v) => v === undefined || check(v);
+
+// Status effects as data lists them (see js/status.js)
+const isStatusList = (v) => Array.isArray(v) && v.every((status) => isPlainObject(status)
+    && Object.prototype.hasOwnProperty.call(STATUS_TYPES, status.type)
+    && optional(isPositiveNumber)(status.stacks) && isPositiveNumber(status.duration));
+const STATUS_LIST = `a list of statuses, each with a type (${Object.keys(STATUS_TYPES).join(', ')}), optional stacks and a duration`;
+
+// Enemy attack patterns (see data/enemies.js)
+const isAttackPattern = (v) => Array.isArray(v) && v.length > 0 && v.every((move) => isPlainObject(move)
+    && optional(isPositiveNumber)(move.power) && optional(isPositiveNumber)(move.windUp)
+    && optional((p) => ENEMY_TARGET_POLICIES.includes(p))(move.targetPolicy));
+const ATTACK_PATTERN = 'a list of attacks, each with an optional power, windUp and targetPolicy';
+
+// Field checks for each data set. Each field maps to a check that returns
+// true if the value is usable, and a description of what it should be.
+const CHARACTER_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    type: [(v) => HERO_ROLES.includes(v), `one of ${HERO_ROLES.join(', ')}`],
+    rarity: [optional(isText), 'a rarity id'],
+    baseHP: [isPositiveNumber, 'a positive number'],
+    baseAttack: [isNonNegativeNumber, 'a number of at least 0'],
+    key: [(v) => typeof v === 'string' && v.length === 1, 'a single character'],
+    ultChargeNeeded: [isPositiveNumber, 'a positive number'],
+    ultEffect: [optional(isText), 'a string'],
+    passive: [(v) => isPlainObject(v) && isText(v.type), 'an object with a type'],
+    ult: [(v) => isPlainObject(v) && isText(v.type), 'an object with a type'],
+    image: [isText, 'an image path']
+};
+
+const ENEMY_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    hp: [isPositiveNumber, 'a positive number'],
+    attackPower: [isNonNegativeNumber, 'a number of at least 0'],
+    chart: [optional(isText), 'a chart id'],
+    attackInterval: [optional(isPositiveNumber), 'a positive number'],
+    windUp: [optional(isPositiveNumber), 'a positive number'],
+    targetPolicy: [optional((v) => ENEMY_TARGET_POLICIES.includes(v)), `one of ${ENEMY_TARGET_POLICIES.join(', ')}`],
+    inflicts: [optional(isStatusList), STATUS_LIST],
+    boss: [optional((v) => typeof v === 'boolean'), 'true or false'],
+    guard: [optional(isWholeNumber), 'a whole number of at least 0'],
+    pattern: [optional(isAttackPattern), ATTACK_PATTERN],
+    phases: [optional((v) => Array.isArray(v) && v.every(isPlainObject)), 'a list of phases']
+};
+
+// Fields an enemy phase reads
+const ENEMY_PHASE_CHECKS = {
+    at: [(v) => isPositiveNumber(v) && v < 1, 'a fraction of max HP between 0 and 1'],
+    name: [isText, 'a non-empty string'],
+    chart: [optional(isText), 'a chart id'],
+    tempo: [optional(isPositiveNumber), 'a positive multiplier'],
+    power: [optional(isPositiveNumber), 'a positive multiplier'],
+    speed: [optional(isPositiveNumber), 'a positive multiplier'],
+    targetPolicy: ENEMY_FIELD_CHECKS.targetPolicy,
+    inflicts: ENEMY_FIELD_CHECKS.inflicts,
+    pattern: ENEMY_FIELD_CHECKS.pattern,
+    guard: ENEMY_FIELD_CHECKS.guard,
+    summon: [optional((v) => Array.isArray(v) && v.length > 0 && v.every(isText)), 'a list of enemy ids']
+};
+
+const ROOM_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    type: [(v) => ROOM_TYPES.includes(v), `one of ${ROOM_TYPES.join(', ')}`],
+    next: [(v) => Array.isArray(v) && v.every(isText), 'a list of room ids'],
+    encounter: [optional(isText), 'an encounter id'],
+    chart: [optional(isText), 'a chart id']
+};
+
+const ENCOUNTER_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    type: [(v) => ENCOUNTER_TYPES.includes(v), `one of ${ENCOUNTER_TYPES.join(', ')}`],
+    waves: [(v) => Array.isArray(v) && v.length > 0 && v.every((wave) => Array.isArray(wave) && wave.length > 0 && wave.every(isText)),
+        'a list of waves, each a list of enemy ids'],
+    chart: [optional(isText), 'a chart id']
+};
+
+const CHART_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    bpm: [isPositiveNumber, 'a positive number'],
+    length: [isPositiveNumber, 'a positive number of beats'],
+    notes: [(v) => Array.isArray(v) && v.length > 0 && v.every((note) => isPlainObject(note)
+        && isNonNegativeNumber(note.beat) && Number.isInteger(note.lane) && note.lane >= 0), 'a list of notes with a beat and a lane']
+};
+
+const BOON_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    effect: [isText, 'a non-empty string'],
+    modifiers: [isPlainObject, 'an object of modifiers'],
+    inflicts: [optional(isStatusList), STATUS_LIST],
+    statuses: [optional(isStatusList), STATUS_LIST]
+};
+
+const isPriceRange = (v) => Array.isArray(v) && v.length === 2 && v.every((n) => Number.isInteger(n) && n >= 0) && v[0] <= v[1];
+
+const SHOP_ITEM_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    type: [isText, 'a shop item type'],
+    name: [optional(isText), 'a non-empty string'],
+    description: [optional(isText), 'a non-empty string'],
+    price: [isPriceRange, 'a [min, max] range of whole numbers']
+};
+
+// Extra fields some shop item types read
+const SHOP_ITEM_TYPE_CHECKS = {
+    heal: {
+        amount: [isPositiveNumber, 'a positive fraction of max HP'],
+        revive: [optional((v) => typeof v === 'boolean'), 'true or false']
+    },
+    boon: {
+        group: [(v) => v === 'gods' || v === 'demons', 'gods or demons']
+    }
+};
+
+const REST_OPTION_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    type: [isText, 'a rest option type'],
+    name: [isText, 'a non-empty string'],
+    description: [isText, 'a non-empty string']
+};
+
+// Extra fields some rest option types read
+const REST_OPTION_TYPE_CHECKS = {
+    heal: SHOP_ITEM_TYPE_CHECKS.heal,
+    train: {
+        levels: [(v) => Number.isInteger(v) && v > 0, 'a whole number of at least 1']
+    },
+    focus: {
+        amount: [isPositiveNumber, 'a positive fraction of the ult meter']
+    }
+};
+
+const RELIC_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    description: [isText, 'a non-empty string'],
+    icon: [optional(isText), 'a CSS colour'],
+    trigger: [(v) => RELIC_TRIGGERS.includes(v), `one of ${RELIC_TRIGGERS.join(', ')}`],
+    chance: [optional((v) => isPositiveNumber(v) && v <= 1), 'a chance above 0 and up to 1'],
+    limit: [optional((v) => Number.isInteger(v) && v > 0), 'a whole number of at least 1'],
+    effect: [(v) => isPlainObject(v) && isText(v.type), 'an object with a type']
+};
+
+// Fields each relic effect type reads
+const RELIC_EFFECT_CHECKS = {
+    damageBonus: { amount: [isPositiveNumber, 'a positive fraction'] },
+    extraStrike: {},
+    charge: { amount: [isPositiveNumber, 'a positive fraction of the ult meter'] },
+    heal: { amount: [isPositiveNumber, 'a positive fraction of max HP'] },
+    status: { statuses: [isStatusList, STATUS_LIST] },
+    damageEnemies: { amount: [isPositiveNumber, 'a positive number'] }
+};
+
+const TECHNIQUE_FIELD_CHECKS = {
+    id: [isText, 'a non-empty string'],
+    name: [isText, 'a non-empty string'],
+    description: [isText, 'a non-empty string'],
+    heroes: [(v) => Array.isArray(v) && v.length >= 2 && v.every(isText), 'a list of at least two hero ids'],
+    input: [(v) => TECHNIQUE_INPUTS.includes(v), `one of ${TECHNIQUE_INPUTS.join(', ')}`],
+    window: [isPositiveNumber, 'a positive number of seconds'],
+    minCombo: [optional(isWholeNumber), 'a whole number of at least 0'],
+    cooldown: [optional(isNonNegativeNumber), 'a number of seconds of at least 0'],
+    effect: [(v) => isPlainObject(v) && isText(v.type), 'an object with a type']
+};
+
+// Fields each technique effect type reads
+const TECHNIQUE_EFFECT_CHECKS = {
+    strike: {
+        multiplier: [isPositiveNumber, 'a positive number'],
+        inflicts: [optional(isStatusList), STATUS_LIST]
+    },
+    wave: {
+        multiplier: [isPositiveNumber, 'a positive number'],
+        inflicts: [optional(isStatusList), STATUS_LIST]
+    },
+    rally: { statuses: [isStatusList, STATUS_LIST] }
+};
+
+/**
+ * @param {*} value Any value.
+ * @returns {string} A short description of the value for problem reports.
+ */
+function describeValue(value) {
+    if (value === undefined) return 'nothing';
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+/**
+ * @param {*} entries A data set.
+ * @param {string} id Entry identifier.
+ * @returns {boolean} True if the data set has an entry with the id.
+ */
+function hasEntry(entries, id) {
+    return Array.isArray(entries) && entries.some((entry) => isPlainObject(entry) && entry.id === id);
+}
+
+/**
+ * Collects problems for one data file.
+ * @param {object[]} problems List the problems are added to.
+ * @param {string} file Data file path.
+ * @param {object} [sources] Where entries came from when not the data file,
+ *     by id.
+ * @returns {function(string|null, string|null, string)} Adds a problem for an
+ *     entry id and field.
+ */
+function createReporter(problems, file, sources = {}) {
+    return (id, field, message) => problems.push({ file: sources[id] || file, id, field, message });
+}
+
+/**
+ * Check the entries of a data set against its field checks and for duplicate
+ * ids.
+ * @param {*} entries The data set.
+ * @param {string} name Global the data set is stored in, e.g. 'charactersData'.
+ * @param {object} fieldChecks Field checks for its entries.
+ * @param {function} report Reporter from createReporter.
+ * @returns {object[]} The entries that are objects, to check further.
+ */
+function checkEntries(entries, name, fieldChecks, report) {
+    if (!Array.isArray(entries)) {
+        report(null, null, `${name} must be a list of entries`);
+        return [];
+    }
+    const seen = new Set();
+    return entries.filter((entry, index) => {
+        if (!isPlainObject(entry)) {
+            report(`#${index}`, null, 'entry must be an object');
+            return false;
+        }
+        const id = isText(entry.id) ? entry.id : `#${index}`;
+        for (const field in fieldChecks) {
+            const [check, expected] = fieldChecks[field];
+            if (!check(entry[field])) {
+                report(id, field, `must be ${expected}, got ${describeValue(entry[field])}`);
+            }
+        }
+        if (isText(entry.id)) {
+            if (seen.has(entry.id)) report(id, 'id', 'is used by more than one entry');
+            seen.add(entry.id);
+        }
+        return true;
+    });
+}
+
+/**
+ * @param {*} characters charactersData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateCharacters(characters, report) {
+    const heroes = checkEntries(characters, 'charactersData', CHARACTER_FIELD_CHECKS, report);
+    const reserved = controlsData.reserved.combat || [];
+    const keys = {};
+    heroes.forEach((hero) => {
+        if (isText(hero.rarity) && !getRarity(hero.rarity)) {
+            report(hero.id, 'rarity', `names unknown rarity ${describeValue(hero.rarity)}`);
+        }
+        if (isPlainObject(hero.passive) && isText(hero.passive.type) && !PASSIVE_TYPES[hero.passive.type]) {
+            report(hero.id, 'passive.type', `names unknown passive type ${describeValue(hero.passive.type)}`);
+        }
+        if (isPlainObject(hero.ult) && isText(hero.ult.type) && !ULT_TYPES[hero.ult.type]) {
+            report(hero.id, 'ult.type', `names unknown ult type ${describeValue(hero.ult.type)}`);
+        }
+        if (isPlainObject(hero.ult) && !optional(isStatusList)(hero.ult.inflicts)) {
+            report(hero.id, 'ult.inflicts', `must be ${STATUS_LIST}`);
+        }
+        if (isPlainObject(hero.passive) && !optional(isStatusList)(hero.passive.statuses)) {
+            report(hero.id, 'passive.statuses', `must be ${STATUS_LIST}`);
+        }
+        if (typeof hero.key === 'string' && hero.key.length === 1) {
+            const key = normalizeKey(hero.key);
+            if (reserved.includes(key)) {
+                report(hero.id, 'key', `${getKeyLabel(key)} is reserved in combat`);
+            } else if (keys[key]) {
+                report(hero.id, 'key', `${getKeyLabel(key)} is already used by ${keys[key]}`);
+            } else {
+                keys[key] = hero.id;
+            }
+        }
+    });
+}
+
+/**
+ * @param {*} enemies enemiesData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateEnemies(enemies, report) {
+    checkEntries(enemies, 'enemiesData', ENEMY_FIELD_CHECKS, report).forEach((enemy) => {
+        if (isText(enemy.chart) && !hasEntry(chartsData, enemy.chart)) {
+            report(enemy.id, 'chart', `names unknown chart ${describeValue(enemy.chart)}`);
+        }
+        if (!Array.isArray(enemy.phases)) return;
+        enemy.phases.forEach((phase, index) => {
+            if (!isPlainObject(phase)) return;
+            const prefix = `phases[${index}]`;
+            for (const field in ENEMY_PHASE_CHECKS) {
+                const [check, expected] = ENEMY_PHASE_CHECKS[field];
+                if (!check(phase[field])) {
+                    report(enemy.id, `${prefix}.${field}`, `must be ${expected}, got ${describeValue(phase[field])}`);
+                }
+            }
+            const previous = enemy.phases[index - 1];
+            if (index > 0 && isPlainObject(previous) && phase.at >= previous.at) {
+                report(enemy.id, `${prefix}.at`, 'must be below the phase before, since phases start in order');
+            }
+            if (isText(phase.chart) && !hasEntry(chartsData, phase.chart)) {
+                report(enemy.id, `${prefix}.chart`, `names unknown chart ${describeValue(phase.chart)}`);
+            }
+            (Array.isArray(phase.summon) ? phase.summon : []).forEach((id, position) => {
+                if (isText(id) && !hasEntry(enemies, id)) {
+                    report(enemy.id, `${prefix}.summon[${position}]`, `names unknown enemy ${describeValue(id)}`);
+                }
+            });
+        });
+    });
+}
+
+/**
+ * @param {*} encounters encountersData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateEncounters(encounters, report) {
+    checkEntries(encounters, 'encountersData', ENCOUNTER_FIELD_CHECKS, report).forEach((encounter) => {
+        if (Array.isArray(encounter.waves)) {
+            encounter.waves.forEach((wave, index) => {
+                (Array.isArray(wave) ? wave : []).forEach((enemyId) => {
+                    if (isText(enemyId) && !hasEntry(enemiesData, enemyId)) {
+                        report(encounter.id, `waves[${index}]`, `names unknown enemy ${describeValue(enemyId)}`);
+                    }
+                });
+            });
+        }
+        if (isText(encounter.chart) && !hasEntry(chartsData, encounter.chart)) {
+            report(encounter.id, 'chart', `names unknown chart ${describeValue(encounter.chart)}`);
+        }
+    });
+}
+
+/**
+ * @param {*} charts chartsData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateCharts(charts, report) {
+    checkEntries(charts, 'chartsData', CHART_FIELD_CHECKS, report);
+}
+
+/**
+ * Check rooms and the graph they form: links to missing rooms, rooms that
+ * cannot be reached from the first room, cycles, and whether a final room
+ * (one with no `next`) can be reached at all.
+ * @param {*} rooms roomsData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateRooms(rooms, report) {
+    const valid = checkEntries(rooms, 'roomsData', ROOM_FIELD_CHECKS, report);
+    const byId = {};
+    valid.forEach((room) => {
+        if (isText(room.id) && !byId[room.id]) byId[room.id] = room;
+    });
+    const links = (room) => (Array.isArray(room.next) ? room.next.filter((id) => byId[id]) : []);
+    valid.forEach((room) => {
+        const id = room.id;
+        if (Array.isArray(room.next)) {
+            room.next.forEach((nextId, index) => {
+                if (nextId === id) {
+                    report(id, `next[${index}]`, 'links to itself');
+                } else if (isText(nextId) && !byId[nextId]) {
+                    report(id, `next[${index}]`, `links to unknown room ${describeValue(nextId)}`);
+                }
+            });
+        }
+        if (isText(room.encounter) && !hasEntry(encountersData, room.encounter)) {
+            report(id, 'encounter', `names unknown encounter ${describeValue(room.encounter)}`);
+        }
+        if (isText(room.chart) && !hasEntry(chartsData, room.chart)) {
+            report(id, 'chart', `names unknown chart ${describeValue(room.chart)}`);
+        }
+    });
+    if (valid.length === 0 || !isText(valid[0].id)) return;
+
+    // The run starts in the first room; every other room must be reachable
+    const start = valid[0];
+    const reached = new Set([start.id]);
+    const queue = [start];
+    while (queue.length > 0) {
+        links(queue.shift()).forEach((id) => {
+            if (!reached.has(id)) {
+                reached.add(id);
+                queue.push(byId[id]);
+            }
+        });
+    }
+    Object.keys(byId).forEach((id) => {
+        if (!reached.has(id)) report(id, null, `cannot be reached from ${start.id}`);
+    });
+    if (![...reached].some((id) => Array.isArray(byId[id].next) && byId[id].next.length === 0)) {
+        report(null, null, `no final room (one with an empty next) can be reached from ${start.id}`);
+    }
+
+    // Depth-first search; a link back to a room still on the path is a cycle
+    const state = {};
+    const path = [];
+    const visit = (id) => {
+        state[id] = 'open';
+        path.push(id);
+        links(byId[id]).forEach((nextId) => {
+            if (nextId === id) return; // Reported as a self-link above
+            if (state[nextId] === 'open') {
+                const cycle = path.slice(path.indexOf(nextId)).concat(nextId);
+                report(id, `next[${byId[id].next.indexOf(nextId)}]`, `forms a cycle: ${cycle.join(' -> ')}`);
+            } else if (!state[nextId]) {
+                visit(nextId);
+            }
+        });
+        path.pop();
+        state[id] = 'done';
+    };
+    Object.keys(byId).forEach((id) => {
+        if (!state[id]) visit(id);
+    });
+}
+
+/**
+ * @param {*} boons boonsData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateBoons(boons, report) {
+    if (!isPlainObject(boons)) {
+        report(null, null, 'boonsData must be an object with gods and demons lists');
+        return;
+    }
+    // Ids repeated within a group are caught by checkEntries
+    const groups = {};
+    ['gods', 'demons'].forEach((group) => {
+        checkEntries(boons[group], `boonsData.${group}`, BOON_FIELD_CHECKS, report).forEach((boon) => {
+            if (isText(boon.id)) {
+                if (groups[boon.id] && groups[boon.id] !== group) {
+                    report(boon.id, 'id', `is also used by a boon in ${groups[boon.id]}`);
+                }
+                groups[boon.id] = group;
+            }
+            if (!isPlainObject(boon.modifiers)) return;
+            for (const name in boon.modifiers) {
+                if (!(name in BOON_MODIFIER_DEFAULTS)) {
+                    report(boon.id, `modifiers.${name}`, 'is not a known modifier');
+                } else if (!isPositiveNumber(boon.modifiers[name])) {
+                    report(boon.id, `modifiers.${name}`, `must be a positive multiplier, got ${describeValue(boon.modifiers[name])}`);
+                }
+            }
+        });
+    });
+}
+
+/**
+ * Check the fields an entry's type reads.
+ * @param {object} entry Shop item or rest option.
+ * @param {object} [checks] Field checks for its type.
+ * @param {function} report Reporter from createReporter.
+ */
+function checkTypeFields(entry, checks, report) {
+    for (const field in checks || {}) {
+        const [check, expected] = checks[field];
+        if (!check(entry[field])) {
+            report(entry.id, field, `must be ${expected}, got ${describeValue(entry[field])}`);
+        }
+    }
+}
+
+/**
+ * Check the shop settings: item types and fields, gold and price ranges, and
+ * stock slots naming known items.
+ * @param {*} shop shopConfig.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateShop(shop, report) {
+    if (!isPlainObject(shop)) {
+        report(null, null, 'shopConfig must be an object');
+        return;
+    }
+    if (!Number.isInteger(shop.startingGold) || shop.startingGold < 0) {
+        report(null, 'startingGold', `must be a whole number of at least 0, got ${describeValue(shop.startingGold)}`);
+    }
+    if (!isPlainObject(shop.gold)) {
+        report(null, 'gold', 'must map room types to [min, max] gold ranges');
+    } else {
+        for (const type in shop.gold) {
+            if (!ROOM_TYPES.includes(type)) {
+                report(null, `gold.${type}`, 'is not a room type');
+            } else if (!isPriceRange(shop.gold[type])) {
+                report(null, `gold.${type}`, `must be a [min, max] range of whole numbers, got ${describeValue(shop.gold[type])}`);
+            }
+        }
+    }
+    checkEntries(shop.items, 'shopConfig.items', SHOP_ITEM_FIELD_CHECKS, report).forEach((item) => {
+        if (!isText(item.type)) return;
+        if (!SHOP_ITEM_TYPES[item.type]) {
+            report(item.id, 'type', `names unknown shop item type ${describeValue(item.type)}`);
+            return;
+        }
+        checkTypeFields(item, SHOP_ITEM_TYPE_CHECKS[item.type], report);
+        // Boons and relics are named after what the shop stocks
+        if (!SHOP_ITEM_TYPES[item.type].stock && (!isText(item.name) || !isText(item.description))) {
+            report(item.id, 'name', 'needs a name and a description');
+        }
+    });
+    if (!Array.isArray(shop.stock)) {
+        report(null, 'stock', 'must be a list of slots');
+        return;
+    }
+    shop.stock.forEach((slot, index) => {
+        if (!Array.isArray(slot) || slot.length === 0) {
+            report(null, `stock[${index}]`, 'must be a non-empty list of item ids');
+            return;
+        }
+        slot.forEach((id) => {
+            if (!hasEntry(shop.items, id)) {
+                report(null, `stock[${index}]`, `names unknown shop item ${describeValue(id)}`);
+            }
+        });
+    });
+}
+
+/**
+ * @param {*} rest restConfig.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateRest(rest, report) {
+    if (!isPlainObject(rest)) {
+        report(null, null, 'restConfig must be an object');
+        return;
+    }
+    checkEntries(rest.options, 'restConfig.options', REST_OPTION_FIELD_CHECKS, report).forEach((option) => {
+        if (!isText(option.type)) return;
+        if (!REST_OPTION_TYPES[option.type]) {
+            report(option.id, 'type', `names unknown rest option type ${describeValue(option.type)}`);
+            return;
+        }
+        checkTypeFields(option, REST_OPTION_TYPE_CHECKS[option.type], report);
+    });
+}
+
+/**
+ * Check relics: triggers, effect types and their fields, effects that only
+ * make sense for some triggers, and the drop chances.
+ * @param {*} relics relicsData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateRelics(relics, report) {
+    if (!isPlainObject(relics)) {
+        report(null, null, 'relicsData must be an object with drops and relics');
+        return;
+    }
+    if (!isPlainObject(relics.drops)) {
+        report(null, 'drops', 'must map room types to drop chances');
+    } else {
+        for (const type in relics.drops) {
+            const chance = relics.drops[type];
+            if (!ROOM_TYPES.includes(type)) {
+                report(null, `drops.${type}`, 'is not a room type');
+            } else if (!isNonNegativeNumber(chance) || chance > 1) {
+                report(null, `drops.${type}`, `must be a chance from 0 to 1, got ${describeValue(chance)}`);
+            }
+        }
+    }
+    checkEntries(relics.relics, 'relicsData.relics', RELIC_FIELD_CHECKS, report).forEach((relic) => {
+        const effect = relic.effect;
+        if (!isPlainObject(effect) || !isText(effect.type)) return;
+        const type = RELIC_EFFECTS[effect.type];
+        if (!type) {
+            report(relic.id, 'effect.type', `names unknown relic effect ${describeValue(effect.type)}`);
+            return;
+        }
+        if (type.triggers && RELIC_TRIGGERS.includes(relic.trigger) && !type.triggers.includes(relic.trigger)) {
+            report(relic.id, 'effect.type', `only works with ${type.triggers.join(', ')}`);
+        }
+        if (effect.target !== undefined && effect.target !== 'hero' && effect.target !== 'party') {
+            report(relic.id, 'effect.target', `must be hero or party, got ${describeValue(effect.target)}`);
+        } else if (effect.target === 'hero' && relic.trigger === 'combatStart') {
+            report(relic.id, 'effect.target', 'combatStart has no hero to target');
+        }
+        for (const field in RELIC_EFFECT_CHECKS[effect.type]) {
+            const [check, expected] = RELIC_EFFECT_CHECKS[effect.type][field];
+            if (!check(effect[field])) {
+                report(relic.id, `effect.${field}`, `must be ${expected}, got ${describeValue(effect[field])}`);
+            }
+        }
+    });
+}
+
+/**
+ * Check team techniques: the heroes they need, and their effect types and
+ * fields.
+ * @param {*} techniques techniquesData.
+ * @param {function} report Reporter from createReporter.
+ */
+function validateTechniques(techniques, report) {
+    checkEntries(techniques, 'techniquesData', TECHNIQUE_FIELD_CHECKS, report).forEach((technique) => {
+        if (Array.isArray(technique.heroes)) {
+            technique.heroes.forEach((id, index) => {
+                if (isText(id) && !hasEntry(window.charactersData, id)) {
+                    report(technique.id, `heroes[${index}]`, `names unknown hero ${describeValue(id)}`);
+                } else if (technique.heroes.indexOf(id) !== index) {
+                    report(technique.id, `heroes[${index}]`, `lists ${describeValue(id)} more than once`);
+                }
+            });
+        }
+        const effect = technique.effect;
+        if (!isPlainObject(effect) || !isText(effect.type)) return;
+        if (!TECHNIQUE_EFFECTS[effect.type]) {
+            report(technique.id, 'effect.type', `names unknown technique effect ${describeValue(effect.type)}`);
+            return;
+        }
+        for (const field in TECHNIQUE_EFFECT_CHECKS[effect.type]) {
+            const [check, expected] = TECHNIQUE_EFFECT_CHECKS[effect.type][field];
+            if (!check(effect[field])) {
+                report(technique.id, `effect.${field}`, `must be ${expected}, got ${describeValue(effect[field])}`);
+            }
+        }
+    });
+}
+
+/**
+ * Validate every content data file.
+ * @param {object} [sources] For each data set name in DATA_FILES, where
+ *     entries merged from content packs came from, by id.
+ * @returns {{file: string, id: string|null, field: string|null,
+ *     message: string}[]} Every problem found, empty if the data is fine.
+ */
+function validateGameData(sources = {}) {
+    const problems = [];
+    const reporter = (name) => createReporter(problems, DATA_FILES[name], sources[name]);
+    validateCharacters(window.charactersData, reporter('characters'));
+    validateEnemies(window.enemiesData, reporter('enemies'));
+    validateRooms(window.roomsData, reporter('rooms'));
+    validateBoons(window.boonsData, reporter('boons'));
+    validateEncounters(window.encountersData, reporter('encounters'));
+    validateCharts(window.chartsData, reporter('charts'));
+    validateShop(window.shopConfig, reporter('shop'));
+    validateRest(window.restConfig, reporter('rest'));
+    validateRelics(window.relicsData, reporter('relics'));
+    validateTechniques(window.techniquesData, reporter('techniques'));
+    return problems;
+}
+
+/**
+ * @param {object} problem Problem from validateGameData.
+ * @returns {string} One line, e.g. `data/rooms.js room_a next[0]: links to
+ *     unknown room "room_b"`.
+ */
+function formatDataProblem(problem) {
+    const where = [problem.id, problem.field].filter(Boolean).join(' ');
+    return `${problem.file}${where ? ` ${where}` : ''}: ${problem.message}`;
+}
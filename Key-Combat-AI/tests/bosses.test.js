@@ -0,0 +1,89 @@
+/*
+ * Elites and bosses: phases, guards, attack patterns and adds; see
+ * data/enemies.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, startFight } = require('./helpers');
+
+/**
+ * @param {object} game Core from loadGameCore.
+ * @param {string} id Enemy identifier.
+ * @returns {Enemy} A fresh enemy built from its data.
+ */
+function makeEnemy(game, id) {
+    const Enemy = game.get('Enemy');
+    return new Enemy(game.get('enemiesData').find((e) => e.id === id));
+}
+
+module.exports = {
+    'a boss starts each phase at its HP threshold, even after a big hit'() {
+        const game = loadGameCore();
+        const boss = makeEnemy(game, 'enemy_bone_colossus');
+        const [armor, knell] = boss.phases;
+        boss.guard = 0;
+        boss.takeDamage(boss.maxHP * 0.2);
+        assert.strictEqual(boss.takeNextPhase(), null);
+        // A hit past two thresholds stops at the first
+        boss.takeDamage(boss.maxHP);
+        assert.strictEqual(boss.hp, boss.maxHP * armor.at);
+        assert.strictEqual(boss.takeNextPhase(), armor);
+        assert.strictEqual(boss.guard, armor.guard);
+        boss.guard = 0;
+        boss.takeDamage(boss.maxHP);
+        assert.strictEqual(boss.hp, boss.maxHP * knell.at);
+        assert.strictEqual(boss.takeNextPhase(), knell);
+        boss.takeDamage(boss.maxHP);
+        assert.strictEqual(boss.isAlive(), false);
+    },
+
+    'a guard blocks hits and status ticks until Perfect hits break it'() {
+        const game = loadGameCore();
+        const boss = makeEnemy(game, 'enemy_bone_colossus');
+        const guard = boss.guard;
+        assert.ok(guard > 0);
+        boss.takeDamage(50);
+        game.get('applyStatuses')(boss, [{ type: 'burn', stacks: 3, duration: 5 }, { type: 'poison', stacks: 3, duration: 5 }]);
+        game.get('updateStatuses')(boss, 1);
+        assert.strictEqual(boss.hp, boss.maxHP);
+        for (let i = 1; i < guard; i++) assert.strictEqual(boss.strikeGuard(), false);
+        assert.strictEqual(boss.strikeGuard(), true);
+        game.get('updateStatuses')(boss, 1);
+        assert.ok(boss.hp < boss.maxHP);
+    },
+
+    'boss adds join an elite fight without elite scaling'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_goblin_court', 'elite');
+        const king = game.get('currentEnemies').find((e) => e.boss);
+        // The boss itself keeps its own stats in an elite room
+        assert.strictEqual(king.maxHP, game.get('enemiesData').find((e) => e.id === king.id).hp);
+        king.guard = 0;
+        king.takeDamage(king.maxHP);
+        game.update(1 / 60);
+        assert.strictEqual(king.phaseName, king.phases[0].name);
+        const adds = game.get('currentEnemies').filter((e) => e !== king);
+        const goblin = game.get('enemiesData').find((e) => e.id === 'enemy_goblin');
+        assert.strictEqual(adds.length, king.phases[0].summon.length);
+        adds.forEach((add) => {
+            assert.strictEqual(add.name, goblin.name);
+            assert.strictEqual(add.maxHP, goblin.hp);
+        });
+    },
+
+    'a phase can change the chart and tempo mid-fight'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_bone_colossus', 'elite');
+        // Skip to the boss wave
+        game.get('currentEnemies').forEach((enemy) => enemy.loseHP(enemy.hp));
+        for (let i = 0; i < 600 && !game.get('currentEnemies').some((e) => e.boss); i++) game.update(1 / 60);
+        const boss = game.get('currentEnemies').find((e) => e.boss);
+        assert.ok(boss, 'the boss wave did not start');
+        const phase = boss.phases[0];
+        boss.guard = 0;
+        boss.takeDamage(boss.maxHP);
+        game.update(1 / 60);
+        assert.strictEqual(game.get('currentTrack').chart.id, phase.chart);
+        assert.strictEqual(game.get('currentEncounter').banner.name, `${boss.name}: ${phase.name}`);
+    }
+};
@@ -0,0 +1,74 @@
+/*
+ * Beat charts and the rhythm track for every party size; see
+ * data/charts.js and js/rhythm.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, plain } = require('./helpers');
+
+/**
+ * @param {object} game Core from loadGameCore.
+ * @returns {number} The largest party Guild Hall upgrades allow.
+ */
+function getMaxPartySize(game) {
+    return game.get('upgradesData')
+        .filter((upgrade) => upgrade.type === 'partySize')
+        .reduce((size, upgrade) => size + upgrade.costs.length * upgrade.amount, game.get('RUN_CONFIG').BASE_PARTY_SIZE);
+}
+
+/**
+ * @param {object} game Core from loadGameCore.
+ * @param {object} chart Chart from chartsData.
+ * @param {number} laneCount Party size.
+ * @returns {{time: number, lane: number}[]} The notes of one loop.
+ */
+function playLoop(game, chart, laneCount) {
+    const RhythmTrack = game.get('RhythmTrack');
+    const track = new RhythmTrack(chart, laneCount);
+    // Schedule the whole first loop
+    track.update(track.loopLength - track.time);
+    return track.notes.filter((note) => note.time < track.loopLength)
+        .map((note) => ({ time: note.time / track.beatLength, lane: note.lane }));
+}
+
+module.exports = {
+    'every hero gets notes in every chart, up to the largest party'() {
+        const game = loadGameCore();
+        const maxParty = getMaxPartySize(game);
+        assert.ok(maxParty > 3);
+        game.get('chartsData').forEach((chart) => {
+            for (let size = 1; size <= maxParty; size++) {
+                const lanes = new Set(playLoop(game, chart, size).map((note) => note.lane));
+                for (let lane = 0; lane < size; lane++) {
+                    assert.ok(lanes.has(lane), `${chart.id} gives slot ${lane} no notes in a party of ${size}`);
+                }
+                assert.ok([...lanes].every((lane) => lane < size));
+            }
+        });
+    },
+
+    'charts keep their authored lanes in every party'() {
+        const game = loadGameCore();
+        const extraLane = game.get('RHYTHM_CONFIG').EXTRA_LANE;
+        game.get('chartsData').forEach((chart) => {
+            const written = (count) => chart.notes.filter((note) => note.lane < count)
+                .map((note) => `${note.beat}:${note.lane}`).sort();
+            const played = (size) => playLoop(game, chart, size)
+                .map((note) => `${Math.round(note.time * 1000) / 1000}:${note.lane}`).sort();
+            assert.deepStrictEqual(played(extraLane), written(extraLane), chart.id);
+            assert.deepStrictEqual(played(extraLane + 2), written(extraLane + 2), chart.id);
+        });
+    },
+
+    'extra lanes are left out and the first three wrap in a small party'() {
+        const game = loadGameCore();
+        const chart = { id: 'chart_test', bpm: 60, length: 4, notes: [
+            { beat: 0, lane: 0 }, { beat: 1, lane: 2 }, { beat: 2, lane: 3 }, { beat: 3, lane: 4 }
+        ] };
+        const lanes = (size) => plain(playLoop(game, chart, size).map((note) => note.lane));
+        assert.deepStrictEqual(lanes(2), [0, 0]);
+        assert.deepStrictEqual(lanes(3), [0, 2]);
+        assert.deepStrictEqual(lanes(4), [0, 2, 3]);
+        assert.deepStrictEqual(lanes(5), [0, 2, 3, 4]);
+    }
+};
@@ -0,0 +1,55 @@
+/*
+ * Shared helpers for the rule tests in this folder; see js/test-rules.js.
+ */
+
+const { loadGameCore } = require('../js/headless');
+
+// Party used by tests that do not care who fights
+const PARTY = ['hero_azal', 'hero_fyra', 'hero_lucien'];
+
+/**
+ * Copy a value out of the core's VM context, so it compares equal to plain
+ * Node objects.
+ * @param {*} value JSON-compatible value.
+ * @returns {*}
+ */
+function plain(value) {
+    return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Play the current fight by hitting every note on time until it ends.
+ * @param {object} game Core from loadGameCore.
+ * @param {number} [maxSeconds=300] Time limit for the fight.
+ */
+function playFight(game, maxSeconds = 300) {
+    const dt = 1 / 60;
+    for (let t = 0; t < maxSeconds && game.get('currentState') === 'combat'; t += dt) {
+        const track = game.get('currentTrack');
+        const heroes = game.get('playerHeroes');
+        const keys = track.getUpcomingNotes()
+            .filter((note) => note.time - track.time < dt && heroes[note.lane].currentHP > 0)
+            .map((note) => heroes[note.lane].key);
+        keys.forEach((key) => game.keyDown(key));
+        game.update(dt);
+        keys.forEach((key) => game.keyUp(key));
+    }
+}
+
+/**
+ * Start a fight against an encounter in the first room of a new run.
+ * @param {object} game Core from loadGameCore.
+ * @param {string} encounterId Encounter identifier.
+ * @param {string} type Room type, 'combat' or 'elite'.
+ * @param {string[]} [party=PARTY] Hero ids in party order.
+ */
+function startFight(game, encounterId, type, party = PARTY) {
+    game.get('startNewRun')(party, 'RULES');
+    const run = game.get('currentRun');
+    const node = game.get('getReachableNodes')(run.map, run.currentNodeId)[0];
+    node.type = type;
+    const encounter = game.get('encountersData').find((e) => e.id === encounterId);
+    game.get('startEncounter')(node, encounter);
+}
+
+module.exports = { loadGameCore, PARTY, plain, playFight, startFight };
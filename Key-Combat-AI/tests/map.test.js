@@ -0,0 +1,84 @@
+/*
+ * Dungeon maps: the seeded generator, the authored map and room types; see
+ * js/mapgen.js and data/mapgen.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, PARTY, plain } = require('./helpers');
+
+/**
+ * @param {object} game Core from loadGameCore.
+ * @param {string} type Room type.
+ * @returns {string} The first seed from SEED-0 on whose generated map has a
+ *     room of that type.
+ */
+function findSeedWith(game, type) {
+    for (let i = 0; i < 50; i++) {
+        const seed = `SEED-${i}`;
+        if (game.get('generateMap')(seed).some((room) => room.type === type)) return seed;
+    }
+    throw new Error(`No seed in 50 gives a ${type} room`);
+}
+
+module.exports = {
+    'generated maps contain every room type'() {
+        const game = loadGameCore();
+        const types = Object.keys(game.get('mapGenConfig').weights);
+        assert.ok(types.includes('gacha'));
+        types.forEach((type) => findSeedWith(game, type));
+    },
+
+    'generated maps follow the rules'() {
+        const game = loadGameCore();
+        const config = game.get('mapGenConfig');
+        for (let i = 0; i < 20; i++) {
+            const map = game.get('buildMap')(game.get('generateMap')(`RULES-${i}`));
+            assert.strictEqual(map.layers.length, config.depth);
+            assert.strictEqual(map.layers[0][0].type, config.rules.startType);
+            const final = map.layers[config.depth - 1][0];
+            assert.strictEqual(final.type, config.rules.finalType);
+            assert.strictEqual(final.encounter, config.rules.finalEncounter);
+            Object.values(map.nodes).forEach((node) => {
+                node.next.forEach((id) => {
+                    const next = map.nodes[id];
+                    if (config.rules.noConsecutive.includes(node.type)) {
+                        assert.notStrictEqual(next.type, node.type, `${node.id} -> ${id}`);
+                    }
+                });
+            });
+        }
+    },
+
+    'a gacha room gives a free draw from the run seed and returns to the map'() {
+        const draw = () => {
+            const game = loadGameCore();
+            const seed = findSeedWith(game, 'gacha');
+            game.get('startNewRun')(PARTY, seed);
+            const run = game.get('currentRun');
+            const save = game.get('saveData');
+            const souls = save.demonSouls;
+            const draws = save.gachaDraws;
+            const room = Object.values(run.map.nodes).find((node) => node.type === 'gacha');
+            game.get('enterNode')(room);
+            assert.strictEqual(game.get('currentState'), 'card_reveal');
+            const heroId = game.get('currentReveal').hero.id;
+            assert.strictEqual(save.demonSouls, souls);
+            // Menu draws keep their own count
+            assert.strictEqual(save.gachaDraws, draws);
+            game.get('finishReveal')();
+            assert.strictEqual(game.get('currentState'), 'map');
+            assert.strictEqual(run.currentNodeId, room.id);
+            return heroId;
+        };
+        assert.strictEqual(draw(), draw());
+    },
+
+    'a run can use the authored map instead'() {
+        const game = loadGameCore();
+        game.get('startNewRun')(PARTY, 'AUTHORED', 'authored');
+        const run = game.get('currentRun');
+        assert.strictEqual(run.mapMode, 'authored');
+        assert.deepStrictEqual(Object.keys(run.map.nodes), plain(game.get('roomsData').map((room) => room.id)));
+        assert.strictEqual(run.map.startId, game.get('roomsData')[0].id);
+    }
+};
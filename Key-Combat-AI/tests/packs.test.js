@@ -0,0 +1,60 @@
+/*
+ * Content packs; see js/packs.js.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { loadGameCore, PARTY, plain } = require('./helpers');
+
+const EXAMPLE_PACK = path.join(__dirname, '..', 'packs', 'example-frost.json');
+
+/**
+ * @param {object} fields Pack content.
+ * @returns {object} A pack with the required header fields.
+ */
+function makePack(fields) {
+    return Object.assign({ format: 1, id: 'pack_test', name: 'Test', version: 1 }, fields);
+}
+
+module.exports = {
+    'a pack id conflict is skipped unless the pack replaces it'() {
+        const game = loadGameCore();
+        const goblin = { id: 'enemy_goblin', name: 'Pack Goblin', hp: 10, attackPower: 1 };
+        let result = game.get('applyContentPacks')([makePack({ enemies: [goblin] })]);
+        assert.deepStrictEqual(plain(result.conflicts.map((c) => c.id)), ['enemy_goblin']);
+        assert.strictEqual(game.get('enemiesData').find((e) => e.id === 'enemy_goblin').name, 'Goblin Grunt');
+
+        result = game.get('applyContentPacks')([makePack({ enemies: [goblin], replaces: ['enemy_goblin'] })]);
+        assert.strictEqual(result.conflicts.length, 0);
+        assert.strictEqual(result.applied.length, 1);
+        const goblins = game.get('enemiesData').filter((e) => e.id === 'enemy_goblin');
+        assert.deepStrictEqual(plain(goblins.map((e) => e.name)), ['Pack Goblin']);
+
+        // Turning the pack off restores the data files
+        game.get('applyContentPacks')([]);
+        assert.strictEqual(game.get('enemiesData').find((e) => e.id === 'enemy_goblin').name, 'Goblin Grunt');
+    },
+
+    'a pack that fails validation is left out'() {
+        const game = loadGameCore();
+        const broken = makePack({ enemies: [{ id: 'enemy_broken', name: 'Broken', hp: -1, attackPower: 1 }] });
+        const result = game.get('applyContentPacks')([broken]);
+        assert.strictEqual(result.applied.length, 0);
+        assert.strictEqual(result.rejected.length, 1);
+        assert.ok(result.rejected[0].problems.some((p) => p.id === 'enemy_broken' && p.field === 'hp'));
+        assert.strictEqual(game.get('enemiesData').some((e) => e.id === 'enemy_broken'), false);
+        assert.match(game.get('parsePack')('{"format":99}').error, /format 99 is not supported/);
+    },
+
+    'the example pack puts its room on the authored map'() {
+        const game = loadGameCore();
+        const { pack, error } = game.get('parsePack')(fs.readFileSync(EXAMPLE_PACK, 'utf8'));
+        assert.strictEqual(error, null);
+        const result = game.get('applyContentPacks')([pack]);
+        assert.strictEqual(result.applied.length, 1);
+        assert.strictEqual(result.conflicts.length, 0);
+        game.get('startNewRun')(PARTY, 'PACKS', 'authored');
+        assert.strictEqual(game.get('currentRun').map.nodes.room_fork_left.encounter, 'enc_frost_wraiths');
+    }
+};
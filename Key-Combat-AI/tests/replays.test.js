@@ -0,0 +1,67 @@
+/*
+ * Fixed-step combat and fight replays; see js/replay.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, PARTY, playFight } = require('./helpers');
+
+/**
+ * Play the first fight of a seeded run.
+ * @returns {{game: object, text: string}} The core and the fight's replay
+ *     file.
+ */
+function recordFight() {
+    const game = loadGameCore();
+    game.get('startNewRun')(PARTY, 'REPLAYS');
+    const run = game.get('currentRun');
+    game.get('enterNode')(game.get('getReachableNodes')(run.map, run.currentNodeId)[0]);
+    playFight(game);
+    const recorded = game.get('lastReplay');
+    assert.ok(recorded && recorded.result, 'the fight was not recorded');
+    return { game, text: game.get('exportReplay')(recorded) };
+}
+
+/**
+ * @param {string} text Replay file.
+ * @returns {object} The replay, as parseReplay accepts it.
+ */
+function parse(text) {
+    const { replay, error } = loadGameCore().get('parseReplay')(text);
+    assert.strictEqual(error, null);
+    return replay;
+}
+
+module.exports = {
+    'a recorded fight replays to the same result'() {
+        const { game, text } = recordFight();
+        const recorded = game.get('lastReplay').result;
+        assert.strictEqual(recorded.victory, true);
+        const result = loadGameCore().get('runReplay')(parse(text));
+        assert.strictEqual(result.matched, true);
+        assert.strictEqual(result.victory, recorded.victory);
+        assert.strictEqual(result.steps, recorded.steps);
+    },
+
+    'a replay with changed inputs or enemy HP does not match'() {
+        const { text } = recordFight();
+        const dropped = parse(text);
+        dropped.inputs = dropped.inputs.filter((input, i) => i % 3 !== 0);
+        assert.strictEqual(loadGameCore().get('runReplay')(dropped).matched, false);
+
+        const enemies = parse(text);
+        enemies.result.enemyHP = enemies.result.enemyHP.map((hp) => hp + 1);
+        assert.strictEqual(loadGameCore().get('runReplay')(enemies).matched, false);
+    },
+
+    'a replay without a usable result is refused'() {
+        const { text } = recordFight();
+        const parseReplay = loadGameCore().get('parseReplay');
+        const missing = JSON.parse(text);
+        delete missing.result;
+        assert.match(parseReplay(JSON.stringify(missing)).error, /no result/);
+        const endless = JSON.parse(text);
+        endless.result.steps = 1e9;
+        assert.match(parseReplay(JSON.stringify(endless)).error, /longer than any fight/);
+        assert.match(parseReplay('{"version":2}').error, /version 2/);
+    }
+};
@@ -0,0 +1,56 @@
+/*
+ * Save slots, migrations and quarantine; see js/save.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, plain } = require('./helpers');
+
+module.exports = {
+    'an unversioned save is migrated to the current version'() {
+        const game = loadGameCore();
+        const save = game.get('migrateSave')({ unlockedHeroes: ['hero_azal'], heroLevels: { hero_azal: 3 } });
+        assert.strictEqual(save.version, game.get('SAVE_VERSION'));
+        assert.deepStrictEqual(plain(save.heroLevels), { hero_azal: 3 });
+        assert.strictEqual(save.demonSouls, 0);
+        assert.deepStrictEqual(plain(save.lastParty), []);
+    },
+
+    'a save from a newer game is refused'() {
+        const game = loadGameCore();
+        assert.throws(() => game.get('migrateSave')({ version: 99 }), /newer than this game/);
+        assert.match(game.get('parseSave')('{"version":99}').error, /newer than this game/);
+    },
+
+    'the legacy save moves into slot 1'() {
+        const game = loadGameCore();
+        const storage = game.get('createMemoryStorage')({ kca_save: JSON.stringify({ demonSouls: 12 }) });
+        game.get('migrateLegacySave')(storage);
+        assert.strictEqual(storage.getItem('kca_save'), null);
+        assert.strictEqual(game.get('loadSaveSlot')(storage, 1).save.demonSouls, 12);
+    },
+
+    'invalid fields are quarantined and reset'() {
+        const game = loadGameCore();
+        const stored = Object.assign(game.get('createDefaultSave')(), { demonSouls: -5, unlockedHeroes: ['hero_azal'] });
+        const storage = game.get('createMemoryStorage')({ kca_save_slot_2: JSON.stringify(stored) });
+        const { save, problem } = game.get('loadSaveSlot')(storage, 2);
+        assert.match(problem, /had invalid demonSouls;/);
+        assert.strictEqual(save.demonSouls, 0);
+        assert.deepStrictEqual(plain(save.unlockedHeroes), ['hero_azal']);
+        const kept = storage.keys().filter((key) => key.startsWith('kca_quarantine_2_'));
+        assert.strictEqual(kept.length, 1);
+        assert.strictEqual(JSON.parse(storage.getItem(kept[0])).data.demonSouls, -5);
+        // The repaired save was written back, so a second load is clean
+        assert.strictEqual(game.get('loadSaveSlot')(storage, 2).problem, null);
+    },
+
+    'unreadable save text is set aside whole'() {
+        const game = loadGameCore();
+        const storage = game.get('createMemoryStorage')({ kca_save_slot_1: '{not json' });
+        const { save, problem } = game.get('loadSaveSlot')(storage, 1);
+        assert.match(problem, /could not be read/);
+        assert.strictEqual(save.demonSouls, 0);
+        const kept = storage.keys().filter((key) => key.startsWith('kca_quarantine_1_'));
+        assert.strictEqual(JSON.parse(storage.getItem(kept[0])).data, '{not json');
+    }
+};
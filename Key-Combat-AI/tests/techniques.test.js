@@ -0,0 +1,96 @@
+/*
+ * Combos and team techniques: chords, sequences and their gates; see
+ * data/techniques.js.
+ */
+
+const assert = require('assert');
+const { loadGameCore, startFight } = require('./helpers');
+
+/**
+ * @param {object} game Core from loadGameCore, in a fight.
+ * @returns {{target: Enemy, enemies: Enemy[], party: Hero[]}} The battle
+ *     pressTechniqueKey expects.
+ */
+function getBattle(game) {
+    const enemies = game.get('currentEnemies').filter((e) => e.isAlive());
+    return { target: enemies[0], enemies, party: game.get('playerHeroes') };
+}
+
+/**
+ * Press heroes' keys in a fight at the given times, as pressTechniqueKey.
+ * @param {object} game Core from loadGameCore, in a fight.
+ * @param {object} combo Combo from createCombo.
+ * @param {[string, number, boolean][]} presses Hero id, time and whether
+ *     the press hit a note.
+ * @returns {(object|null)[]} The technique each press fired.
+ */
+function press(game, combo, presses) {
+    const heroes = game.get('playerHeroes');
+    return presses.map(([heroId, time, judged]) => game.get('pressTechniqueKey')(combo,
+        heroes.find((hero) => hero.id === heroId), time, getBattle(game), judged));
+}
+
+module.exports = {
+    'pressing two keys together on one note fires a chord'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_goblin_scouts', 'combat', ['hero_azal', 'hero_fyra']);
+        const combo = game.get('currentEncounter').combo;
+        combo.count = game.get('getTechnique')('tech_fire_wave').minCombo;
+        const [azal, fyra] = game.get('playerHeroes');
+        const dt = 1 / 60;
+        // Wait for a note in Azal's lane only, then press both keys
+        for (let t = 0; t < 30; t += dt) {
+            const track = game.get('currentTrack');
+            const due = track.getUpcomingNotes().filter((note) => note.time - track.time < dt);
+            if (due.length === 1 && due[0].lane === 0) break;
+            game.update(dt);
+        }
+        const hp = game.get('currentEnemies').map((enemy) => enemy.hp);
+        game.keyDown(azal.key);
+        game.keyDown(fyra.key);
+        game.update(dt);
+        assert.strictEqual(combo.callout.name, 'Fire Wave');
+        game.get('currentEnemies').forEach((enemy, i) => {
+            assert.ok(enemy.hp < hp[i]);
+            assert.ok(enemy.statuses.burn);
+        });
+    },
+
+    'a chord needs one press to hit a note'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_goblin_scouts', 'combat', ['hero_azal', 'hero_fyra']);
+        const combo = game.get('createCombo')();
+        combo.count = 10;
+        assert.deepStrictEqual(press(game, combo, [['hero_azal', 1, false], ['hero_fyra', 1.05, false]]), [null, null]);
+        const fired = press(game, combo, [['hero_azal', 2, true], ['hero_fyra', 2.05, false]]);
+        assert.strictEqual(fired[1].id, 'tech_fire_wave');
+        // Presses further apart than the window are not a chord
+        assert.strictEqual(press(game, combo, [['hero_azal', 20, true], ['hero_fyra', 20.5, true]])[1], null);
+    },
+
+    'a sequence counts only presses that hit a note'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_goblin_scouts', 'combat', ['hero_lucien', 'hero_zhae']);
+        const combo = game.get('createCombo')();
+        combo.count = 10;
+        assert.strictEqual(press(game, combo, [['hero_lucien', 1, false], ['hero_zhae', 1.2, true]])[1], null);
+        assert.strictEqual(press(game, combo, [['hero_lucien', 2, true], ['hero_zhae', 2.2, false]])[1], null);
+        // A missed press in between does not break the sequence
+        const fired = press(game, combo, [['hero_lucien', 3, true], ['hero_lucien', 3.1, false], ['hero_zhae', 3.2, true]]);
+        assert.strictEqual(fired[2].id, 'tech_shadow_blades');
+    },
+
+    'a technique waits for its combo and cooldown'() {
+        const game = loadGameCore();
+        startFight(game, 'enc_goblin_scouts', 'combat', ['hero_azal', 'hero_fyra']);
+        const technique = game.get('getTechnique')('tech_fire_wave');
+        const combo = game.get('createCombo')();
+        combo.count = technique.minCombo - 1;
+        assert.strictEqual(press(game, combo, [['hero_azal', 1, true], ['hero_fyra', 1, true]])[1], null);
+        combo.count = technique.minCombo;
+        assert.strictEqual(press(game, combo, [['hero_azal', 2, true], ['hero_fyra', 2, true]])[1].id, technique.id);
+        const ready = 2 + technique.cooldown;
+        assert.strictEqual(press(game, combo, [['hero_azal', ready - 1, true], ['hero_fyra', ready - 1, true]])[1], null);
+        assert.strictEqual(press(game, combo, [['hero_azal', ready, true], ['hero_fyra', ready, true]])[1].id, technique.id);
+    }
+};